@@ -4,7 +4,8 @@ async function refreshActivity() {
         console.log('Carregando atividades...');
         const result = await apiCall('/activity');
         console.log('Atividades recebidas:', result);
-        displayActivity(result.data);
+        state.activity = result.data || [];
+        displayActivity(state.activity);
     } catch (error) {
         console.error('Erro ao carregar atividades:', error);
         document.getElementById('activityContainer').innerHTML = '<p class="text-center">Erro ao carregar atividade</p>';
@@ -48,6 +49,11 @@ function displayActivity(logs) {
                 typeText = 'Resposta do Bot';
                 cssClass = 'bot-response';
                 break;
+            case 'login':
+                typeEmoji = '🔐';
+                typeText = 'Login';
+                cssClass = 'command';
+                break;
             default:
                 typeEmoji = '📝';
                 typeText = 'Atividade';
@@ -59,8 +65,8 @@ function displayActivity(logs) {
                 <div class="log-time">${new Date(entry.timestamp).toLocaleString()}</div>
                 <div class="log-type">${typeEmoji} ${typeText}</div>
                 <div class="log-message">
-                    <strong>${displayUser}</strong> em <em>${entry.chatName}</em>:<br>
-                    <span class="message-content">"${entry.body}"</span>
+                    <strong>${escapeHtml(displayUser)}</strong> em <em>${escapeHtml(entry.chatName)}</em>:<br>
+                    <span class="message-content">"${escapeHtml(entry.body)}"</span>
                 </div>
             </div>
         `;
@@ -70,6 +76,10 @@ function displayActivity(logs) {
 }
 // app.js - Lógica principal do Control Panel
 const API_BASE = 'http://127.0.0.1:3001/api';
+const TOKEN_KEY = 'cerosApiToken';
+// Com os eventos em tempo real, o polling só atualiza uptime e memória
+const STATUS_POLL_INTERVAL = 15000;
+const ACTIVITY_EVENTS = ['message.received', 'reply.sent', 'command.executed', 'activity.logged'];
 
 // Estado global da aplicação
 const state = {
@@ -77,7 +87,15 @@ const state = {
     currentPage: 'dashboard',
     config: {},
     status: null,
-    refreshInterval: null
+    refreshInterval: null,
+    token: localStorage.getItem(TOKEN_KEY),
+    user: null,
+    events: null,
+    eventsRetry: 0,
+    eventsTimer: null,
+    statusRefreshTimer: null,
+    activity: [],
+    chats: { page: 1, pages: 1, selected: null, refreshTimer: null }
 };
 
 // Inicialização da aplicação
@@ -88,8 +106,21 @@ document.addEventListener('DOMContentLoaded', function() {
 function initializeApp() {
     setupNavigation();
     setupModals();
+    
+    // Sem token salvo, pede login antes de falar com a API
+    if (!state.token) {
+        showLogin();
+        return;
+    }
+    
+    startApp();
+}
+
+function startApp() {
     startStatusPolling();
+    connectEvents();
     loadDashboard();
+    loadCurrentUser();
     
     // Carrega configurações iniciais
     loadConfig();
@@ -97,6 +128,79 @@ function initializeApp() {
     console.log('Ceros AI Control Panel iniciado');
 }
 
+// ==================== LOGIN ====================
+function showLogin(message = '') {
+    clearInterval(state.refreshInterval);
+    state.refreshInterval = null;
+    disconnectEvents();
+    document.getElementById('loginError').textContent = message;
+    document.getElementById('loginModal').classList.add('show');
+    document.getElementById('loginUsername').focus();
+}
+
+async function login() {
+    const username = document.getElementById('loginUsername').value.trim();
+    const password = document.getElementById('loginPassword').value;
+    const loginBtn = document.getElementById('loginBtn');
+    
+    loginBtn.disabled = true;
+    try {
+        const response = await fetch(`${API_BASE}/auth/login`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ username, password })
+        });
+        const result = await response.json();
+        
+        if (!response.ok) {
+            throw new Error(result.error || `HTTP ${response.status}`);
+        }
+        
+        state.token = result.data.token;
+        localStorage.setItem(TOKEN_KEY, state.token);
+        document.getElementById('loginPassword').value = '';
+        document.getElementById('loginModal').classList.remove('show');
+        
+        showToast('Login', `Bem-vindo, ${result.data.username} (${result.data.role})`, 'success');
+        startApp();
+    } catch (error) {
+        document.getElementById('loginError').textContent = error.message === 'Failed to fetch'
+            ? 'Não foi possível conectar ao bot'
+            : error.message;
+    } finally {
+        loginBtn.disabled = false;
+    }
+}
+
+async function logout() {
+    try {
+        await apiCall('/auth/logout', 'POST');
+    } catch (error) {
+        // Token já inválido: basta descartar
+    }
+    clearSession();
+    showLogin();
+}
+
+function clearSession() {
+    state.token = null;
+    state.user = null;
+    localStorage.removeItem(TOKEN_KEY);
+    document.getElementById('currentUser').textContent = '';
+    document.getElementById('logoutBtn').style.display = 'none';
+}
+
+async function loadCurrentUser() {
+    try {
+        const result = await apiCall('/auth/me');
+        state.user = result.data;
+        document.getElementById('currentUser').textContent = `${result.data.username} (${result.data.role})`;
+        document.getElementById('logoutBtn').style.display = '';
+    } catch (error) {
+        // apiCall já trata sessão expirada
+    }
+}
+
 // ==================== NAVEGAÇÃO ====================
 function setupNavigation() {
     const navItems = document.querySelectorAll('.nav-item');
@@ -137,6 +241,12 @@ function loadPageData(pageId) {
         case 'dashboard':
             refreshDashboard();
             break;
+        case 'session':
+            loadSession();
+            break;
+        case 'chats':
+            loadChats();
+            break;
         case 'config':
             loadConfig();
             break;
@@ -168,6 +278,7 @@ async function apiCall(endpoint, method = 'GET', data = null) {
             method: method,
             headers: {
                 'Content-Type': 'application/json',
+                'Authorization': `Bearer ${state.token}`
             }
         };
         
@@ -178,6 +289,15 @@ async function apiCall(endpoint, method = 'GET', data = null) {
         const response = await fetch(`${API_BASE}${endpoint}`, options);
         const result = await response.json();
         
+        // Token expirado ou revogado: volta para a tela de login
+        if (response.status === 401) {
+            clearSession();
+            showLogin('Sessão expirada. Entre novamente.');
+            const authError = new Error(result.error || 'Não autenticado');
+            authError.handled = true;
+            throw authError;
+        }
+        
         if (!response.ok) {
             throw new Error(result.error || `HTTP ${response.status}`);
         }
@@ -185,7 +305,9 @@ async function apiCall(endpoint, method = 'GET', data = null) {
         return result;
     } catch (error) {
         console.error(`Erro na API ${endpoint}:`, error);
-        showToast('Erro de conexão com o bot', error.message, 'error');
+        if (!error.handled) {
+            showToast('Erro de conexão com o bot', error.message, 'error');
+        }
         updateConnectionStatus(false);
         throw error;
     }
@@ -193,13 +315,121 @@ async function apiCall(endpoint, method = 'GET', data = null) {
 
 // ==================== STATUS E POLLING ====================
 function startStatusPolling() {
-    // Atualiza status a cada 3 segundos
-    state.refreshInterval = setInterval(updateStatus, 3000);
+    // Atualiza status periodicamente (o resto chega pelos eventos)
+    state.refreshInterval = setInterval(updateStatus, STATUS_POLL_INTERVAL);
     
     // Primeira atualização imediata
     updateStatus();
 }
 
+// Agrupa rajadas de eventos em uma única leitura de /status
+function scheduleStatusRefresh() {
+    if (state.statusRefreshTimer) return;
+    state.statusRefreshTimer = setTimeout(() => {
+        state.statusRefreshTimer = null;
+        updateStatus();
+    }, 1000);
+}
+
+// ==================== EVENTOS EM TEMPO REAL ====================
+function connectEvents() {
+    disconnectEvents();
+    if (!state.token) return;
+    
+    // EventSource não envia cabeçalhos: o token vai na query
+    const source = new EventSource(`${API_BASE}/events?token=${encodeURIComponent(state.token)}`);
+    state.events = source;
+    
+    source.onopen = () => {
+        state.eventsRetry = 0;
+        updateLiveStatus(true);
+    };
+    
+    source.onerror = () => {
+        updateLiveStatus(false);
+        
+        // CONNECTING = o navegador já está reconectando sozinho
+        if (source.readyState === EventSource.CLOSED) {
+            scheduleEventsReconnect();
+        }
+    };
+    
+    ACTIVITY_EVENTS.forEach(type => {
+        source.addEventListener(type, event => {
+            handleActivityEvent(JSON.parse(event.data).data);
+        });
+    });
+    
+    source.addEventListener('connection.changed', event => {
+        displaySession(JSON.parse(event.data).data);
+        updateStatus();
+    });
+    
+    source.addEventListener('error.logged', event => {
+        const { data } = JSON.parse(event.data);
+        showToast('Erro no bot', data.message, 'error');
+    });
+    
+    source.addEventListener('qr.generated', event => {
+        displaySessionQr(JSON.parse(event.data).data);
+        
+        // Primeiro QR do pareamento: avisa fora da tela do WhatsApp
+        if (state.currentPage !== 'session' && JSON.parse(event.data).data.count === 1) {
+            showToast('WhatsApp', 'Novo QR Code para parear: abra a tela WhatsApp', 'info');
+        }
+    });
+}
+
+function disconnectEvents() {
+    clearTimeout(state.eventsTimer);
+    state.eventsTimer = null;
+    if (state.events) {
+        state.events.close();
+        state.events = null;
+    }
+    updateLiveStatus(false);
+}
+
+/**
+ * Reconecta com espera crescente (1s, 2s, 4s... até 30s). Antes confere o
+ * token: se expirou, apiCall volta para a tela de login.
+ */
+function scheduleEventsReconnect() {
+    const delay = Math.min(30000, 1000 * 2 ** state.eventsRetry);
+    state.eventsRetry++;
+    
+    clearTimeout(state.eventsTimer);
+    state.eventsTimer = setTimeout(async () => {
+        try {
+            await apiCall('/auth/me');
+            connectEvents();
+        } catch (error) {
+            if (state.token) scheduleEventsReconnect();
+        }
+    }, delay);
+}
+
+function handleActivityEvent(entry) {
+    state.activity.push(entry);
+    if (state.activity.length > 1000) {
+        state.activity = state.activity.slice(-1000);
+    }
+    
+    if (state.currentPage === 'activity') {
+        displayActivity(state.activity);
+    }
+    if (state.currentPage === 'chats' && entry.chatId) {
+        scheduleChatsRefresh(entry.chatId);
+    }
+    scheduleStatusRefresh();
+}
+
+function updateLiveStatus(live) {
+    const liveStatus = document.getElementById('liveStatus');
+    liveStatus.classList.toggle('online', live);
+    liveStatus.textContent = live ? 'Ao vivo' : 'Sem eventos';
+}
+
 async function updateStatus() {
     try {
         const result = await apiCall('/status');
@@ -265,6 +495,230 @@ function updateDashboardData(data) {
     document.getElementById('platform').textContent = data.system.platform || 'N/A';
 }
 
+// ==================== SESSÃO DO WHATSAPP ====================
+async function loadSession() {
+    try {
+        const result = await apiCall('/session');
+        displaySession(result.data);
+    } catch (error) {
+        document.getElementById('sessionState').textContent = 'Erro ao carregar a sessão';
+    }
+}
+
+function displaySession(session) {
+    const stateEl = document.getElementById('sessionState');
+    stateEl.textContent = session.botName
+        ? `${session.description} (${session.botName})`
+        : session.description;
+    stateEl.classList.toggle('online', session.connected);
+    
+    document.getElementById('sessionLogoutBtn').disabled = !session.actions.logout || session.busy;
+    document.getElementById('sessionResetBtn').disabled = !session.actions.reset || session.busy;
+    
+    // connection.changed não traz o QR: mantém o atual enquanto aguarda leitura
+    if (session.qr) {
+        displaySessionQr(session.qr);
+    } else if (session.state !== 'aguardando_qr') {
+        displaySessionQr(null);
+    } else if (!session.hasQr) {
+        document.getElementById('sessionQrInfo').textContent = 'Aguardando o QR Code...';
+    }
+}
+
+function displaySessionQr(qr) {
+    const img = document.getElementById('sessionQr');
+    const info = document.getElementById('sessionQrInfo');
+    
+    if (!qr) {
+        img.style.display = 'none';
+        img.removeAttribute('src');
+        info.textContent = '';
+        return;
+    }
+    
+    img.src = qr.dataUrl;
+    img.style.display = '';
+    info.textContent = `QR nº ${qr.count}, gerado às ${new Date(qr.generatedAt).toLocaleTimeString()}`;
+}
+
+async function sessionAction(action, successMessage) {
+    try {
+        const result = await apiCall(`/session/${action}`, 'POST');
+        showToast('WhatsApp', result.message || successMessage, 'success');
+        loadSession();
+    } catch (error) {
+        showToast('Erro', error.message, 'error');
+    }
+}
+
+function sessionLogoutConfirm() {
+    showModal(
+        'Desconectar WhatsApp',
+        'O aparelho atual será desconectado e o bot ficará offline até um novo QR Code ser lido. Continuar?',
+        () => sessionAction('logout', 'WhatsApp desconectado')
+    );
+}
+
+function sessionResetConfirm() {
+    showModal(
+        'Apagar Sessão Salva',
+        'A pasta wwebjs_auth será apagada e o bot precisará ser pareado de novo. Use quando o logout normal não funcionar. Continuar?',
+        () => sessionAction('reset', 'Sessão apagada')
+    );
+}
+
+// ==================== CONVERSAS ====================
+async function loadChats(page = state.chats.page) {
+    const search = document.getElementById('chatSearch').value.trim();
+    const params = new URLSearchParams({ page: Math.max(page, 1), limit: 20, search });
+    
+    try {
+        const result = await apiCall(`/chats?${params}`);
+        state.chats.page = result.data.page;
+        state.chats.pages = result.data.pages;
+        displayChats(result.data);
+    } catch (error) {
+        document.getElementById('chatList').innerHTML = '<p class="text-center">Erro ao carregar conversas</p>';
+    }
+}
+
+function displayChats(data) {
+    const container = document.getElementById('chatList');
+    
+    if (data.items.length === 0) {
+        container.innerHTML = '<p class="text-center">Nenhuma conversa na memória</p>';
+    } else {
+        container.innerHTML = data.items.map(chat => `
+            <div class="chat-item ${chat.id === state.chats.selected ? 'active' : ''}" data-chat-id="${escapeHtml(chat.id)}">
+                <div><strong>${chat.isGroup ? '👥' : '👤'} ${escapeHtml(chat.name)}</strong></div>
+                <div class="chat-item-meta">${chat.messageCount} mensagens · ${chat.lastActivity ? new Date(chat.lastActivity).toLocaleString() : 'sem data'}</div>
+                <div class="chat-item-preview">${chat.lastMessage ? escapeHtml(chat.lastMessage.preview) : ''}</div>
+            </div>
+        `).join('');
+        
+        container.querySelectorAll('.chat-item').forEach(item => {
+            item.addEventListener('click', () => openChat(item.dataset.chatId));
+        });
+    }
+    
+    document.getElementById('chatPageInfo').textContent = `${data.page} / ${data.pages} (${data.total})`;
+    document.getElementById('chatPrevBtn').disabled = data.page <= 1;
+    document.getElementById('chatNextBtn').disabled = data.page >= data.pages;
+}
+
+function openChat(chatId) {
+    state.chats.selected = chatId;
+    document.querySelectorAll('.chat-item').forEach(item => {
+        item.classList.toggle('active', item.dataset.chatId === chatId);
+    });
+    loadChatMessages();
+}
+
+async function loadChatMessages() {
+    const chatId = state.chats.selected;
+    if (!chatId) return;
+    
+    const params = new URLSearchParams({ limit: 100 });
+    const filters = {
+        q: document.getElementById('chatQuery').value.trim(),
+        from: document.getElementById('chatFrom').value,
+        to: document.getElementById('chatTo').value,
+        role: document.getElementById('chatRole').value
+    };
+    Object.entries(filters).forEach(([key, value]) => {
+        if (value) params.set(key, value);
+    });
+    
+    try {
+        const result = await apiCall(`/chats/${encodeURIComponent(chatId)}/messages?${params}`);
+        displayChatMessages(result.data);
+    } catch (error) {
+        document.getElementById('chatMessages').innerHTML = `<p class="text-center">${escapeHtml(error.message)}</p>`;
+    }
+}
+
+function displayChatMessages(data) {
+    document.getElementById('chatTitle').innerHTML =
+        `<i class="fas fa-comment-dots"></i> ${escapeHtml(data.chat.name)} <small>(${data.total} de ${data.chat.messageCount})</small>`;
+    
+    const container = document.getElementById('chatMessages');
+    if (data.items.length === 0) {
+        container.innerHTML = '<p class="text-center">Nenhuma mensagem encontrada</p>';
+        return;
+    }
+    
+    container.innerHTML = data.items.map(message => `
+        <div class="chat-message ${message.role}">
+            <div class="chat-message-time">${message.role === 'assistant' ? '🤖 Bot' : '👤 Usuário'} · ${message.timestamp ? new Date(message.timestamp).toLocaleString() : ''}</div>
+            ${escapeHtml(message.content)}
+        </div>
+    `).join('');
+    container.scrollTop = container.scrollHeight;
+}
+
+// Mensagens novas: recarrega a lista e, se for o chat aberto, as mensagens
+function scheduleChatsRefresh(chatId) {
+    clearTimeout(state.chats.refreshTimer);
+    state.chats.refreshTimer = setTimeout(() => {
+        loadChats();
+        if (chatId === state.chats.selected) {
+            loadChatMessages();
+        }
+    }, 1000);
+}
+
+async function downloadTranscript(format) {
+    const chatId = state.chats.selected;
+    if (!chatId) {
+        showToast('Conversas', 'Selecione um chat primeiro', 'info');
+        return;
+    }
+    
+    try {
+        const response = await fetch(`${API_BASE}/chats/${encodeURIComponent(chatId)}/export?format=${format}`, {
+            headers: { 'Authorization': `Bearer ${state.token}` }
+        });
+        if (!response.ok) {
+            const result = await response.json();
+            throw new Error(result.error || `HTTP ${response.status}`);
+        }
+        
+        const disposition = response.headers.get('Content-Disposition') || '';
+        const filename = (disposition.match(/filename="([^"]+)"/) || [])[1] || `conversa.${format}`;
+        
+        const url = URL.createObjectURL(await response.blob());
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = filename;
+        link.click();
+        URL.revokeObjectURL(url);
+    } catch (error) {
+        showToast('Erro', 'Erro ao exportar conversa: ' + error.message, 'error');
+    }
+}
+
+function deleteChatConfirm() {
+    const chatId = state.chats.selected;
+    if (!chatId) return;
+    
+    showModal(
+        'Apagar Conversa',
+        `O histórico e o resumo de ${chatId} serão apagados da memória do bot. Continuar?`,
+        async () => {
+            try {
+                const result = await apiCall(`/chats/${encodeURIComponent(chatId)}`, 'DELETE');
+                showToast('Sucesso', result.message, 'success');
+                state.chats.selected = null;
+                document.getElementById('chatTitle').innerHTML = '<i class="fas fa-comment-dots"></i> Selecione um chat';
+                document.getElementById('chatMessages').innerHTML = '<p class="text-center">Escolha uma conversa na lista</p>';
+                loadChats();
+            } catch (error) {
+                showToast('Erro', 'Erro ao apagar conversa: ' + error.message, 'error');
+            }
+        }
+    );
+}
+
 // ==================== CONFIGURAÇÕES ====================
 async function loadConfig() {
     try {
@@ -714,7 +1168,15 @@ async function testLLM() {
     showToast('Info', 'Testando conexão com IA...', 'info');
     try {
         const result = await apiCall('/test-llm', 'POST');
-        showToast('Sucesso', 'IA funcionando! Resposta: ' + result.data.response, 'success');
+        const summary = (result.data.providers || [])
+            .map(p => `${p.success ? '✅' : '❌'} ${p.name}: ${p.success ? p.response : p.error}`)
+            .join('\n');
+        
+        if (result.data.success) {
+            showToast('Sucesso', summary || 'IA funcionando! Resposta: ' + result.data.response, 'success');
+        } else {
+            showToast('Erro', summary || result.data.error, 'error');
+        }
     } catch (error) {
         showToast('Erro', 'Erro ao testar IA: ' + error.message, 'error');
     }
@@ -771,6 +1233,10 @@ function closeModal() {
 }
 
 // ==================== TOAST NOTIFICATIONS ====================
+/**
+ * Título e mensagem são texto puro (podem vir do bot ou do WhatsApp);
+ * quebras de linha viram <br>
+ */
 function showToast(title, message, type = 'info') {
     const container = document.getElementById('toastContainer');
     const id = 'toast-' + Date.now();
@@ -780,10 +1246,10 @@ function showToast(title, message, type = 'info') {
     toast.className = `toast ${type}`;
     toast.innerHTML = `
         <div class="toast-header">
-            <span class="toast-title">${title}</span>
+            <span class="toast-title">${escapeHtml(title)}</span>
             <span class="toast-close" onclick="closeToast('${id}')">&times;</span>
         </div>
-        <div class="toast-message">${message}</div>
+        <div class="toast-message">${escapeHtml(message).replace(/\n/g, '<br>')}</div>
     `;
     
     container.appendChild(toast);
@@ -805,6 +1271,12 @@ function closeToast(id) {
 }
 
 // ==================== UTILS ====================
+// Conteúdo vindo do WhatsApp nunca entra no HTML sem escape
+function escapeHtml(text) {
+    const entities = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' };
+    return String(text == null ? '' : text).replace(/[&<>"']/g, char => entities[char]);
+}
+
 function showCreateUser() {
     // Foca no campo de username
     document.getElementById('newUsername').focus();
@@ -815,4 +1287,5 @@ window.addEventListener('beforeunload', () => {
     if (state.refreshInterval) {
         clearInterval(state.refreshInterval);
     }
+    disconnectEvents();
 });
\ No newline at end of file
@@ -0,0 +1,54 @@
+#!/usr/bin/env node
+// scripts/migrate-sqlite.js - Importa o memoria.json para o backend SQLite
+import 'dotenv/config';
+import { promises as fs } from 'fs';
+import { createStorage } from '../src/lib/storage/index.js';
+
+async function main() {
+  const args = process.argv.slice(2);
+  const force = args.includes('--force');
+  const [source = process.env.MEMORY_FILE || './memoria.json', target = process.env.SQLITE_FILE || './memoria.db'] =
+    args.filter(arg => !arg.startsWith('--'));
+  
+  console.log('🗄️ Ceros AI - Migração da memória para SQLite\n');
+  
+  try {
+    console.log(`📄 Origem: ${source}`);
+    console.log(`🗄️ Destino: ${target}\n`);
+    
+    const data = JSON.parse(await fs.readFile(source, 'utf-8'));
+    // Aceita tanto o memoria.json quanto o campo `data` de um export/backup
+    const cache = data.memory?.data || data.data || data;
+    
+    const sqlite = await createStorage('sqlite', { file: target });
+    const existing = await sqlite.load();
+    
+    if (Object.keys(existing).length > 0 && !force) {
+      console.log(`⚠️ O banco ${target} já tem ${Object.keys(existing).length} chats.`);
+      console.log('Use --force para substituir o conteúdo.');
+      await sqlite.close();
+      process.exit(1);
+    }
+    
+    await sqlite.replaceAll(cache);
+    const migrated = await sqlite.load();
+    await sqlite.close();
+    
+    const chats = Object.keys(migrated).length;
+    const messages = Object.values(migrated).reduce((total, list) => total + list.length, 0);
+    
+    console.log(`✅ Migração concluída: ${chats} chats, ${messages} mensagens`);
+    console.log('\nPara usar o SQLite, defina no .env:');
+    console.log('  STORAGE_BACKEND=sqlite');
+    console.log(`  SQLITE_FILE=${target}`);
+    console.log(`\nO arquivo ${source} não foi alterado e pode ser mantido como cópia.`);
+    
+  } catch (error) {
+    console.error('❌ Erro:', error.message);
+    console.log('\nUso:');
+    console.log('  npm run migrate:sqlite [memoria.json] [memoria.db] [--force]');
+    process.exit(1);
+  }
+}
+
+main();
@@ -5,23 +5,252 @@ import cors from 'cors';
 import { promises as fs } from 'fs';
 import { join } from 'path';
 import { exec } from 'child_process';
-import { getMemoryStats, clearMemory, cleanupInactiveChats } from '../lib/memory.js';
+import { getMemoryStats, clearMemory, clearChatMemory, cleanupInactiveChats, listChats } from '../lib/memory.js';
 import { getRateLimitStats, rateLimiter } from '../lib/rateLimit.js';
 import { testLLMConnection, getModelInfo } from '../lib/llm.js';
 import { createBackup, listBackups, restoreBackup, deleteBackup } from '../lib/backup.js';
 import { authManager } from '../lib/auth.js';
+import { personaManager } from '../lib/personas.js';
+import { chatPolicyManager } from '../lib/chatPolicies.js';
+import { llmQueue } from '../lib/llmQueue.js';
+import { toolRegistry } from '../lib/tools/index.js';
+import { broadcastManager } from '../lib/broadcast.js';
+import { hasRole, canAssignRole, normalizeRole } from '../lib/roles.js';
 import { errorLogger } from '../lib/errorHandler.js';
+import { botEvents, EVENT_TYPES } from '../lib/events.js';
+import { sessionManager } from '../lib/session.js';
+import { summaryManager } from '../lib/summaries.js';
+import { listConversations, getConversationMessages, exportTranscript } from '../lib/conversations.js';
+import { searchIndex } from '../lib/searchIndex.js';
+import { parseDateFilter } from '../lib/dateParser.js';
 import { logger } from '../lib/logger.js';
 
 const app = express();
 const PORT = 3001;
+// Só aceita conexões locais por padrão; use 0.0.0.0 para expor na rede
+const HOST = process.env.API_HOST || '127.0.0.1';
+// Comentário periódico que mantém o stream SSE aberto (e revalida o token)
+const EVENTS_HEARTBEAT = 25000;
+
+/**
+ * Origens liberadas no CORS (API_CORS_ORIGINS, separadas por vírgula).
+ * "null" é a origem do Control Panel (página file:// do Electron); "*" libera todas.
+ */
+function getCorsOrigins() {
+  return (process.env.API_CORS_ORIGINS || 'null').split(',').map(o => o.trim()).filter(Boolean);
+}
 
 // Middleware
-app.use(cors());
+app.use(cors({
+  origin: (origin, callback) => {
+    const allowed = getCorsOrigins();
+    // Sem Origin = cliente fora do navegador (curl, scripts); o token continua obrigatório
+    callback(null, !origin || allowed.includes('*') || allowed.includes(origin));
+  }
+}));
 app.use(express.json());
 
+// ==================== AUTENTICAÇÃO ====================
+
+// Login com usuário e senha do AuthManager (os mesmos do /login no WhatsApp)
+app.post('/api/auth/login', async (req, res) => {
+  try {
+    const { username, password } = req.body || {};
+    if (!username || !password) {
+      return res.status(400).json({ success: false, error: 'username e password são obrigatórios' });
+    }
+
+    const session = await authManager.createApiToken(username, password, req.ip);
+    logger.info(`🔐 Login na API: ${session.username} (${session.role})`);
+    res.json({ success: true, data: session });
+  } catch (error) {
+    res.status(401).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * Exige `Authorization: Bearer <token ou chave de API>` em todas as rotas /api
+ * (menos o login) e guarda quem chamou em req.auth. Só /api/events aceita
+ * `?token=`, porque o EventSource do navegador não envia cabeçalhos.
+ */
+app.use('/api', (req, res, next) => {
+  const [scheme, header] = (req.headers.authorization || '').split(' ');
+  const credential = scheme === 'Bearer' ? header : (req.path === '/events' ? req.query.token : null);
+  const auth = credential ? authManager.verifyApiCredential(credential) : null;
+
+  if (!auth) {
+    res.status(401).json({ success: false, error: 'Não autenticado: faça login em /api/auth/login ou use uma chave de API' });
+    return;
+  }
+
+  req.auth = auth;
+  req.credential = credential;
+  next();
+});
+
+// Papel mínimo de cada ação de /api/actions
+const ACTION_ROLES = {
+  'clear-memory': 'owner',
+  'cleanup-chats': 'admin',
+  'reset-rate-limit': 'moderator',
+  'create-backup': 'admin',
+  'restart-bot': 'owner'
+};
+
+/**
+ * Papel de quem chama a API (usuário do token ou papel da chave de API)
+ */
+function getCallerRole(req) {
+  return req.auth?.role;
+}
+
+/**
+ * Exige um papel mínimo (string ou função que recebe a requisição)
+ */
+function requireRole(required) {
+  return (req, res, next) => {
+    const role = typeof required === 'function' ? required(req) : required;
+    if (!hasRole(getCallerRole(req), role)) {
+      res.status(403).json({ success: false, error: `Permissão insuficiente: requer o papel ${role}` });
+      return;
+    }
+    next();
+  };
+}
+
+app.get('/api/auth/me', (req, res) => {
+  res.json({ success: true, data: req.auth });
+});
+
+app.post('/api/auth/logout', async (req, res) => {
+  if (req.auth.type !== 'token') {
+    return res.status(400).json({ success: false, error: 'Chaves de API são revogadas em DELETE /api/auth/keys/:id' });
+  }
+  await authManager.revokeApiToken(req.credential);
+  res.json({ success: true, message: 'Sessão encerrada' });
+});
+
+// Chaves de API (automações); o papel da chave limita o que ela pode fazer
+app.get('/api/auth/keys', requireRole('admin'), (req, res) => {
+  res.json({ success: true, data: authManager.listApiKeys() });
+});
+
+app.post('/api/auth/keys', requireRole('admin'), async (req, res) => {
+  try {
+    const { name, role = 'viewer', expiresInDays = null } = req.body || {};
+    const keyRole = normalizeRole(role);
+    if (!canAssignRole(getCallerRole(req), keyRole)) {
+      return res.status(403).json({ success: false, error: `Seu papel não pode criar chaves ${keyRole}` });
+    }
+
+    const apiKey = await authManager.createApiKey({ name, role: keyRole, createdBy: req.auth.username, expiresInDays });
+    res.status(201).json({
+      success: true,
+      message: 'Chave criada. Guarde o valor de "key": ele não será mostrado de novo.',
+      data: apiKey
+    });
+  } catch (error) {
+    res.status(400).json({ success: false, error: error.message });
+  }
+});
+
+app.delete('/api/auth/keys/:id', requireRole('admin'), async (req, res) => {
+  const revoked = await authManager.revokeApiKey(req.params.id);
+  if (!revoked) {
+    return res.status(404).json({ success: false, error: 'Chave não encontrada' });
+  }
+  res.json({ success: true, message: 'Chave revogada' });
+});
+
+// ==================== EVENTOS EM TEMPO REAL ====================
+
+/**
+ * Stream SSE com os eventos do bot (mensagens, respostas, comandos, erros,
+ * conexão e QR). Ao reconectar, o navegador manda Last-Event-ID e recebe
+ * o que perdeu, dentro do histórico guardado.
+ */
+app.get('/api/events', requireRole('viewer'), (req, res) => {
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  res.write('retry: 3000\n\n');
+
+  const send = event => {
+    if (!hasRole(req.auth.role, EVENT_TYPES[event.type].role)) return;
+    res.write(`id: ${event.id}\nevent: ${event.type}\ndata: ${JSON.stringify(event)}\n\n`);
+  };
+
+  botEvents.since(req.headers['last-event-id'] || req.query.lastEventId).forEach(send);
+  botEvents.on('event', send);
+
+  // Token revogado ou expirado encerra o stream; o papel é relido a cada ciclo
+  const heartbeat = setInterval(() => {
+    const auth = authManager.verifyApiCredential(req.credential);
+    if (!auth) {
+      res.end();
+      return;
+    }
+    req.auth = auth;
+    res.write(': ping\n\n');
+  }, EVENTS_HEARTBEAT);
+
+  req.on('close', () => {
+    clearInterval(heartbeat);
+    botEvents.off('event', send);
+  });
+});
+
+// ==================== SESSÃO DO WHATSAPP ====================
+
+// Estado da sessão; o QR (data URL) só vai para quem pode parear
+app.get('/api/session', requireRole('viewer'), (req, res) => {
+  res.json({
+    success: true,
+    data: sessionManager.getStatus({ includeQr: hasRole(getCallerRole(req), 'admin') })
+  });
+});
+
+// QR atual como imagem PNG
+app.get('/api/session/qr.png', requireRole('admin'), async (req, res) => {
+  try {
+    const png = await sessionManager.getQrPng();
+    if (!png) {
+      res.status(404).json({ success: false, error: 'Nenhum QR Code disponível (o bot já está pareado ou ainda iniciando)' });
+      return;
+    }
+    res.set('Cache-Control', 'no-store').type('png').send(png);
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Desconectar o aparelho e parear de novo
+app.post('/api/session/logout', requireRole('owner'), async (req, res) => {
+  try {
+    await sessionManager.logout();
+    logger.warn(`📱 Sessão do WhatsApp desconectada via API por ${req.auth.username}`);
+    res.json({ success: true, message: 'WhatsApp desconectado. Um novo QR Code será gerado para parear.' });
+  } catch (error) {
+    res.status(400).json({ success: false, error: error.message });
+  }
+});
+
+// Apagar wwebjs_auth e recomeçar do zero
+app.post('/api/session/reset', requireRole('owner'), async (req, res) => {
+  try {
+    await sessionManager.resetSession();
+    logger.warn(`📱 Sessão do WhatsApp apagada via API por ${req.auth.username}`);
+    res.json({ success: true, message: 'Sessão salva apagada. Um novo QR Code será gerado para parear.' });
+  } catch (error) {
+    res.status(400).json({ success: false, error: error.message });
+  }
+});
+
 // Endpoint para logs de atividade (deve vir após o app e middlewares)
-app.get('/api/activity', async (req, res) => {
+app.get('/api/activity', requireRole('viewer'), async (req, res) => {
   try {
     const log = await getActivityLog();
     res.json({ success: true, data: log });
@@ -49,7 +278,7 @@ export function updateBotStatus(status) {
 // ==================== ROTAS DA API ====================
 
 // Status geral do sistema
-app.get('/api/status', (req, res) => {
+app.get('/api/status', requireRole('viewer'), (req, res) => {
   try {
     const memStats = getMemoryStats();
     const rateStats = getRateLimitStats();
@@ -60,6 +289,7 @@ app.get('/api/status', (req, res) => {
       data: {
         bot: {
           connected: botStatus.connected,
+          state: sessionManager.state,
           uptime: Math.floor(process.uptime()),
           lastUpdate: botStatus.lastUpdate
         },
@@ -76,8 +306,10 @@ app.get('/api/status', (req, res) => {
         },
         model: {
           name: modelInfo.model,
-          endpoint: modelInfo.endpoint
+          endpoint: modelInfo.endpoint,
+          providers: modelInfo.providers
         },
+        queue: llmQueue.getStats(),
         system: {
           nodeMemoryMB: Math.round(process.memoryUsage().heapUsed / 1024 / 1024),
           platform: process.platform
@@ -90,7 +322,7 @@ app.get('/api/status', (req, res) => {
 });
 
 // Configurações do .env
-app.get('/api/config', async (req, res) => {
+app.get('/api/config', requireRole('admin'), async (req, res) => {
   try {
     const envContent = await fs.readFile('.env', 'utf-8');
     const config = {};
@@ -117,7 +349,7 @@ app.get('/api/config', async (req, res) => {
 });
 
 // Salvar configurações no .env
-app.post('/api/config', async (req, res) => {
+app.post('/api/config', requireRole('owner'), async (req, res) => {
   try {
     const newConfig = req.body;
     
@@ -164,7 +396,7 @@ app.post('/api/config', async (req, res) => {
 });
 
 // Testar conexão com LLM
-app.post('/api/test-llm', async (req, res) => {
+app.post('/api/test-llm', requireRole('moderator'), async (req, res) => {
   try {
     const result = await testLLMConnection();
     res.json({ success: true, data: result });
@@ -174,7 +406,7 @@ app.post('/api/test-llm', async (req, res) => {
 });
 
 // Estatísticas detalhadas
-app.get('/api/stats', (req, res) => {
+app.get('/api/stats', requireRole('viewer'), (req, res) => {
   try {
     const memStats = getMemoryStats();
     const rateStats = getRateLimitStats();
@@ -200,7 +432,7 @@ app.get('/api/stats', (req, res) => {
 });
 
 // Logs recentes
-app.get('/api/logs', async (req, res) => {
+app.get('/api/logs', requireRole('viewer'), async (req, res) => {
   try {
     const limit = parseInt(req.query.limit) || 100;
     const errors = errorLogger.getRecentErrors(limit);
@@ -217,7 +449,7 @@ app.get('/api/logs', async (req, res) => {
   }
 });
 
-app.delete('/api/logs', async (req, res) => {
+app.delete('/api/logs', requireRole('admin'), async (req, res) => {
   try {
     errorLogger.clearErrors();
     res.json({
@@ -230,7 +462,7 @@ app.delete('/api/logs', async (req, res) => {
 });
 
 // Ações do sistema
-app.post('/api/actions/:action', async (req, res) => {
+app.post('/api/actions/:action', requireRole(req => ACTION_ROLES[req.params.action] || 'owner'), async (req, res) => {
   try {
     logger.debug('API Action request:', { params: req.params, body: req.body });
     const { action } = req.params;
@@ -330,7 +562,7 @@ app.post('/api/actions/:action', async (req, res) => {
 });
 
 // Backups
-app.get('/api/backups', async (req, res) => {
+app.get('/api/backups', requireRole('viewer'), async (req, res) => {
   try {
     const backups = await listBackups();
     res.json({ success: true, data: backups });
@@ -339,7 +571,7 @@ app.get('/api/backups', async (req, res) => {
   }
 });
 
-app.post('/api/backups/restore/:id', async (req, res) => {
+app.post('/api/backups/restore/:id', requireRole('owner'), async (req, res) => {
   try {
     const { id } = req.params;
     const result = await restoreBackup(id);
@@ -354,7 +586,7 @@ app.post('/api/backups/restore/:id', async (req, res) => {
   }
 });
 
-app.delete('/api/backups/:filename', async (req, res) => {
+app.delete('/api/backups/:filename', requireRole('admin'), async (req, res) => {
   try {
     const { filename } = req.params;
     await deleteBackup(filename);
@@ -369,7 +601,7 @@ app.delete('/api/backups/:filename', async (req, res) => {
 });
 
 // Usuários admin
-app.get('/api/users', (req, res) => {
+app.get('/api/users', requireRole('admin'), (req, res) => {
   try {
     const users = authManager.listUsers();
     const sessions = authManager.listSessions();
@@ -387,9 +619,9 @@ app.get('/api/users', (req, res) => {
   }
 });
 
-app.post('/api/users', async (req, res) => {
+app.post('/api/users', requireRole('admin'), async (req, res) => {
   try {
-    const { username, password } = req.body;
+    const { username, password, role = 'viewer' } = req.body;
     
     // Validação de entrada
     if (!username || typeof username !== 'string' || username.trim().length === 0) {
@@ -408,8 +640,13 @@ app.post('/api/users', async (req, res) => {
       return res.status(400).json({ success: false, error: 'Password deve ter pelo menos 6 caracteres' });
     }
     
-    await authManager.createUser(username.trim(), password.trim(), 'control-panel');
-    logger.info(`👤 Usuário ${username.trim()} criado via Control Panel`);
+    const userRole = normalizeRole(role);
+    if (!canAssignRole(getCallerRole(req), userRole)) {
+      return res.status(403).json({ success: false, error: `Seu papel não pode criar usuários ${userRole}` });
+    }
+    
+    await authManager.createUser(username.trim().toLowerCase(), password.trim(), req.auth.username, userRole);
+    logger.info(`👤 Usuário ${username.trim()} (${userRole}) criado via Control Panel`);
     res.json({
       success: true,
       message: `Usuário ${username.trim()} criado com sucesso!`
@@ -419,9 +656,13 @@ app.post('/api/users', async (req, res) => {
   }
 });
 
-app.delete('/api/users/:username', async (req, res) => {
+app.delete('/api/users/:username', requireRole('admin'), async (req, res) => {
   try {
     const { username } = req.params;
+    const current = authManager.getUserRole(username);
+    if (current && !canAssignRole(getCallerRole(req), current)) {
+      return res.status(403).json({ success: false, error: `Seu papel não pode remover usuários ${current}` });
+    }
     await authManager.removeUser(username);
     logger.info(`👤 Usuário ${username} removido via Control Panel`);
     res.json({
@@ -433,6 +674,284 @@ app.delete('/api/users/:username', async (req, res) => {
   }
 });
 
+app.put('/api/users/:username/role', requireRole('admin'), async (req, res) => {
+  try {
+    const { username } = req.params;
+    const current = authManager.getUserRole(username);
+    if (!current) {
+      return res.status(404).json({ success: false, error: 'Usuário não encontrado' });
+    }
+    
+    const userRole = normalizeRole(req.body?.role);
+    const callerRole = getCallerRole(req);
+    if (!canAssignRole(callerRole, current) || !canAssignRole(callerRole, userRole)) {
+      return res.status(403).json({ success: false, error: `Seu papel não pode alterar ${username} de ${current} para ${userRole}` });
+    }
+    
+    await authManager.setRole(username, userRole);
+    logger.info(`🛡️ Papel de ${username} alterado para ${userRole} via Control Panel`);
+    res.json({
+      success: true,
+      message: `${username} agora é ${userRole}`,
+      data: { username, role: userRole }
+    });
+  } catch (error) {
+    res.status(400).json({ success: false, error: error.message });
+  }
+});
+
+// Personas
+app.get('/api/personas', requireRole('viewer'), (req, res) => {
+  try {
+    res.json({
+      success: true,
+      data: {
+        personas: personaManager.listPersonas(),
+        chatPersonas: Object.fromEntries(personaManager.chatPersonas)
+      }
+    });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+app.get('/api/personas/:name', requireRole('viewer'), (req, res) => {
+  const persona = personaManager.getPersona(req.params.name);
+  
+  if (!persona) {
+    return res.status(404).json({ success: false, error: 'Persona não encontrada' });
+  }
+  
+  res.json({ success: true, data: persona });
+});
+
+app.post('/api/personas', requireRole('admin'), async (req, res) => {
+  try {
+    const { name, ...data } = req.body || {};
+    const persona = await personaManager.createPersona(name, data);
+    logger.info(`🎭 Persona ${persona.name} criada via Control Panel`);
+    res.json({
+      success: true,
+      message: `Persona ${persona.name} criada com sucesso!`,
+      data: persona
+    });
+  } catch (error) {
+    res.status(400).json({ success: false, error: error.message });
+  }
+});
+
+app.put('/api/personas/:name', requireRole('admin'), async (req, res) => {
+  try {
+    const persona = await personaManager.updatePersona(req.params.name, req.body || {});
+    logger.info(`🎭 Persona ${persona.name} atualizada via Control Panel`);
+    res.json({
+      success: true,
+      message: `Persona ${persona.name} atualizada com sucesso!`,
+      data: persona
+    });
+  } catch (error) {
+    res.status(400).json({ success: false, error: error.message });
+  }
+});
+
+app.delete('/api/personas/:name', requireRole('admin'), async (req, res) => {
+  try {
+    const { name } = req.params;
+    const resetChats = await personaManager.removePersona(name);
+    logger.info(`🗑️ Persona ${name} removida via Control Panel`);
+    res.json({
+      success: true,
+      message: `Persona ${name} removida! ${resetChats} chats voltaram para a persona padrão.`
+    });
+  } catch (error) {
+    res.status(400).json({ success: false, error: error.message });
+  }
+});
+
+// Ferramentas disponíveis para as personas (campo `tools`)
+app.get('/api/tools', requireRole('viewer'), (req, res) => {
+  res.json({
+    success: true,
+    data: {
+      tools: toolRegistry.list(),
+      default: toolRegistry.resolveAllowed()
+    }
+  });
+});
+
+// Conversas guardadas na memória
+app.get('/api/chats', requireRole('viewer'), (req, res) => {
+  const { search = '', page, limit } = req.query;
+  res.json({ success: true, data: listConversations({ search: String(search), page, limit }) });
+});
+
+app.get('/api/chats/:id/messages', requireRole('viewer'), (req, res) => {
+  if (!listChats().includes(req.params.id)) {
+    return res.status(404).json({ success: false, error: 'Chat não encontrado' });
+  }
+
+  try {
+    const { q = '', from, to, role, page, limit } = req.query;
+    res.json({
+      success: true,
+      data: getConversationMessages(req.params.id, { q: String(q), from, to, role, page, limit })
+    });
+  } catch (error) {
+    res.status(400).json({ success: false, error: error.message });
+  }
+});
+
+// Transcrição para download (?format=json|md|txt)
+app.get('/api/chats/:id/export', requireRole('viewer'), (req, res) => {
+  if (!listChats().includes(req.params.id)) {
+    return res.status(404).json({ success: false, error: 'Chat não encontrado' });
+  }
+
+  try {
+    const transcript = exportTranscript(req.params.id, String(req.query.format || 'json'));
+    res.set('Content-Type', transcript.contentType);
+    res.attachment(transcript.filename);
+    res.send(transcript.content);
+  } catch (error) {
+    res.status(400).json({ success: false, error: error.message });
+  }
+});
+
+// Apaga o histórico (e o resumo) de um chat
+app.delete('/api/chats/:id', requireRole('admin'), async (req, res) => {
+  if (!listChats().includes(req.params.id)) {
+    return res.status(404).json({ success: false, error: 'Chat não encontrado' });
+  }
+
+  const removed = await clearChatMemory(req.params.id);
+  await summaryManager.resetSummary(req.params.id);
+  logger.info(`🗑️ Conversa ${req.params.id} apagada via API por ${req.auth.username}`);
+  res.json({ success: true, message: `Conversa apagada (${removed} mensagens)`, data: { removed } });
+});
+
+// Busca em todas as conversas (?q=termos&role=&chatId=&sender=&from=&to=&limit=&offset=)
+app.get('/api/search', requireRole('viewer'), (req, res) => {
+  try {
+    const { q = '', role, chatId, sender, from, to, limit, offset } = req.query;
+    const data = searchIndex.search(String(q), {
+      role: role || null,
+      chatId: chatId || null,
+      sender: sender || null,
+      from: parseDateFilter(from),
+      to: parseDateFilter(to, { endOfDay: true }),
+      limit,
+      offset
+    });
+    res.json({ success: true, data });
+  } catch (error) {
+    res.status(400).json({ success: false, error: error.message });
+  }
+});
+
+// Políticas de resposta por chat
+app.get('/api/chats/:id/policy', requireRole('viewer'), (req, res) => {
+  res.json({ success: true, data: chatPolicyManager.getPolicy(req.params.id) });
+});
+
+app.put('/api/chats/:id/policy', requireRole('moderator'), async (req, res) => {
+  try {
+    const policy = await chatPolicyManager.setPolicy(req.params.id, req.body || {});
+    logger.info(`🚦 Política do chat ${req.params.id} atualizada via Control Panel`);
+    res.json({
+      success: true,
+      message: 'Política atualizada com sucesso!',
+      data: policy
+    });
+  } catch (error) {
+    res.status(400).json({ success: false, error: error.message });
+  }
+});
+
+app.delete('/api/chats/:id/policy', requireRole('moderator'), async (req, res) => {
+  await chatPolicyManager.resetPolicy(req.params.id);
+  res.json({
+    success: true,
+    message: 'Chat voltou para a política padrão',
+    data: chatPolicyManager.getPolicy(req.params.id)
+  });
+});
+
+// Transmissões (mensagem para vários chats)
+app.get('/api/broadcast', requireRole('viewer'), (req, res) => {
+  res.json({
+    success: true,
+    data: {
+      ...broadcastManager.getStatus(),
+      lists: broadcastManager.getLists()
+    }
+  });
+});
+
+// Body: { target: todos|grupos|privados|lista, list?, text, dryRun? }
+// dryRun devolve só a prévia; sem ele o envio começa e o progresso sai em GET /api/broadcast/:id
+app.post('/api/broadcast', requireRole('admin'), (req, res) => {
+  try {
+    const { target, list, text, dryRun } = req.body || {};
+    const prepared = broadcastManager.prepare({ target, list, text });
+
+    if (dryRun) {
+      res.json({ success: true, data: prepared });
+      return;
+    }
+
+    if (!botStatus.connected) {
+      res.status(409).json({ success: false, error: 'Bot não está conectado' });
+      return;
+    }
+
+    const job = broadcastManager.start(prepared, { requestedBy: req.auth.username });
+    logger.info(`📢 Transmissão ${job.id} iniciada via Control Panel`);
+    res.status(202).json({
+      success: true,
+      message: `Transmissão iniciada para ${job.total} chat(s)`,
+      data: job
+    });
+  } catch (error) {
+    res.status(400).json({ success: false, error: error.message });
+  }
+});
+
+app.put('/api/broadcast/lists/:name', requireRole('admin'), async (req, res) => {
+  try {
+    const chatIds = await broadcastManager.saveList(req.params.name, req.body?.chatIds);
+    res.json({ success: true, message: 'Lista salva com sucesso!', data: { name: req.params.name.toLowerCase(), chatIds } });
+  } catch (error) {
+    res.status(400).json({ success: false, error: error.message });
+  }
+});
+
+app.delete('/api/broadcast/lists/:name', requireRole('admin'), async (req, res) => {
+  const deleted = await broadcastManager.deleteList(req.params.name);
+  if (!deleted) {
+    res.status(404).json({ success: false, error: 'Lista não encontrada' });
+    return;
+  }
+  res.json({ success: true, message: 'Lista removida com sucesso!' });
+});
+
+app.get('/api/broadcast/:id', requireRole('viewer'), (req, res) => {
+  const job = broadcastManager.getJob(req.params.id);
+  if (!job) {
+    res.status(404).json({ success: false, error: 'Transmissão não encontrada' });
+    return;
+  }
+  res.json({ success: true, data: job });
+});
+
+app.post('/api/broadcast/:id/cancel', requireRole('admin'), (req, res) => {
+  const current = broadcastManager.getStatus().current;
+  if (!current || current.id !== req.params.id) {
+    res.status(404).json({ success: false, error: 'Nenhuma transmissão em andamento com esse id' });
+    return;
+  }
+  res.json({ success: true, message: 'Cancelamento solicitado', data: broadcastManager.cancel() });
+});
+
 // Middleware de erro
 app.use((err, req, res, next) => {
   logger.error('Erro na API:', err);
@@ -441,7 +960,7 @@ app.use((err, req, res, next) => {
 
 // Iniciar servidor
 export function startAPIServer() {
-  app.listen(PORT, () => {
-    logger.info(`API: Control Panel rodando em http://localhost:${PORT}`);
+  app.listen(PORT, HOST, () => {
+    logger.info(`API: Control Panel rodando em http://${HOST}:${PORT}`);
   });
 }
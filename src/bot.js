@@ -1,265 +1,87 @@
 // src/bot.js
-import pkg from 'whatsapp-web.js';
-const { Client, LocalAuth } = pkg;
+import 'dotenv/config';
 import qrcode from 'qrcode-terminal';
 import { logger } from './lib/logger.js';
-import { loadMemory, saveMemory, pushMessage, getThread, clearMemory, getMemoryStats } from './lib/memory.js';
-import { askLLM } from './lib/llm.js';
-import { rateLimiter, isRateLimited } from './lib/rateLimit.js';
-import { commands } from './lib/commands.js';
+import { loadMemory, saveMemory, closeMemory } from './lib/memory.js';
 import { createBackup } from './lib/backup.js';
-import { errorLogger, withErrorHandling } from './lib/errorHandler.js';
-import { ContextManager } from './lib/contextManager.js';
+import { errorLogger } from './lib/errorHandler.js';
 import { authManager } from './lib/auth.js';
+import { personaManager } from './lib/personas.js';
+import { loadTokenizer } from './lib/tokenizer.js';
+import { summaryManager } from './lib/summaries.js';
+import { userFactsManager } from './lib/userFacts.js';
+import { chatPolicyManager } from './lib/chatPolicies.js';
+import { reminderManager } from './lib/reminders.js';
+import { broadcastManager } from './lib/broadcast.js';
+import { sessionManager } from './lib/session.js';
+import { chatDirectory } from './lib/chatDirectory.js';
+import { MessagePipeline } from './lib/pipeline.js';
+import { createTransport } from './transports/index.js';
 import { startAPIServer, updateBotStatus } from './api/server.js';
-import { logActivity } from './lib/activityLogger.js';
-import 'dotenv/config';
 
 // ------------- Configurações -------------
-const answered = new Map(); // Anti-duplicado por 5s
-const ADMIN_NUMBERS = (process.env.ADMIN_NUMBERS || 'seu_numero_aqui').split(',').map(n => n.trim());
-const DUPLICATE_TIMEOUT = parseInt(process.env.DUPLICATE_TIMEOUT) || 5000;
-const GROUP_RANDOM_CHANCE = parseFloat(process.env.GROUP_RANDOM_CHANCE) || 0.25;
+// Transporte: whatsapp (padrão) ou cli (`node src/bot.js --cli`)
+const TRANSPORT = process.argv.includes('--cli') ? 'cli' : (process.env.TRANSPORT || 'whatsapp');
 // ----------------------------------------
 
-const client = new Client({
-  authStrategy: new LocalAuth({ dataPath: './wwebjs_auth' }),
-  puppeteer: { 
-    headless: true, 
-    args: [
-      '--no-sandbox',
-      '--disable-setuid-sandbox',
-      '--disable-dev-shm-usage',
-      '--disable-accelerated-2d-canvas',
-      '--no-first-run',
-      '--no-zygote',
-      '--single-process',
-      '--disable-gpu'
-    ]
-  }
-});
+const transport = await createTransport(TRANSPORT);
+const pipeline = new MessagePipeline(transport);
+broadcastManager.setTransport(transport);
+sessionManager.setTransport(transport);
+
+transport.onMessage(msg => pipeline.handle(msg));
 
-// Eventos do cliente
-client.on('qr', qr => {
+// Eventos do transporte
+transport.on('qr', qr => {
   logger.info('📱 Escaneie o QR Code para conectar');
   qrcode.generate(qr, { small: true });
+
+  // QR também no Control Panel (pareamento de outra máquina)
+  sessionManager.setQr(qr).catch(err => logger.error('Erro ao gerar imagem do QR Code:', err));
 });
 
-client.on('ready', () => {
+transport.on('ready', () => {
   logger.info('CONNECTED: Ceros AI conectado e operacional!');
-  logger.info('📊 Bot Info: %s', client.info.pushname);
+  logger.info('📊 Bot Info: %s', transport.getBotName());
   
   // Atualiza status da API
   updateBotStatus({ connected: true });
+  sessionManager.setState('conectado');
   
   // Backup automático na inicialização
   createBackup().catch(err => logger.error('Erro no backup inicial:', err));
+
+  // Agendador de lembretes (entrega também os que venceram com o bot offline)
+  reminderManager.start(transport);
 });
 
-client.on('disconnected', (reason) => {
+transport.on('disconnected', (reason) => {
   logger.warn('🔌 Bot desconectado: %s', reason);
   updateBotStatus({ connected: false });
+  sessionManager.setState('desconectado', { reason });
+  reminderManager.stop();
+
+  // No modo terminal, fechar o stdin encerra o bot
+  if (transport.name === 'cli') {
+    shutdown();
+    return;
+  }
+
   errorLogger.logError(new Error(`WhatsApp desconectado: ${reason}`), {
     context: 'whatsapp_disconnect',
     reason: reason
   });
 });
 
-client.on('auth_failure', () => {
+transport.on('auth_failure', () => {
   logger.error('❌ Falha na autenticação!');
+  updateBotStatus({ connected: false });
+  sessionManager.setState('falha_autenticacao');
   errorLogger.logError(new Error('Falha na autenticação do WhatsApp'), {
     context: 'whatsapp_auth_failure'
   });
 });
 
-// Limpeza automática do cache de duplicados
-setInterval(() => {
-  const now = Date.now();
-  for (const [key, timestamp] of answered.entries()) {
-    if (now - timestamp > DUPLICATE_TIMEOUT) {
-      answered.delete(key);
-    }
-  }
-}, 60000); // Limpa a cada minuto
-
-client.on('message', async msg => {
-  try {
-    // Ignora mensagens próprias, status e mídia não suportada
-    if (msg.fromMe || msg.isStatus) return;
-    
-    const chat = await msg.getChat();
-    const id = chat.id._serialized;
-
-    // Log de atividade: mensagem recebida
-    logActivity({
-      type: 'mensagem',
-      user: msg.author || msg.from,
-      chatName: chat.name || 'Privado',
-      body: msg.body
-    });
-    const sender = (msg.author || msg.from).replace(/[^0-9]/g, '');
-
-    // Sistema anti-duplicado
-    const key = `${id}:${msg.body}:${sender}`;
-    const now = Date.now();
-    if (answered.has(key) && now - answered.get(key) < DUPLICATE_TIMEOUT) return;
-    answered.set(key, now);
-
-    // Rate limiting por usuário
-    if (isRateLimited(sender)) {
-      logger.warn('Rate limit atingido para %s', sender);
-      return;
-    }
-
-    // ========== SISTEMA DE LOGIN ==========
-    // Verifica se está aguardando dados de login
-    if (authManager.isAwaitingLogin(sender) && !msg.body.startsWith('/')) {
-      try {
-        const result = await authManager.processLogin(sender, msg.body);
-        await msg.reply(result.message);
-        return;
-      } catch (error) {
-        await msg.reply(`❌ ${error.message}`);
-        return;
-      }
-    }
-
-    // ========== COMANDOS ADMIN ==========
-    // Admin permanente (via .env) OU admin logado via /login
-    const isPermAdmin = ADMIN_NUMBERS.includes(sender);
-    const isLoggedAdmin = authManager.isLoggedIn(sender);
-    const isAdmin = isPermAdmin || isLoggedAdmin;
-    
-    if (isAdmin && msg.body.startsWith('/')) {
-      // Log de atividade: comando usado
-      logActivity({
-        type: 'comando',
-        user: msg.author || msg.from,
-        chatName: chat.name || 'Privado',
-        body: msg.body
-      });
-      const command = msg.body.trim();
-      await commands.handleAdmin(command, msg, chat, client);
-      return;
-    }
-
-    // ========== COMANDOS USUÁRIO ==========
-    if (msg.body.startsWith('/')) {
-      await commands.handleUser(msg.body.trim(), msg, chat, sender);
-      return;
-    }
-
-    // ========== PROCESSAMENTO NORMAL ==========
-    const isMentioned = msg.mentionedIds.includes(client.info.me._serialized);
-    const isPrivateChat = !chat.isGroup;
-    const isRandomReply = chat.isGroup && Math.random() < GROUP_RANDOM_CHANCE;
-    
-    const mustReply = isPrivateChat || isMentioned || isRandomReply;
-
-    if (!mustReply) return;
-
-    // Log específico para menções
-    if (isMentioned) {
-      logActivity({
-        type: 'mencao',
-        user: msg.author || msg.from,
-        chatName: chat.name || 'Privado',
-        body: `Mencionou o bot: "${msg.body}"`
-      });
-    }
-
-    // Aplica rate limiting
-    rateLimiter.hit(sender);
-
-    // Log da interação
-    logger.info('📨 Nova mensagem de %s em %s', sender, chat.name || 'Chat Privado');
-    
-    // Mostra que está "digitando" para mensagens longas
-    await chat.sendStateTyping();
-
-    // Limpa marcações (@número) da mensagem antes de processar
-    const cleanMessage = msg.body.replace(/@\d+/g, '').trim();
-    
-    // Se a mensagem ficou vazia após limpar as marcações, usa uma mensagem padrão
-    const processedMessage = cleanMessage || 'Olá!';
-
-    pushMessage(id, 'user', processedMessage);
-
-    // Obtém e limpa o contexto para evitar confusão da IA
-    let contextMessages = getThread(id);
-    contextMessages = ContextManager.autoCleanIfConfused(contextMessages);
-
-    const messages = [
-      { 
-        role: 'system', 
-        content: `Você é o Ceros AI, um assistente virtual inteligente e prestativo.
-        
-COMPORTAMENTO:
-- Seja útil, preciso e mantenha consistência nas respostas
-- Responda SEMPRE em português brasileiro
-- Mantenha o contexto da conversa anterior
-- Se não souber algo, seja honesto sobre isso
-- Evite repetir informações desnecessariamente
-- Seja conciso mas informativo
-        
-DATA ATUAL: ${new Date().toLocaleDateString('pt-BR', { weekday: 'long', year: 'numeric', month: 'long', day: 'numeric' })}
-        
-IMPORTANTE: Analise todo o histórico da conversa antes de responder para manter coerência.` 
-      },
-      ...contextMessages
-    ];
-
-    const answer = await askLLM(messages);
-    
-    if (!answer) {
-      await msg.reply('🤖 Hmm, parece que fiquei sem palavras aqui... Tenta perguntar de novo?');
-      return;
-    }
-
-    // Log da conversa
-    console.log('');
-    console.log('┌─────────────────────────────────┐');
-    console.log(`│ 💬 ${(chat.name || 'Chat Privado').slice(0, 23).padEnd(23)} │`);
-    console.log('├─────────────────────────────────┤');
-    console.log(`│ 👤 ${msg.body.slice(0, 23).padEnd(23)}${msg.body.length > 23 ? '..' : '  '} │`);
-    console.log('├─────────────────────────────────┤');
-    console.log(`│ BOT ${answer.slice(0, 23).padEnd(23)}${answer.length > 23 ? '..' : '  '} │`);
-    console.log('└─────────────────────────────────┘');
-    console.log('');
-
-    pushMessage(id, 'assistant', answer);
-    await msg.reply(answer);
-
-    // Log de atividade: resposta enviada pelo bot
-    logActivity({
-      type: 'resposta_bot',
-      user: 'Bot CerosAI',
-      chatName: chat.name || 'Privado',
-      body: `Respondeu para ${(msg.author || msg.from).replace('@c.us', '')}: "${answer.slice(0, 100)}${answer.length > 100 ? '...' : ''}"`
-    });
-
-  } catch (error) {
-    await errorLogger.logError(error, {
-      context: 'message_processing',
-      chatId: id,
-      sender: sender,
-      messageBody: msg.body.slice(0, 100),
-      chatName: chat.name || 'Chat Privado'
-    });
-    
-    logger.error('Erro no processamento da mensagem:', error);
-    try {
-      await msg.reply('🤖 Ops! Algo deu errado aqui. Pode tentar novamente?');
-    } catch (replyError) {
-      await errorLogger.logError(replyError, {
-        context: 'error_reply_failed',
-        originalError: error.message
-      });
-      logger.error('Erro ao enviar mensagem de erro:', replyError);
-    }
-  }
-});
-
 // Inicialização
 async function initialize() {
   try {
@@ -272,6 +94,30 @@ async function initialize() {
     await authManager.loadAuth();
     logger.info('AUTH: Sistema de autenticação inicializado');
 
+    // Carrega personas (prompt de sistema por chat)
+    await personaManager.loadPersonas();
+
+    // Resumos de conversas longas
+    await summaryManager.loadSummaries();
+
+    // Fatos que cada usuário pediu para lembrar (/lembrar)
+    await userFactsManager.loadFacts();
+
+    // Políticas de resposta por chat (/grupo)
+    await chatPolicyManager.loadPolicies();
+
+    // Lembretes agendados (/lembrete)
+    await reminderManager.loadReminders();
+
+    // Listas de transmissão (/broadcast)
+    await broadcastManager.loadLists();
+
+    // Nomes dos chats (navegador de conversas do Control Panel)
+    await chatDirectory.loadNames();
+
+    // Tokenizer opcional para o orçamento de contexto (padrão: heurística)
+    await loadTokenizer();
+
     // Inicia servidor da API
     startAPIServer();
     logger.info('API: Control Panel inicializada');
@@ -307,9 +153,9 @@ async function initialize() {
       }
     }, 24 * 60 * 60 * 1000);
 
-    // Inicializa o cliente
-    logger.info('🔗 Inicializando conexão com WhatsApp...');
-    await client.initialize();
+    // Inicializa o transporte
+    logger.info('🔗 Inicializando transporte %s...', transport.name);
+    await transport.initialize();
     
   } catch (error) {
     logger.error('FATAL: Erro fatal na inicialização do WhatsApp:', error.message || error);
@@ -319,21 +165,25 @@ async function initialize() {
 }
 
 // Graceful shutdown
-process.on('SIGINT', async () => {
-  logger.info('SHUTDOWN: Recebido SIGINT, fazendo shutdown graceful...');
+async function shutdown() {
+  pipeline.stop();
+  reminderManager.stop();
+  broadcastManager.cancel();
   await saveMemory();
   await createBackup();
+  await closeMemory();
   process.exit(0);
+}
+
+process.on('SIGINT', async () => {
+  logger.info('SHUTDOWN: Recebido SIGINT, fazendo shutdown graceful...');
+  await shutdown();
 });
 
 process.on('SIGTERM', async () => {
   logger.info('🔄 Recebido SIGTERM, fazendo shutdown graceful...');
-  await saveMemory();
-  await createBackup();
-  process.exit(0);
+  await shutdown();
 });
 
-// ...existing code...
-
 // Chama a função de inicialização após a definição
 initialize();
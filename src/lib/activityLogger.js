@@ -1,13 +1,23 @@
 // src/lib/activityLogger.js
-import { promises as fs } from 'fs';
 import { join } from 'path';
+import { readJsonSafe, writeJsonAtomic } from './persistence.js';
+import { botEvents } from './events.js';
 
 const LOG_PATH = join(process.cwd(), 'logs', 'activity.json');
 const MAX_LOG_ENTRIES = 1000; // Limite para evitar vazamento de memória
 let activityLog = [];
 
+// Tipo de atividade -> evento em tempo real (o resto vira activity.logged)
+const ACTIVITY_EVENTS = {
+	mensagem: 'message.received',
+	resposta_bot: 'reply.sent',
+	comando: 'command.executed'
+};
+
 export async function logActivity(entry) {
-	activityLog.push({ ...entry, timestamp: new Date() });
+	const record = { ...entry, timestamp: new Date() };
+	activityLog.push(record);
+	botEvents.publish(ACTIVITY_EVENTS[entry.type] || 'activity.logged', record);
 	
 	// Limita o tamanho do log em memória
 	if (activityLog.length > MAX_LOG_ENTRIES) {
@@ -15,9 +25,8 @@ export async function logActivity(entry) {
 	}
 	
 	try {
-		// Garante que a pasta existe
-		await fs.mkdir(join(process.cwd(), 'logs'), { recursive: true });
-		await fs.writeFile(LOG_PATH, JSON.stringify(activityLog, null, 2));
+		// Escrita atômica (cria a pasta logs se preciso)
+		await writeJsonAtomic(LOG_PATH, activityLog);
 	} catch (err) {
 		console.error('Erro ao salvar log de atividade:', err);
 	}
@@ -25,8 +34,7 @@ export async function logActivity(entry) {
 
 export async function getActivityLog() {
 	try {
-		const data = await fs.readFile(LOG_PATH, 'utf-8');
-		activityLog = JSON.parse(data);
+		activityLog = await readJsonSafe(LOG_PATH, { defaultValue: activityLog });
 	} catch (err) {}
 	return activityLog;
 }
@@ -1,20 +1,37 @@
 // src/lib/auth.js
-import { promises as fs } from 'fs';
 import { logger } from './logger.js';
+import { readJsonSafe, writeJsonAtomic } from './persistence.js';
 import crypto from 'crypto';
+import { promisify } from 'util';
+import { DEFAULT_ROLE, LEGACY_ROLE, normalizeRole } from './roles.js';
+import { logActivity } from './activityLogger.js';
 
 const AUTH_FILE = process.env.AUTH_FILE || 'auth.json';
 const SESSION_DURATION = parseInt(process.env.SESSION_DURATION) || 24 * 60 * 60 * 1000; // 24 horas
 const CLEANUP_INTERVAL = 60 * 60 * 1000; // Limpa sessões expiradas a cada 1 hora
 
+// scrypt: custo N, tamanho do bloco r, paralelismo p (hash guardado como scrypt$N$r$p$salt$hash)
+const SCRYPT_PARAMS = { N: 16384, r: 8, p: 1 };
+const SCRYPT_KEYLEN = 64;
+const scryptAsync = promisify(crypto.scrypt);
+// Conferido quando o usuário não existe: o login paga o mesmo scrypt e o
+// tempo de resposta não revela quais usuários existem
+const DUMMY_HASH = `scrypt$${SCRYPT_PARAMS.N}$${SCRYPT_PARAMS.r}$${SCRYPT_PARAMS.p}$${'0'.repeat(32)}$${'0'.repeat(SCRYPT_KEYLEN * 2)}`;
+
+const API_KEY_PREFIX = 'cbk';
+
+function sha256(value) {
+  return crypto.createHash('sha256').update(value).digest('hex');
+}
+
 class AuthManager {
   constructor() {
-    this.users = new Map(); // username -> { password, createdAt, lastLogin }
+    this.users = new Map(); // username -> { password, role, createdAt, lastLogin }
     this.sessions = new Map(); // phoneNumber -> { username, expiresAt }
     this.awaitingLogin = new Map(); // phoneNumber -> { step, username?, timestamp }
-    
-    // Gera salt único por instância para mais segurança
-    this.salt = crypto.randomBytes(16).toString('hex');
+    this.failedAttempts = new Map(); // 'phone:número', 'ip:endereço' ou 'user:nome' -> { count, lastAttempt, lockedUntil }
+    this.apiTokens = new Map(); // sha256(token) -> { username, createdAt, expiresAt }
+    this.apiKeys = new Map(); // id -> { name, hash, role, createdBy, createdAt, expiresAt, lastUsedAt }
     
     // Cleanup automático de sessões expiradas
     this.cleanupTimer = setInterval(() => this.cleanupSessions(), CLEANUP_INTERVAL);
@@ -25,8 +42,7 @@ class AuthManager {
    */
   async loadAuth() {
     try {
-      const data = await fs.readFile(AUTH_FILE, 'utf-8');
-      const authData = JSON.parse(data);
+      const authData = await readJsonSafe(AUTH_FILE);
       
       // Carrega usuários
       if (authData.users) {
@@ -43,8 +59,13 @@ class AuthManager {
         }
       }
       
-      logger.info('AUTH: Sistema de autenticação carregado: %d usuários, %d sessões ativas', 
-                  this.users.size, this.sessions.size);
+      // Tokens da API válidos e chaves de API
+      const now = Date.now();
+      this.apiTokens = new Map(Object.entries(authData.apiTokens || {}).filter(([, token]) => token.expiresAt > now));
+      this.apiKeys = new Map(Object.entries(authData.apiKeys || {}));
+      
+      logger.info('AUTH: Sistema de autenticação carregado: %d usuários, %d sessões ativas, %d chaves de API', 
+                  this.users.size, this.sessions.size, this.apiKeys.size);
                   
     } catch (error) {
       if (error.code === 'ENOENT') {
@@ -64,27 +85,186 @@ class AuthManager {
       const authData = {
         users: Object.fromEntries(this.users),
         sessions: Object.fromEntries(this.sessions),
+        apiTokens: Object.fromEntries(this.apiTokens),
+        apiKeys: Object.fromEntries(this.apiKeys),
         lastSaved: new Date().toISOString()
       };
       
-      await fs.writeFile(AUTH_FILE, JSON.stringify(authData, null, 2));
+      await writeJsonAtomic(AUTH_FILE, authData);
       logger.debug('💾 Dados de autenticação salvos');
     } catch (error) {
       logger.error('❌ Erro ao salvar autenticação:', error);
     }
   }
 
+  get maxLoginAttempts() {
+    return parseInt(process.env.LOGIN_MAX_ATTEMPTS) || 5;
+  }
+
+  get lockoutMs() {
+    return parseInt(process.env.LOGIN_LOCKOUT_MS) || 15 * 60 * 1000;
+  }
+
+  /**
+   * Hash da senha com scrypt e salt próprio do usuário
+   */
+  async hashPassword(password) {
+    const salt = crypto.randomBytes(16).toString('hex');
+    const { N, r, p } = SCRYPT_PARAMS;
+    const hash = await scryptAsync(password, salt, SCRYPT_KEYLEN, { N, r, p });
+    return `scrypt$${N}$${r}$${p}$${salt}$${hash.toString('hex')}`;
+  }
+
+  /**
+   * Confere a senha com o hash guardado.
+   * Hashes antigos (SHA-256 com salt do processo) só conferem com AUTH_LEGACY_SALT,
+   * já que o salt gerado a cada início do bot se perdia.
+   *
+   * @returns {Promise<{ valid: boolean, needsRehash: boolean }>}
+   */
+  async verifyPassword(password, stored) {
+    const parts = String(stored || '').split('$');
+
+    if (parts[0] === 'scrypt' && parts.length === 6) {
+      const [, N, r, p, salt, hash] = parts;
+      const expected = Buffer.from(hash, 'hex');
+      const actual = await scryptAsync(password, salt, expected.length, { N: parseInt(N), r: parseInt(r), p: parseInt(p) });
+      const needsRehash = parseInt(N) !== SCRYPT_PARAMS.N || parseInt(r) !== SCRYPT_PARAMS.r || parseInt(p) !== SCRYPT_PARAMS.p;
+      return { valid: crypto.timingSafeEqual(actual, expected), needsRehash };
+    }
+
+    if (/^[0-9a-f]{64}$/.test(stored || '')) {
+      const legacy = crypto.createHash('sha256').update(password + (process.env.AUTH_LEGACY_SALT || '')).digest();
+      return { valid: crypto.timingSafeEqual(legacy, Buffer.from(stored, 'hex')), needsRehash: true };
+    }
+
+    return { valid: false, needsRehash: false };
+  }
+
+  /**
+   * Milissegundos restantes de bloqueio de uma chave ('phone:...' ou 'user:...')
+   */
+  getLockout(key) {
+    const entry = this.failedAttempts.get(key);
+    if (!entry?.lockedUntil) return 0;
+    return Math.max(0, entry.lockedUntil - Date.now());
+  }
+
+  /**
+   * Lança erro se o número ou o usuário estiver bloqueado
+   */
+  assertNotLocked(keys) {
+    const remaining = Math.max(...keys.map(key => this.getLockout(key)));
+    if (remaining > 0) {
+      throw new Error(`Muitas tentativas de login. Tente novamente em ${Math.ceil(remaining / 60000)} min.`);
+    }
+  }
+
+  /**
+   * Conta uma falha; ao atingir LOGIN_MAX_ATTEMPTS bloqueia por LOGIN_LOCKOUT_MS.
+   * Falhas mais antigas que o tempo de bloqueio não contam.
+   */
+  registerFailure(keys) {
+    const now = Date.now();
+    let locked = false;
+
+    for (const key of keys) {
+      const entry = this.failedAttempts.get(key);
+      const count = entry && now - entry.lastAttempt < this.lockoutMs ? entry.count + 1 : 1;
+      const lockedUntil = count >= this.maxLoginAttempts ? now + this.lockoutMs : null;
+
+      this.failedAttempts.set(key, { count: lockedUntil ? 0 : count, lastAttempt: now, lockedUntil });
+      if (lockedUntil) {
+        locked = true;
+        logger.warn('🔒 Login bloqueado por %d min: %s', Math.round(this.lockoutMs / 60000), key.replace(/\d(?=\d{4})/g, '*'));
+      }
+    }
+
+    return locked;
+  }
+
+  clearFailures(keys) {
+    keys.forEach(key => this.failedAttempts.delete(key));
+  }
+
+  /**
+   * Registra uma tentativa de login no log de atividades
+   */
+  audit(user, body) {
+    logActivity({
+      type: 'login',
+      user,
+      chatName: 'Autenticação',
+      body
+    }).catch(() => {});
+  }
+
+  /**
+   * Confere usuário e senha com bloqueio por tentativas.
+   * Migra hashes antigos para scrypt no primeiro login bem-sucedido.
+   *
+   * @param {string} username
+   * @param {string} password
+   * @param {object} [origin] - { phone } no WhatsApp ou { source, ip } (ex.: 'api')
+   * @returns {Promise<{ username: string, role: string }>}
+   */
+  async authenticate(username, password, { phone = null, ip = null, source = 'whatsapp' } = {}) {
+    const keys = [`user:${username}`, ...(phone ? [`phone:${phone}`] : []), ...(ip ? [`ip:${ip}`] : [])];
+    const who = phone ? `${phone}@c.us` : `${source}${ip ? ` (${ip})` : ''}`;
+
+    this.assertNotLocked(keys);
+
+    const user = this.users.get(username);
+    const { valid, needsRehash } = await this.verifyPassword(password, user ? user.password : DUMMY_HASH);
+
+    if (!user || !valid) {
+      const locked = this.registerFailure(keys);
+      this.audit(who, `Falha no login de ${username}${locked ? ' (bloqueado)' : ''}`);
+      throw new Error(locked
+        ? `Senha incorreta. Muitas tentativas: login bloqueado por ${Math.round(this.lockoutMs / 60000)} min.`
+        : 'Senha incorreta.');
+    }
+
+    this.clearFailures(keys);
+
+    if (needsRehash) {
+      user.password = await this.hashPassword(password);
+      logger.info('🔐 Hash da senha de %s migrado para scrypt', username);
+    }
+
+    user.lastLogin = Date.now();
+    await this.saveAuth();
+
+    this.audit(who, `Login de ${username} (${source})`);
+    return { username, role: this.getUserRole(username) };
+  }
+
   /**
-   * Hash seguro da senha
+   * Troca a senha de um usuário (também encerra as sessões dele)
    */
-  hashPassword(password) {
-    return crypto.createHash('sha256').update(password + this.salt).digest('hex');
+  async setPassword(username, password) {
+    const user = this.users.get(username);
+    if (!user) {
+      throw new Error('Usuário não encontrado');
+    }
+    if (password.length < 6) {
+      throw new Error('Senha deve ter pelo menos 6 caracteres');
+    }
+
+    user.password = await this.hashPassword(password);
+    this.endUserSessions(username);
+    this.clearFailures([`user:${username}`]);
+
+    await this.saveAuth();
+    logger.info('🔑 Senha de %s redefinida', username);
   }
 
   /**
    * Cria um novo usuário admin
+   *
+   * @param {string} [role] - viewer, moderator, admin ou owner (padrão: viewer)
    */
-  async createUser(username, password, createdBy) {
+  async createUser(username, password, createdBy, role = DEFAULT_ROLE) {
     if (this.users.has(username)) {
       throw new Error('Usuário já existe');
     }
@@ -97,21 +277,56 @@ class AuthManager {
       throw new Error('Senha deve ter pelo menos 6 caracteres');
     }
 
-    const hashedPassword = this.hashPassword(password);
+    const userRole = normalizeRole(role);
+    const hashedPassword = await this.hashPassword(password);
     
     this.users.set(username, {
       password: hashedPassword,
+      role: userRole,
       createdAt: Date.now(),
       createdBy: createdBy,
       lastLogin: null
     });
 
     await this.saveAuth();
-    logger.info('👤 Novo usuário admin criado: %s por %s', username, createdBy);
+    logger.info('👤 Novo usuário admin criado: %s (%s) por %s', username, userRole, createdBy);
     
     return true;
   }
 
+  /**
+   * Papel de um usuário (usuários antigos, sem papel, continuam com acesso admin)
+   */
+  getUserRole(username) {
+    const user = this.users.get(username);
+    if (!user) return null;
+    return user.role || LEGACY_ROLE;
+  }
+
+  /**
+   * Altera o papel de um usuário; vale também para sessões já abertas
+   */
+  async setRole(username, role) {
+    const user = this.users.get(username);
+    if (!user) {
+      throw new Error('Usuário não encontrado');
+    }
+
+    user.role = normalizeRole(role);
+    await this.saveAuth();
+    logger.info('🛡️ Papel de %s alterado para %s', username, user.role);
+
+    return user.role;
+  }
+
+  /**
+   * Papel de quem está logado neste número (null se não estiver logado)
+   */
+  getRole(phoneNumber) {
+    if (!this.isLoggedIn(phoneNumber)) return null;
+    return this.getUserRole(this.sessions.get(phoneNumber).username);
+  }
+
   /**
    * Remove um usuário
    */
@@ -122,23 +337,146 @@ class AuthManager {
 
     this.users.delete(username);
     
-    // Remove sessões ativas deste usuário
+    // Remove sessões ativas e tokens da API deste usuário
+    this.endUserSessions(username);
+
+    await this.saveAuth();
+    logger.info('🗑️ Usuário removido: %s', username);
+    
+    return true;
+  }
+
+  /**
+   * Encerra as sessões do WhatsApp e os tokens da API de um usuário
+   */
+  endUserSessions(username) {
     for (const [phone, session] of this.sessions.entries()) {
       if (session.username === username) {
         this.sessions.delete(phone);
       }
     }
+    for (const [hash, token] of this.apiTokens.entries()) {
+      if (token.username === username) {
+        this.apiTokens.delete(hash);
+      }
+    }
+  }
+
+  get apiTokenTtl() {
+    return parseInt(process.env.API_TOKEN_TTL) || 12 * 60 * 60 * 1000;
+  }
 
+  /**
+   * Login na API: confere usuário e senha e devolve um token com validade
+   * de API_TOKEN_TTL. Só o hash do token fica salvo.
+   */
+  async createApiToken(username, password, ip = null) {
+    const user = await this.authenticate(String(username || '').trim().toLowerCase(), String(password || ''), { source: 'api', ip });
+
+    const token = crypto.randomBytes(32).toString('hex');
+    const expiresAt = Date.now() + this.apiTokenTtl;
+    this.apiTokens.set(sha256(token), { username: user.username, createdAt: Date.now(), expiresAt });
     await this.saveAuth();
-    logger.info('🗑️ Usuário removido: %s', username);
-    
-    return true;
+
+    return { token, expiresAt, ...user };
+  }
+
+  async revokeApiToken(token) {
+    const existed = this.apiTokens.delete(sha256(token));
+    if (existed) {
+      await this.saveAuth();
+    }
+    return existed;
+  }
+
+  /**
+   * Cria uma chave de API de longa duração para automações.
+   * O papel da chave limita o que ela pode fazer; a chave só é mostrada agora.
+   */
+  async createApiKey({ name, role, createdBy, expiresInDays = null }) {
+    const keyName = String(name || '').trim();
+    if (!/^[\w .-]{3,40}$/.test(keyName)) {
+      throw new Error('Nome da chave deve ter de 3 a 40 caracteres (letras, números, espaço, . _ -)');
+    }
+
+    const id = crypto.randomBytes(6).toString('hex');
+    const secret = crypto.randomBytes(24).toString('hex');
+    const days = expiresInDays ? parseInt(expiresInDays) : null;
+    if (days !== null && (isNaN(days) || days < 1)) {
+      throw new Error('expiresInDays deve ser um número de dias maior que zero');
+    }
+
+    const apiKey = {
+      name: keyName,
+      hash: sha256(secret),
+      role: normalizeRole(role),
+      createdBy,
+      createdAt: Date.now(),
+      expiresAt: days ? Date.now() + days * 24 * 60 * 60 * 1000 : null,
+      lastUsedAt: null
+    };
+    this.apiKeys.set(id, apiKey);
+    await this.saveAuth();
+    logger.info('🔑 Chave de API "%s" (%s) criada por %s', keyName, apiKey.role, createdBy);
+
+    return { id, key: `${API_KEY_PREFIX}_${id}_${secret}`, ...this.describeApiKey(id, apiKey) };
+  }
+
+  describeApiKey(id, { hash, ...data }) {
+    return { id, ...data };
+  }
+
+  listApiKeys() {
+    return [...this.apiKeys.entries()].map(([id, apiKey]) => this.describeApiKey(id, apiKey));
+  }
+
+  async revokeApiKey(id) {
+    const existed = this.apiKeys.delete(id);
+    if (existed) {
+      await this.saveAuth();
+      logger.info('🗑️ Chave de API %s revogada', id);
+    }
+    return existed;
+  }
+
+  /**
+   * Identifica quem chama a API pelo valor do `Authorization: Bearer ...`
+   *
+   * @returns {{ type: 'token'|'key', username: string, role: string, keyId?: string } | null}
+   */
+  verifyApiCredential(credential) {
+    const value = String(credential || '');
+
+    if (value.startsWith(`${API_KEY_PREFIX}_`)) {
+      const [, id, secret] = value.split('_');
+      const apiKey = this.apiKeys.get(id);
+      if (!apiKey || !secret) return null;
+
+      const valid = crypto.timingSafeEqual(Buffer.from(sha256(secret), 'hex'), Buffer.from(apiKey.hash, 'hex'));
+      if (!valid || (apiKey.expiresAt && apiKey.expiresAt <= Date.now())) return null;
+
+      apiKey.lastUsedAt = Date.now();
+      return { type: 'key', username: `chave:${apiKey.name}`, role: apiKey.role, keyId: id };
+    }
+
+    const token = this.apiTokens.get(sha256(value));
+    if (!token) return null;
+
+    const role = this.getUserRole(token.username);
+    if (token.expiresAt <= Date.now() || !role) {
+      this.apiTokens.delete(sha256(value));
+      return null;
+    }
+
+    return { type: 'token', username: token.username, role, expiresAt: token.expiresAt };
   }
 
   /**
    * Inicia processo de login
    */
   startLogin(phoneNumber) {
+    this.assertNotLocked([`phone:${phoneNumber}`]);
+
     this.awaitingLogin.set(phoneNumber, {
       step: 'username',
       timestamp: Date.now()
@@ -173,9 +511,18 @@ class AuthManager {
       
       if (!this.users.has(username)) {
         this.awaitingLogin.delete(phoneNumber);
+        this.registerFailure([`phone:${phoneNumber}`]);
+        this.audit(`${phoneNumber}@c.us`, `Falha no login: usuário ${username} não existe`);
         throw new Error('Usuário não encontrado.');
       }
 
+      try {
+        this.assertNotLocked([`user:${username}`]);
+      } catch (error) {
+        this.awaitingLogin.delete(phoneNumber);
+        throw error;
+      }
+
       // Avança para próximo step
       this.awaitingLogin.set(phoneNumber, {
         step: 'password',
@@ -188,29 +535,17 @@ class AuthManager {
 
     if (loginData.step === 'password') {
       const username = loginData.username;
-      const password = input.trim();
-      
-      const user = this.users.get(username);
-      const hashedPassword = this.hashPassword(password);
+      this.awaitingLogin.delete(phoneNumber);
 
-      if (user.password !== hashedPassword) {
-        this.awaitingLogin.delete(phoneNumber);
-        throw new Error('Senha incorreta.');
-      }
+      await this.authenticate(username, input.trim(), { phone: phoneNumber });
 
       // Login bem-sucedido
-      this.awaitingLogin.delete(phoneNumber);
-      
       const sessionExpires = Date.now() + SESSION_DURATION;
       this.sessions.set(phoneNumber, {
         username: username,
         expiresAt: sessionExpires,
         loginAt: Date.now()
       });
-
-      // Atualiza último login
-      user.lastLogin = Date.now();
-      this.users.set(username, user);
       
       await this.saveAuth();
       
@@ -219,7 +554,7 @@ class AuthManager {
       const expiresIn = Math.round(SESSION_DURATION / 1000 / 60 / 60);
       return { 
         step: 'complete', 
-        message: `✅ Login realizado com sucesso!\n\n👤 Usuário: ${username}\n⏰ Sessão válida por: ${expiresIn}h\n\nVocê agora tem acesso aos comandos de administrador.`
+        message: `✅ Login realizado com sucesso!\n\n👤 Usuário: ${username}\n🛡️ Papel: ${this.getUserRole(username)}\n⏰ Sessão válida por: ${expiresIn}h\n\nUse /help para ver os comandos que seu papel permite.`
       };
     }
 
@@ -293,6 +628,7 @@ class AuthManager {
     for (const [username, userData] of this.users.entries()) {
       users.push({
         username,
+        role: userData.role || LEGACY_ROLE,
         createdAt: new Date(userData.createdAt).toLocaleString('pt-BR'),
         lastLogin: userData.lastLogin ? new Date(userData.lastLogin).toLocaleString('pt-BR') : 'Nunca',
         createdBy: userData.createdBy
@@ -314,6 +650,7 @@ class AuthManager {
         const timeLeft = Math.round((session.expiresAt - now) / 1000 / 60);
         sessions.push({
           username: session.username,
+          role: this.getUserRole(session.username),
           phone: phone.slice(0, 4) + '****' + phone.slice(-4),
           loginTime: new Date(session.loginAt).toLocaleString('pt-BR'),
           expiresIn: `${Math.floor(timeLeft / 60)}h ${timeLeft % 60}m`
@@ -339,9 +676,16 @@ class AuthManager {
         }
       }
 
+      for (const [hash, token] of this.apiTokens.entries()) {
+        if (token.expiresAt <= now) {
+          this.apiTokens.delete(hash);
+          cleaned++;
+        }
+      }
+
       if (cleaned > 0) {
         await this.saveAuth();
-        logger.debug('🧹 %d sessões expiradas removidas automaticamente', cleaned);
+        logger.debug('🧹 %d sessões e tokens expirados removidos automaticamente', cleaned);
       }
     } catch (error) {
       logger.error('❌ Erro na limpeza automática de sessões:', error);
@@ -386,7 +730,10 @@ class AuthManager {
     return {
       totalUsers: this.users.size,
       activeSessions: activeSessions,
-      awaitingLogin: this.awaitingLogin.size
+      awaitingLogin: this.awaitingLogin.size,
+      apiTokens: this.apiTokens.size,
+      apiKeys: this.apiKeys.size,
+      lockedOut: [...this.failedAttempts.keys()].filter(key => this.getLockout(key) > 0).length
     };
   }
 }
@@ -2,7 +2,14 @@
 import { promises as fs } from 'fs';
 import { join } from 'path';
 import { logger } from './logger.js';
+import { writeJsonAtomic } from './persistence.js';
 import { exportMemory, importMemory } from './memory.js';
+import { summaryManager } from './summaries.js';
+import { userFactsManager } from './userFacts.js';
+import { chatPolicyManager } from './chatPolicies.js';
+import { reminderManager } from './reminders.js';
+import { broadcastManager } from './broadcast.js';
+import { chatDirectory } from './chatDirectory.js';
 
 const BACKUP_DIR = process.env.BACKUP_DIR || './backups';
 const MAX_BACKUPS = parseInt(process.env.MAX_BACKUPS) || 10;
@@ -38,10 +45,16 @@ export async function createBackup(description = 'Backup automático') {
       description,
       createdAt: new Date().toISOString(),
       version: '1.0',
-      memory: memoryExport
+      memory: memoryExport,
+      summaries: summaryManager.exportSummaries(),
+      userFacts: userFactsManager.exportFacts(),
+      policies: chatPolicyManager.exportPolicies(),
+      reminders: reminderManager.exportReminders(),
+      broadcastLists: broadcastManager.exportLists(),
+      chatNames: chatDirectory.exportNames()
     };
     
-    await fs.writeFile(filepath, JSON.stringify(backupData, null, 2), 'utf-8');
+    await writeJsonAtomic(filepath, backupData);
     
     logger.info('💾 Backup criado: %s (%d chats, %d mensagens)', 
                 backupId, 
@@ -59,6 +72,14 @@ export async function createBackup(description = 'Backup automático') {
   }
 }
 
+/**
+ * Lê o conteúdo de um arquivo de backup
+ */
+export async function readBackup(filepath) {
+  const content = await fs.readFile(filepath, 'utf-8');
+  return JSON.parse(content);
+}
+
 /**
  * Lista todos os backups disponíveis
  */
@@ -80,6 +101,7 @@ export async function listBackups() {
         
         backups.push({
           id: data.id || file.replace('.json', ''),
+          createdAt: new Date(data.createdAt || stats.ctime).getTime(),
           description: data.description || 'Sem descrição',
           date: new Date(data.createdAt || stats.ctime).toLocaleString('pt-BR'),
           size: formatBytes(stats.size),
@@ -94,7 +116,7 @@ export async function listBackups() {
     }
     
     // Ordena por data (mais recente primeiro)
-    backups.sort((a, b) => new Date(b.date) - new Date(a.date));
+    backups.sort((a, b) => b.createdAt - a.createdAt);
     
     return backups;
     
@@ -116,8 +138,7 @@ export async function restoreBackup(backupId) {
       throw new Error(`Backup '${backupId}' não encontrado`);
     }
     
-    const content = await fs.readFile(backup.filepath, 'utf-8');
-    const backupData = JSON.parse(content);
+    const backupData = await readBackup(backup.filepath);
     
     if (!backupData.memory) {
       throw new Error('Backup não contém dados de memória válidos');
@@ -129,6 +150,24 @@ export async function restoreBackup(backupId) {
     
     // Importa os dados do backup
     const result = importMemory(backupData.memory);
+    if (backupData.summaries) {
+      await summaryManager.importSummaries(backupData.summaries);
+    }
+    if (backupData.userFacts) {
+      await userFactsManager.importFacts(backupData.userFacts);
+    }
+    if (backupData.policies) {
+      await chatPolicyManager.importPolicies(backupData.policies);
+    }
+    if (backupData.reminders) {
+      await reminderManager.importReminders(backupData.reminders);
+    }
+    if (backupData.broadcastLists) {
+      await broadcastManager.importLists(backupData.broadcastLists);
+    }
+    if (backupData.chatNames) {
+      await chatDirectory.importNames(backupData.chatNames);
+    }
     
     logger.info('📥 Backup restaurado: %s (%d chats, %d mensagens)', 
                 backupId, 
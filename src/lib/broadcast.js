@@ -0,0 +1,336 @@
+// src/lib/broadcast.js
+import { dirname, join } from 'path';
+import { logger } from './logger.js';
+import { readJsonSafe, writeJsonAtomic } from './persistence.js';
+import { listChats } from './memory.js';
+
+// Fica ao lado de memoria.json, a não ser que BROADCAST_FILE diga outro lugar
+const BROADCAST_FILE = process.env.BROADCAST_FILE
+  || join(dirname(process.env.MEMORY_FILE || './memoria.json'), 'transmissoes.json');
+const DRAFT_TTL = 5 * 60 * 1000;
+const MAX_TEXT_LENGTH = 4000;
+const MAX_HISTORY = 20;
+
+export const BROADCAST_TARGETS = {
+  todos: 'Todos os chats conhecidos',
+  grupos: 'Somente grupos',
+  privados: 'Somente conversas privadas',
+  lista: 'Uma lista salva de chats'
+};
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+function isGroupChat(chatId) {
+  return chatId.endsWith('@g.us');
+}
+
+/**
+ * Transmissões (mensagem de um admin para muitos chats).
+ *
+ * O admin monta um rascunho, vê a prévia e confirma (`/confirmar broadcast`);
+ * o envio roda em segundo plano, um chat por vez, com BROADCAST_DELAY_MS
+ * (+ até BROADCAST_JITTER_MS aleatórios) entre envios para não parecer spam ao
+ * WhatsApp. Só uma transmissão roda de cada vez; ao final sai um relatório.
+ */
+class BroadcastManager {
+  constructor() {
+    this.lists = new Map(); // nome -> [chatIds]
+    this.drafts = new Map(); // solicitante -> { target, list, text, chatIds, createdAt }
+    this.jobs = []; // mais recente primeiro
+    this.current = null;
+    this.transport = null;
+    this.seq = 0;
+  }
+
+  // 0 é válido nos dois (sem pausa / sem atraso aleatório)
+  get delayMs() {
+    const delay = parseInt(process.env.BROADCAST_DELAY_MS);
+    return Number.isNaN(delay) ? 5000 : Math.max(delay, 0);
+  }
+
+  get jitterMs() {
+    const jitter = parseInt(process.env.BROADCAST_JITTER_MS);
+    return Number.isNaN(jitter) ? 2000 : Math.max(jitter, 0);
+  }
+
+  setTransport(transport) {
+    this.transport = transport;
+  }
+
+  /**
+   * Carrega as listas salvas
+   */
+  async loadLists() {
+    try {
+      const data = await readJsonSafe(BROADCAST_FILE);
+      this.lists = new Map(Object.entries(data.lists || {}));
+      logger.info('📢 Listas de transmissão carregadas: %d', this.lists.size);
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        logger.info('📄 Arquivo de listas de transmissão não encontrado, criando novo...');
+      } else {
+        logger.error('❌ Erro ao carregar listas de transmissão:', error);
+      }
+    }
+  }
+
+  /**
+   * Salva as listas no arquivo
+   */
+  async saveLists() {
+    try {
+      const data = {
+        lists: Object.fromEntries(this.lists),
+        lastSaved: new Date().toISOString()
+      };
+      await writeJsonAtomic(BROADCAST_FILE, data);
+      logger.debug('💾 Listas de transmissão salvas');
+    } catch (error) {
+      logger.error('❌ Erro ao salvar listas de transmissão:', error);
+    }
+  }
+
+  getLists() {
+    return Object.fromEntries(this.lists);
+  }
+
+  async saveList(name, chatIds) {
+    const key = String(name || '').trim().toLowerCase();
+    if (!/^[a-z0-9_-]{1,32}$/.test(key)) {
+      throw new Error('Nome de lista inválido (use letras, números, - e _)');
+    }
+
+    const ids = [...new Set((chatIds || []).map(id => String(id).trim()).filter(Boolean))];
+    if (ids.length === 0) {
+      throw new Error('A lista precisa de pelo menos um chat');
+    }
+
+    this.lists.set(key, ids);
+    await this.saveLists();
+    logger.info('📢 Lista de transmissão "%s" salva (%d chats)', key, ids.length);
+    return ids;
+  }
+
+  async deleteList(name) {
+    const existed = this.lists.delete(String(name || '').trim().toLowerCase());
+    if (existed) {
+      await this.saveLists();
+    }
+    return existed;
+  }
+
+  /**
+   * Chats de destino de uma transmissão
+   *
+   * @param {string} target - todos, grupos, privados ou lista
+   * @param {string} [list] - Nome da lista (target = lista)
+   */
+  resolveTargets(target, list = null) {
+    const chats = listChats();
+
+    switch (target) {
+      case 'todos': return chats;
+      case 'grupos': return chats.filter(isGroupChat);
+      case 'privados': return chats.filter(id => !isGroupChat(id));
+      case 'lista': {
+        const ids = this.lists.get(String(list || '').toLowerCase());
+        if (!ids) throw new Error(`Lista "${list}" não encontrada`);
+        return [...ids];
+      }
+      default:
+        throw new Error(`Destino inválido. Use: ${Object.keys(BROADCAST_TARGETS).join(', ')}`);
+    }
+  }
+
+  /**
+   * Valida e monta uma transmissão (sem enviar)
+   */
+  prepare({ target, list = null, text }) {
+    const message = String(text || '').trim();
+    if (!message) throw new Error('Mensagem vazia');
+    if (message.length > MAX_TEXT_LENGTH) {
+      throw new Error(`Mensagem muito longa (máximo ${MAX_TEXT_LENGTH} caracteres)`);
+    }
+
+    const chatIds = this.resolveTargets(target, list);
+    if (chatIds.length === 0) {
+      throw new Error('Nenhum chat encontrado para esse destino');
+    }
+
+    return {
+      target,
+      list,
+      text: message,
+      chatIds,
+      estimatedSeconds: Math.round((chatIds.length - 1) * (this.delayMs + this.jitterMs / 2) / 1000)
+    };
+  }
+
+  /**
+   * Guarda um rascunho aguardando `/confirmar broadcast`
+   */
+  createDraft(requester, options) {
+    const draft = { ...this.prepare(options), createdAt: Date.now() };
+    this.drafts.set(requester, draft);
+    return draft;
+  }
+
+  takeDraft(requester) {
+    const draft = this.drafts.get(requester);
+    this.drafts.delete(requester);
+
+    if (!draft || Date.now() - draft.createdAt > DRAFT_TTL) {
+      throw new Error('Nenhuma transmissão aguardando confirmação (o rascunho expira em 5 minutos)');
+    }
+    return draft;
+  }
+
+  /**
+   * Inicia o envio em segundo plano e devolve o job
+   *
+   * @param {object} prepared - Resultado de prepare()/createDraft()
+   * @param {object} [options]
+   * @param {string} [options.requestedBy] - Quem pediu (para os logs)
+   * @param {string} [options.reportTo] - Chat que recebe o relatório ao final
+   */
+  start(prepared, { requestedBy = null, reportTo = null } = {}) {
+    if (!this.transport) {
+      throw new Error('Transporte não inicializado');
+    }
+    if (this.current) {
+      throw new Error(`Já existe uma transmissão em andamento (${this.current.id}). Use \`/broadcast parar\` para cancelar`);
+    }
+
+    const job = {
+      id: `bc-${Date.now().toString(36)}-${++this.seq}`,
+      target: prepared.target,
+      list: prepared.list,
+      text: prepared.text,
+      chatIds: prepared.chatIds,
+      total: prepared.chatIds.length,
+      sent: 0,
+      failed: 0,
+      failures: [],
+      status: 'enviando',
+      requestedBy,
+      reportTo,
+      createdAt: Date.now(),
+      finishedAt: null,
+      cancelRequested: false
+    };
+
+    this.current = job;
+    this.jobs.unshift(job);
+    this.jobs.length = Math.min(this.jobs.length, MAX_HISTORY);
+
+    logger.info('📢 Transmissão %s iniciada: %d chats (%s)', job.id, job.total, job.target);
+    this.run(job).catch(error => logger.error('❌ Erro na transmissão %s:', job.id, error));
+
+    return this.describe(job);
+  }
+
+  async run(job) {
+    for (const [index, chatId] of job.chatIds.entries()) {
+      if (job.cancelRequested) break;
+
+      if (index > 0) {
+        await sleep(this.delayMs + Math.floor(Math.random() * this.jitterMs));
+        if (job.cancelRequested) break;
+      }
+
+      try {
+        await this.transport.sendMessage(chatId, job.text);
+        job.sent++;
+      } catch (error) {
+        job.failed++;
+        job.failures.push({ chatId, error: error.message });
+        logger.warn('⚠️ Transmissão %s: falha ao enviar para %s: %s', job.id, chatId, error.message);
+      }
+    }
+
+    job.status = job.cancelRequested ? 'cancelada' : 'concluida';
+    job.finishedAt = Date.now();
+    this.current = null;
+
+    logger.info('📢 Transmissão %s %s: %d enviadas, %d falhas', job.id, job.status, job.sent, job.failed);
+
+    if (job.reportTo) {
+      await this.transport.sendMessage(job.reportTo, this.formatReport(job))
+        .catch(error => logger.warn('⚠️ Falha ao enviar relatório da transmissão: %s', error.message));
+    }
+  }
+
+  /**
+   * Pede o cancelamento da transmissão em andamento
+   */
+  cancel() {
+    if (!this.current) return null;
+    this.current.cancelRequested = true;
+    return this.describe(this.current);
+  }
+
+  /**
+   * Visão pública de um job (progresso para o Control Panel)
+   */
+  describe(job) {
+    if (!job) return null;
+
+    const { chatIds, cancelRequested, ...data } = job;
+    const done = job.sent + job.failed;
+    return {
+      ...data,
+      pending: job.total - done,
+      progress: job.total > 0 ? Math.round((done / job.total) * 100) : 100
+    };
+  }
+
+  getJob(id) {
+    return this.describe(this.jobs.find(job => job.id === id));
+  }
+
+  getStatus() {
+    return {
+      current: this.describe(this.current),
+      history: this.jobs.filter(job => job !== this.current).map(job => this.describe(job))
+    };
+  }
+
+  formatReport(job) {
+    const duration = Math.round(((job.finishedAt || Date.now()) - job.createdAt) / 1000);
+    let report = `📢 **Transmissão ${job.status === 'cancelada' ? 'cancelada' : 'concluída'}**
+
+• **Destino:** ${job.target}${job.list ? ` (${job.list})` : ''}
+• **Enviadas:** ${job.sent}/${job.total}
+• **Falhas:** ${job.failed}
+• **Não enviadas:** ${job.total - job.sent - job.failed}
+• **Duração:** ${Math.floor(duration / 60)}m ${duration % 60}s`;
+
+    if (job.failures.length > 0) {
+      report += '\n\n**Falhas:**\n' + job.failures.slice(0, 10)
+        .map(f => `• ${f.chatId}: ${f.error}`).join('\n');
+      if (job.failures.length > 10) {
+        report += `\n… e mais ${job.failures.length - 10}`;
+      }
+    }
+
+    return report;
+  }
+
+  /**
+   * Exporta as listas para backup
+   */
+  exportLists() {
+    return Object.fromEntries(this.lists);
+  }
+
+  /**
+   * Importa listas de um backup
+   */
+  async importLists(data) {
+    this.lists = new Map(Object.entries(data || {}));
+    await this.saveLists();
+  }
+}
+
+// Instância global
+export const broadcastManager = new BroadcastManager();
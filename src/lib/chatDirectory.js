@@ -0,0 +1,96 @@
+// src/lib/chatDirectory.js
+import { dirname, join } from 'path';
+import { logger } from './logger.js';
+import { readJsonSafe, writeJsonAtomic } from './persistence.js';
+
+// Fica ao lado de memoria.json, a não ser que CHATS_FILE diga outro lugar
+const CHATS_FILE = process.env.CHATS_FILE
+  || join(dirname(process.env.MEMORY_FILE || './memoria.json'), 'chats.json');
+
+/**
+ * Nome de exibição de um chat sem nome conhecido
+ */
+export function fallbackChatName(chatId) {
+  if (chatId.endsWith('@g.us')) return 'Grupo';
+  return `+${chatId.split('@')[0]}`;
+}
+
+/**
+ * Nomes dos chats (assunto do grupo ou nome do contato).
+ *
+ * A memória guarda só o ID de cada chat; o pipeline anota aqui o nome
+ * visto na última mensagem para o navegador de conversas do Control Panel.
+ */
+class ChatDirectory {
+  constructor() {
+    this.chats = new Map(); // chatId -> { name, isGroup, updatedAt }
+  }
+
+  /**
+   * Carrega os nomes do arquivo
+   */
+  async loadNames() {
+    try {
+      const data = await readJsonSafe(CHATS_FILE);
+      this.chats = new Map(Object.entries(data.chats || {}));
+      logger.info('💬 Nomes de chats carregados: %d', this.chats.size);
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        logger.info('📄 Arquivo de nomes de chats não encontrado, criando novo...');
+      } else {
+        logger.error('❌ Erro ao carregar nomes de chats:', error);
+      }
+    }
+  }
+
+  /**
+   * Salva os nomes no arquivo
+   */
+  async saveNames() {
+    try {
+      const data = {
+        chats: Object.fromEntries(this.chats),
+        lastSaved: new Date().toISOString()
+      };
+      await writeJsonAtomic(CHATS_FILE, data);
+      logger.debug('💾 Nomes de chats salvos');
+    } catch (error) {
+      logger.error('❌ Erro ao salvar nomes de chats:', error);
+    }
+  }
+
+  /**
+   * Anota o nome de um chat (só grava quando muda)
+   */
+  setName(chatId, name, isGroup = false) {
+    if (!chatId || !name) return;
+
+    const current = this.chats.get(chatId);
+    if (current?.name === name) return;
+
+    this.chats.set(chatId, { name, isGroup: !!isGroup, updatedAt: Date.now() });
+    this.saveNames();
+  }
+
+  getName(chatId) {
+    return this.chats.get(chatId)?.name || fallbackChatName(chatId);
+  }
+
+  /**
+   * Exporta os nomes para backup
+   */
+  exportNames() {
+    return Object.fromEntries(this.chats);
+  }
+
+  /**
+   * Importa nomes de um backup
+   */
+  async importNames(data) {
+    this.chats = new Map(Object.entries(data || {}));
+    await this.saveNames();
+  }
+}
+
+// Instância global
+export const chatDirectory = new ChatDirectory();
@@ -0,0 +1,269 @@
+// src/lib/chatPolicies.js
+import { dirname, join } from 'path';
+import { logger } from './logger.js';
+import { readJsonSafe, writeJsonAtomic } from './persistence.js';
+
+// Fica ao lado de memoria.json, a não ser que POLICIES_FILE diga outro lugar
+const POLICIES_FILE = process.env.POLICIES_FILE
+  || join(dirname(process.env.MEMORY_FILE || './memoria.json'), 'politicas.json');
+const MAX_KEYWORDS = 50;
+const MAX_DEBOUNCE_MS = 60000;
+
+export const POLICY_MODES = {
+  mencao: 'Só responde quando mencionado (ou quando respondem ao bot)',
+  aleatorio: 'Responde menções e, por sorteio, outras mensagens',
+  palavras: 'Responde menções e mensagens com palavras-chave',
+  mudo: 'Não responde nada (comandos continuam funcionando)'
+};
+
+/**
+ * Texto em minúsculas e sem acentos, para comparar palavras-chave
+ */
+function normalizeText(text) {
+  return String(text || '').normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase();
+}
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Converte "HH:MM" em minutos desde a meia-noite
+ */
+function parseTime(value) {
+  const match = /^(\d{1,2}):?(\d{2})$/.exec(String(value || '').trim());
+  if (!match || parseInt(match[1]) > 23 || parseInt(match[2]) > 59) {
+    throw new Error(`Horário inválido: ${value} (use HH:MM)`);
+  }
+  return parseInt(match[1]) * 60 + parseInt(match[2]);
+}
+
+/**
+ * Política de resposta por chat (grupos, principalmente): modo, chance de
+ * resposta aleatória, palavras-chave, horário de silêncio e janela de espera
+ * para juntar mensagens seguidas.
+ * Chats sem política própria usam o modo aleatório com GROUP_RANDOM_CHANCE.
+ */
+class ChatPolicyManager {
+  constructor() {
+    this.policies = new Map(); // chatId -> { mode, chance, keywords, quietHours, debounceMs, updatedAt }
+  }
+
+  /**
+   * Carrega políticas do arquivo
+   */
+  async loadPolicies() {
+    try {
+      const data = await readJsonSafe(POLICIES_FILE);
+      this.policies = new Map(Object.entries(data.policies || {}));
+      logger.info('🚦 Políticas de resposta carregadas: %d chats', this.policies.size);
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        logger.info('📄 Arquivo de políticas não encontrado, criando novo...');
+      } else {
+        logger.error('❌ Erro ao carregar políticas:', error);
+      }
+    }
+  }
+
+  /**
+   * Salva políticas no arquivo
+   */
+  async savePolicies() {
+    try {
+      const data = {
+        policies: Object.fromEntries(this.policies),
+        lastSaved: new Date().toISOString()
+      };
+      await writeJsonAtomic(POLICIES_FILE, data);
+      logger.debug('💾 Políticas salvas');
+    } catch (error) {
+      logger.error('❌ Erro ao salvar políticas:', error);
+    }
+  }
+
+  /**
+   * Valida e normaliza campos de uma política (atualização parcial)
+   */
+  validate(data) {
+    const policy = {};
+
+    if (data.mode !== undefined) {
+      const mode = normalizeText(data.mode).trim();
+      if (!POLICY_MODES[mode]) {
+        throw new Error(`Modo inválido. Use: ${Object.keys(POLICY_MODES).join(', ')}`);
+      }
+      policy.mode = mode;
+    }
+
+    if (data.chance !== undefined) {
+      if (data.chance === null || data.chance === '') {
+        policy.chance = null;
+      } else {
+        const raw = String(data.chance).trim();
+        const chance = raw.endsWith('%') ? parseFloat(raw) / 100 : parseFloat(raw);
+        if (isNaN(chance) || chance < 0 || chance > 1) {
+          throw new Error('chance deve estar entre 0 e 1 (ou 0% a 100%)');
+        }
+        policy.chance = chance;
+      }
+    }
+
+    if (data.keywords !== undefined) {
+      if (!Array.isArray(data.keywords)) {
+        throw new Error('keywords deve ser uma lista');
+      }
+      const keywords = [...new Set(data.keywords.map(k => normalizeText(k).trim()).filter(Boolean))];
+      if (keywords.length > MAX_KEYWORDS) {
+        throw new Error(`Máximo de ${MAX_KEYWORDS} palavras-chave`);
+      }
+      policy.keywords = keywords;
+    }
+
+    if (data.quietHours !== undefined) {
+      if (!data.quietHours) {
+        policy.quietHours = null;
+      } else {
+        const { start, end } = data.quietHours;
+        parseTime(start);
+        parseTime(end);
+        policy.quietHours = { start, end };
+      }
+    }
+
+    if (data.debounceMs !== undefined) {
+      if (data.debounceMs === null || data.debounceMs === '') {
+        policy.debounceMs = null;
+      } else {
+        const debounceMs = parseInt(data.debounceMs);
+        if (isNaN(debounceMs) || debounceMs < 0 || debounceMs > MAX_DEBOUNCE_MS) {
+          throw new Error(`debounceMs deve estar entre 0 e ${MAX_DEBOUNCE_MS}`);
+        }
+        policy.debounceMs = debounceMs;
+      }
+    }
+
+    return policy;
+  }
+
+  /**
+   * Política efetiva de um chat (com os padrões preenchidos)
+   */
+  getPolicy(chatId) {
+    const policy = this.policies.get(chatId);
+    return {
+      mode: 'aleatorio',
+      chance: null,
+      keywords: [],
+      quietHours: null,
+      debounceMs: null,
+      ...policy,
+      custom: !!policy
+    };
+  }
+
+  /**
+   * Atualiza a política de um chat
+   */
+  async setPolicy(chatId, data) {
+    const { custom, ...current } = this.getPolicy(chatId);
+
+    this.policies.set(chatId, {
+      ...current,
+      ...this.validate(data),
+      updatedAt: Date.now()
+    });
+
+    await this.savePolicies();
+    logger.info('🚦 Política do chat %s atualizada', chatId);
+
+    return this.getPolicy(chatId);
+  }
+
+  /**
+   * Volta o chat para a política padrão
+   */
+  async resetPolicy(chatId) {
+    const existed = this.policies.delete(chatId);
+    if (existed) {
+      await this.savePolicies();
+    }
+    return existed;
+  }
+
+  async addKeywords(chatId, words) {
+    const { keywords } = this.getPolicy(chatId);
+    return this.setPolicy(chatId, { keywords: [...keywords, ...words] });
+  }
+
+  async removeKeywords(chatId, words) {
+    const remove = new Set(words.map(w => normalizeText(w).trim()));
+    const { keywords } = this.getPolicy(chatId);
+    return this.setPolicy(chatId, { keywords: keywords.filter(k => !remove.has(k)) });
+  }
+
+  /**
+   * Verifica se o horário atual está dentro do silêncio (aceita virar a meia-noite)
+   */
+  isQuietTime(quietHours, now = new Date()) {
+    if (!quietHours) return false;
+
+    const start = parseTime(quietHours.start);
+    const end = parseTime(quietHours.end);
+    const minutes = now.getHours() * 60 + now.getMinutes();
+
+    return start <= end
+      ? minutes >= start && minutes < end
+      : minutes >= start || minutes < end;
+  }
+
+  matchesKeyword(keywords, text) {
+    const normalized = normalizeText(text);
+    return keywords.some(keyword => new RegExp(`(^|[^a-z0-9])${escapeRegExp(keyword)}($|[^a-z0-9])`).test(normalized));
+  }
+
+  /**
+   * Decide se o bot deve responder a uma mensagem que não é comando.
+   * Em chats privados só o modo mudo impede a resposta; no horário de
+   * silêncio os grupos só recebem resposta a menções.
+   *
+   * @returns {{ reply: boolean, reason: string }}
+   */
+  shouldReply({ chat, text, isMentioned, isReplyToBot, defaultChance, now = new Date() }) {
+    const policy = this.getPolicy(chat.id);
+
+    if (policy.mode === 'mudo') return { reply: false, reason: 'mudo' };
+    if (!chat.isGroup) return { reply: true, reason: 'privado' };
+    if (isMentioned) return { reply: true, reason: 'mencao' };
+    if (isReplyToBot) return { reply: true, reason: 'resposta' };
+    if (this.isQuietTime(policy.quietHours, now)) return { reply: false, reason: 'silencio' };
+
+    if (policy.mode === 'palavras' && this.matchesKeyword(policy.keywords, text)) {
+      return { reply: true, reason: 'palavra' };
+    }
+
+    if (policy.mode === 'aleatorio' && Math.random() < (policy.chance ?? defaultChance)) {
+      return { reply: true, reason: 'aleatorio' };
+    }
+
+    return { reply: false, reason: policy.mode };
+  }
+
+  /**
+   * Exporta políticas para backup
+   */
+  exportPolicies() {
+    return Object.fromEntries(this.policies);
+  }
+
+  /**
+   * Importa políticas de um backup
+   */
+  async importPolicies(data) {
+    this.policies = new Map(Object.entries(data || {}));
+    await this.savePolicies();
+  }
+}
+
+// Instância global
+export const chatPolicyManager = new ChatPolicyManager();
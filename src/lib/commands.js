@@ -6,42 +6,143 @@ import { testLLMConnection, getModelInfo } from './llm.js';
 import { performanceMonitor } from './performance.js';
 import { errorLogger } from './errorHandler.js';
 import { authManager } from './auth.js';
+import { personaManager } from './personas.js';
+import { summaryManager } from './summaries.js';
+import { userFactsManager } from './userFacts.js';
+import { chatPolicyManager, POLICY_MODES } from './chatPolicies.js';
+import { llmQueue } from './llmQueue.js';
+import { toolRegistry } from './tools/index.js';
+import { reminderManager, formatDueDate } from './reminders.js';
+import { broadcastManager, BROADCAST_TARGETS } from './broadcast.js';
 import { createBackup, listBackups, restoreBackup } from './backup.js';
+import { ROLES, hasRole, canAssignRole, normalizeRole } from './roles.js';
+import { searchIndex } from './searchIndex.js';
+import { parseDateFilter } from './dateParser.js';
+
+// /buscar: resultados por resposta e nomes aceitos em papel:
+const SEARCH_RESULTS = 10;
+const SEARCH_ROLES = { usuario: 'user', usuário: 'user', user: 'user', bot: 'assistant', assistant: 'assistant' };
+
+/**
+ * Seções do /help admin; cada linha só aparece para quem pode usar o comando
+ */
+const HELP_SECTIONS = [
+  {
+    title: '📊 Informações:',
+    lines: [
+      '• `/status` - Status geral do sistema',
+      '• `/stats` - Estatísticas detalhadas',
+      '• `/memory` - Informações da memória',
+      '• `/buscar [termo]` - Busca nas conversas (de:, ate:, papel:, chat:, numero:)',
+      '• `/ratelimit` - Stats de rate limiting',
+      '• `/testllm` - Testa conexão com LLM',
+      '• `/performance` - Estatísticas de performance',
+      '• `/errors` - Logs de erros recentes',
+      '• `/admins` - Lista administradores',
+      '• `/errorstats` - Estatísticas de erros',
+      '• `/users` - Lista usuários e papéis',
+      '• `/sessions` - Sessões ativas'
+    ]
+  },
+  {
+    title: '🔧 Manutenção:',
+    lines: [
+      '• `/limparmemoria` - Limpa toda a memória',
+      '• `/cleanup [dias]` - Remove chats inativos',
+      '• `/resetrate [numero]` - Reseta rate limit',
+      '• `/backup` - Cria backup manual',
+      '• `/backups` - Lista backups disponíveis',
+      '• `/restore [id]` - Restaura backup'
+    ]
+  },
+  {
+    title: '🎭 Personas:',
+    lines: [
+      '• `/persona list` - Lista personas disponíveis',
+      '• `/persona set [nome]` - Define a persona deste chat',
+      '• `/persona show [nome]` - Detalhes de uma persona',
+      '• `/persona reset` - Volta à persona padrão',
+      '• `/ferramentas` - Ferramentas liberadas para a persona'
+    ]
+  },
+  {
+    title: '📝 Resumo da conversa:',
+    lines: [
+      '• `/resumo` - Mostra o resumo deste chat',
+      '• `/resumo gerar` - Resume as mensagens antigas agora',
+      '• `/resumo reset` - Apaga o resumo deste chat'
+    ]
+  },
+  {
+    title: '🚦 Quando responder:',
+    lines: [
+      '• `/grupo` - Mostra a política deste chat',
+      '• `/grupo modo [mencao|aleatorio|palavras|mudo]` - Define o modo',
+      '• `/grupo chance [0-100%]` - Chance no modo aleatório',
+      '• `/grupo palavras add [a, b]` - Palavras-chave (remove/limpar)',
+      '• `/grupo silencio 22:00-07:00` - Só menções nesse horário (off)',
+      '• `/grupo espera [segundos]` - Junta mensagens seguidas',
+      '• `/grupo reset` - Volta ao padrão'
+    ]
+  },
+  {
+    title: '📢 Transmissão:',
+    lines: [
+      '• `/broadcast [todos|grupos|privados|lista:nome] [mensagem]` - Envia para vários chats',
+      '• `/broadcast status` - Progresso (`parar` cancela)',
+      '• `/broadcast listas` - Listas salvas (`salvar`, `apagar`)'
+    ]
+  },
+  {
+    title: '👥 Usuários e papéis:',
+    lines: [
+      '• `/users create [usuario] [senha] [papel]` - Cria usuário (padrão: viewer)',
+      '• `/users role [usuario] [papel]` - Altera o papel',
+      '• `/users senha [usuario] [nova senha]` - Redefine a senha',
+      '• `/users remove [usuario]` - Remove usuário'
+    ]
+  },
+  {
+    title: '⚡ Sistema:',
+    lines: [
+      '• `/logs` - Informações sobre logs',
+      '• `/reiniciar` - Reinicia o bot',
+      '• `/confirmar [ação]` - Confirma operações'
+    ]
+  }
+];
+
+// Papel exigido por cada ação do /confirmar
+const CONFIRM_ROLES = {
+  limpar: 'owner',
+  broadcast: 'admin'
+};
+
+/**
+ * Papel exigido pelo comando citado numa linha do /help
+ */
+function commandRole(line) {
+  const cmd = /`(\/[a-z]+)/.exec(line)[1];
+  return adminCommands[cmd]?.role || 'owner';
+}
 
 /**
- * Comandos disponíveis para administradores
+ * Comandos disponíveis para administradores.
+ * `role` é o papel mínimo para usar o comando (viewer < moderator < admin < owner).
  */
 const adminCommands = {
   '/help': {
-    description: 'Lista todos os comandos disponíveis',
-    handler: async (msg) => {
-      const help = `🤖 **Ceros AI - Comandos Admin**
-
-**📊 Informações:**
-• \`/status\` - Status geral do sistema
-• \`/stats\` - Estatísticas detalhadas
-• \`/memory\` - Informações da memória
-• \`/ratelimit\` - Stats de rate limiting
-• \`/testllm\` - Testa conexão com LLM
-• \`/performance\` - Estatísticas de performance
-• \`/errors\` - Logs de erros recentes
-• \`/admins\` - Lista administradores
-• \`/errorstats\` - Estatísticas de erros
-• \`/users\` - Lista usuários logados
-• \`/sessions\` - Sessões ativas
-
-**🔧 Manutenção:**
-• \`/limparmemoria\` - Limpa toda a memória
-• \`/cleanup [dias]\` - Remove chats inativos
-• \`/resetrate [numero]\` - Reseta rate limit
-• \`/backup\` - Cria backup manual
-• \`/backups\` - Lista backups disponíveis
-• \`/restore [id]\` - Restaura backup
-
-**⚡ Sistema:**
-• \`/logs\` - Informações sobre logs
-• \`/reiniciar\` - Reinicia o bot
-• \`/confirmar [ação]\` - Confirma operações`;
+    description: 'Lista os comandos que o papel do usuário permite',
+    role: 'viewer',
+    handler: async (msg, chat, client, args, role) => {
+      let help = `🤖 **Ceros AI - Comandos Admin**\n🛡️ Seu papel: **${role}**`;
+
+      for (const section of HELP_SECTIONS) {
+        const lines = section.lines.filter(line => hasRole(role, commandRole(line)));
+        if (lines.length > 0) {
+          help += `\n\n**${section.title}**\n${lines.join('\n')}`;
+        }
+      }
 
       await msg.reply(help);
     }
@@ -49,10 +150,12 @@ const adminCommands = {
 
   '/status': {
     description: 'Mostra status geral do sistema',
+    role: 'viewer',
     handler: async (msg) => {
       const memStats = getMemoryStats();
       const rateStats = getRateLimitStats();
       const modelInfo = getModelInfo();
+      const queueStats = llmQueue.getStats();
       const uptime = Math.floor(process.uptime());
       const uptimeFormatted = `${Math.floor(uptime / 3600)}h ${Math.floor((uptime % 3600) / 60)}m`;
       
@@ -71,7 +174,12 @@ const adminCommands = {
 **📊 Rate Limiting:**
 • ${rateStats.activeUsersMinute} usuários ativos (1min)
 • ${rateStats.totalRequestsMinute} requests (1min)
-• ${rateStats.totalUsers} usuários cadastrados`;
+• ${rateStats.totalUsers} usuários cadastrados
+
+**⏳ Fila do LLM:**
+• ${queueStats.running}/${queueStats.maxConcurrency} em execução
+• ${queueStats.waiting} aguardando (${queueStats.waitingChats} chats)
+• Espera média: ${(queueStats.avgWaitMs / 1000).toFixed(1)}s (máx. ${(queueStats.maxWaitMs / 1000).toFixed(1)}s)`;
 
       await msg.reply(status);
     }
@@ -79,6 +187,7 @@ const adminCommands = {
 
   '/stats': {
     description: 'Estatísticas detalhadas do sistema',
+    role: 'viewer',
     handler: async (msg) => {
       const memStats = getMemoryStats();
       const rateStats = getRateLimitStats();
@@ -114,6 +223,7 @@ const adminCommands = {
 
   '/memory': {
     description: 'Informações detalhadas da memória',
+    role: 'viewer',
     handler: async (msg) => {
       const stats = getMemoryStats();
       
@@ -133,8 +243,69 @@ const adminCommands = {
     }
   },
 
+  '/buscar': {
+    description: 'Busca em todas as conversas guardadas',
+    role: 'viewer',
+    handler: async (msg, chat, client, args) => {
+      if (args.length === 0) {
+        await msg.reply('❌ Use: `/buscar [termo]`\n\nFiltros opcionais:\n• `de:01/03` / `ate:2026-03-31` - Período\n• `papel:usuario` ou `papel:bot` - Quem escreveu\n• `chat:este` ou `chat:[id]` - Um chat só\n• `numero:5511...` - Quem enviou\n\nEx.: `/buscar reunião de:01/03 papel:usuario`');
+        return;
+      }
+
+      const filters = { limit: SEARCH_RESULTS };
+      const terms = [];
+
+      try {
+        for (const arg of args) {
+          const [key, ...rest] = arg.split(':');
+          const value = rest.join(':');
+          if (!value) {
+            terms.push(arg);
+            continue;
+          }
+
+          switch (key.toLowerCase()) {
+            case 'de': filters.from = parseDateFilter(value); break;
+            case 'ate': case 'até': filters.to = parseDateFilter(value, { endOfDay: true }); break;
+            case 'papel': {
+              const searchRole = SEARCH_ROLES[value.toLowerCase()];
+              if (!searchRole) throw new Error(`Papel inválido: ${value} (use usuario ou bot)`);
+              filters.role = searchRole;
+              break;
+            }
+            case 'chat': filters.chatId = value === 'este' ? chat.id : value; break;
+            case 'numero': case 'número': filters.sender = value; break;
+            default: terms.push(arg);
+          }
+        }
+
+        const result = searchIndex.search(terms.join(' '), filters);
+        if (result.total === 0) {
+          await msg.reply(`🔎 Nada encontrado para "${terms.join(' ')}".`);
+          return;
+        }
+
+        let text = `🔎 **Busca:** "${terms.join(' ')}" — ${result.total} resultado${result.total === 1 ? '' : 's'}\n`;
+        result.items.forEach((item, i) => {
+          const icon = item.chatId.endsWith('@g.us') ? '👥' : '👤';
+          const when = item.timestamp ? new Date(item.timestamp).toLocaleString('pt-BR') : '(sem data)';
+          const who = item.role === 'assistant' ? '🤖 Bot' : `+${item.sender || '?'}`;
+          text += `\n*${i + 1}.* ${icon} ${item.chatName} • ${when}\n   ${who}: ${item.snippet}\n`;
+        });
+        if (result.total > result.items.length) {
+          text += `\n*Mostrando os ${result.items.length} mais recentes. Refine com de:, ate:, papel:, chat: ou numero:*`;
+        }
+
+        await msg.reply(text);
+      } catch (error) {
+        await msg.reply(`❌ ${error.message}`);
+      }
+    }
+  },
+
   '/ratelimit': {
     description: 'Estatísticas de rate limiting',
+    role: 'viewer',
     handler: async (msg) => {
       const stats = getRateLimitStats();
       
@@ -157,30 +328,44 @@ const adminCommands = {
   },
 
   '/testllm': {
-    description: 'Testa conexão com o modelo LLM',
+    description: 'Testa conexão com todos os provedores LLM',
+    role: 'moderator',
     handler: async (msg) => {
       await msg.reply('🔄 Testando conexão com LLM...');
       
       const result = await testLLMConnection();
       
-      if (result.success) {
-        await msg.reply(`✅ **LLM Conectado!**
+      let report = result.success ? '✅ **LLM Conectado!**\n\n' : '❌ **Erro na conexão com LLM**\n\n';
+      
+      result.providers.forEach((provider, index) => {
+        const emoji = provider.success ? (provider.working ? '✅' : '⚠️') : '❌';
+        report += `${index + 1}. ${emoji} **${provider.name}** (${provider.model} via ${provider.dialect})\n`;
+        report += `   • **Endpoint:** ${provider.endpoint}\n`;
+        report += `   • **Estado:** ${provider.health.status}`;
+        report += provider.health.cooldownRemaining > 0 ? ` (volta em ${provider.health.cooldownRemaining}s)\n` : '\n';
         
-• **Status:** ${result.working ? 'Funcionando' : 'Resposta inesperada'}
-• **Resposta:** "${result.response}"
-• **Modelo:** ${getModelInfo().model}`);
-      } else {
-        await msg.reply(`❌ **Erro na conexão com LLM:**
-
-\`${result.error}\`
-
-Verifique se o servidor está rodando em: ${getModelInfo().endpoint}`);
+        if (provider.success) {
+          report += `   • **Resposta:** "${provider.response}" em ${(provider.latency / 1000).toFixed(1)}s\n\n`;
+        } else {
+          report += `   • **Erro:** \`${provider.error}\`\n\n`;
+        }
+      });
+      
+      if (result.providers.length === 0) {
+        report += `\`${result.error}\`\n\n`;
       }
+      
+      report += result.providers.length > 1
+        ? '*Provedores são usados na ordem acima, com failover automático*'
+        : `*Verifique se o servidor está rodando em: ${getModelInfo().endpoint}*`;
+      
+      await msg.reply(report);
     }
   },
 
   '/limparmemoria': {
     description: 'Limpa toda a memória do bot',
+    role: 'owner',
     handler: async (msg) => {
       await msg.reply('⚠️ **ATENÇÃO!** Isso vai apagar TODA a memória. Confirme digitando: `/confirmar limpar`');
     }
@@ -188,9 +373,17 @@ Verifique se o servidor está rodando em: ${getModelInfo().endpoint}`);
 
   '/confirmar': {
     description: 'Confirma operações perigosas',
-    handler: async (msg, chat, client, args) => {
+    role: 'admin',
+    handler: async (msg, chat, client, args, role) => {
+      const required = CONFIRM_ROLES[args[0]];
+      if (required && !hasRole(role, required)) {
+        await msg.reply(`🔒 Confirmar \`${args[0]}\` requer o papel **${required}** (o seu é ${role}).`);
+        return;
+      }
+
       if (args[0] === 'limpar') {
         const result = clearMemory();
+        await summaryManager.clearAll();
         await msg.reply(`🧹 **Memória limpa!**
 
 • **Chats removidos:** ${result.chatCount}
@@ -199,6 +392,15 @@ Verifique se o servidor está rodando em: ${getModelInfo().endpoint}`);
 Todas as conversas foram resetadas.`);
         
         logger.info('🗑️ Memória limpa por admin');
+      } else if (args[0] === 'broadcast') {
+        const requester = (msg.author || msg.from).replace(/[^0-9]/g, '');
+        try {
+          const draft = broadcastManager.takeDraft(requester);
+          const job = broadcastManager.start(draft, { requestedBy: requester, reportTo: chat.id });
+          await msg.reply(`📢 **Transmissão iniciada!** (${job.id})\n\nEnviando para ${job.total} chat(s). Mando o relatório aqui quando terminar.\n\n*Acompanhe com \`/broadcast status\` ou cancele com \`/broadcast parar\`*`);
+        } catch (error) {
+          await msg.reply(`❌ ${error.message}`);
+        }
       } else {
         await msg.reply('❌ Comando de confirmação inválido');
       }
@@ -207,6 +409,7 @@ Todas as conversas foram resetadas.`);
 
   '/cleanup': {
     description: 'Remove chats inativos (padrão: 30 dias)',
+    role: 'admin',
     handler: async (msg, chat, client, args) => {
       const days = parseInt(args[0]) || 30;
       
@@ -231,6 +434,7 @@ Todas as conversas foram resetadas.`);
 
   '/resetrate': {
     description: 'Reseta rate limit de um usuário ou todos',
+    role: 'moderator',
     handler: async (msg, chat, client, args) => {
       if (args[0] === 'all') {
         const count = rateLimiter.resetAll();
@@ -252,6 +456,7 @@ Todas as conversas foram resetadas.`);
 
   '/backup': {
     description: 'Cria backup manual',
+    role: 'admin',
     handler: async (msg) => {
       try {
         await msg.reply('💾 Criando backup...');
@@ -265,6 +470,7 @@ Todas as conversas foram resetadas.`);
 
   '/backups': {
     description: 'Lista backups disponíveis',
+    role: 'viewer',
     handler: async (msg) => {
       try {
         const backups = await listBackups();
@@ -287,6 +493,7 @@ Todas as conversas foram resetadas.`);
 
   '/restore': {
     description: 'Restaura backup por ID',
+    role: 'owner',
     handler: async (msg, chat, client, args) => {
       if (!args[0]) {
         await msg.reply('❌ Use: `/restore [backup-id]`');
@@ -310,6 +517,7 @@ Todas as conversas foram resetadas.`);
 
   '/errors': {
     description: 'Mostra logs de erros recentes',
+    role: 'viewer',
     handler: async (msg, chat, client, args) => {
       const limit = parseInt(args[0]) || 5;
       const recentErrors = errorLogger.getRecentErrors(limit);
@@ -356,6 +564,7 @@ Todas as conversas foram resetadas.`);
 
   '/admins': {
     description: 'Lista os administradores do bot',
+    role: 'viewer',
     handler: async (msg) => {
       const adminNumbers = (process.env.ADMIN_NUMBERS || '').split(',').map(n => n.trim()).filter(n => n);
       
@@ -379,6 +588,7 @@ Todas as conversas foram resetadas.`);
 
   '/errorstats': {
     description: 'Estatísticas gerais de erros',
+    role: 'viewer',
     handler: async (msg) => {
       const stats = errorLogger.getErrorStats();
       
@@ -419,6 +629,7 @@ Todas as conversas foram resetadas.`);
 
   '/performance': {
     description: 'Estatísticas de performance do LLM',
+    role: 'viewer',
     handler: async (msg) => {
       const stats = performanceMonitor.getStats();
       const suggestions = performanceMonitor.getSuggestions();
@@ -438,6 +649,10 @@ Todas as conversas foram resetadas.`);
 `;
         perfInfo += `• **Total requests:** ${stats.totalRequests}
 `;
+        if (stats.streamedRequests > 0) {
+          perfInfo += `• **Tempo até 1º token:** ${stats.avgFirstToken}s (streaming)
+`;
+        }
         perfInfo += `• **Status:** ${stats.isSlow ? '⚠️ Lento' : '✅ Normal'}
 `;
         
@@ -449,39 +664,52 @@ Todas as conversas foram resetadas.`);
         }
       }
       
+      const budget = stats.contextBudget;
+      if (budget) {
+        perfInfo += `\n🧮 **Orçamento de contexto (última resposta):**\n`;
+        perfInfo += `• **Janela:** ${budget.contextWindow} tokens (${budget.reservedForAnswer} reservados para a resposta)\n`;
+        perfInfo += `• **Usado:** ${budget.used}/${budget.available} tokens (sistema ${budget.systemTokens}${budget.conversationSummary ? ' com resumo' : ''}, histórico ${budget.historyTokens}`;
+        perfInfo += budget.summaryTokens > 0 ? `, resumo ${budget.summaryTokens})\n` : ')\n';
+        perfInfo += `• **Mensagens:** ${budget.keptMessages} no contexto`;
+        perfInfo += budget.droppedMessages > 0 ? `, ${budget.droppedMessages} antigas ${budget.summarized ? 'resumidas' : 'descartadas'}\n` : '\n';
+        perfInfo += `• **Tokenizer:** ${budget.tokenizer}\n`;
+      }
+      
       await msg.reply(perfInfo);
     }
   },
 
   '/users': {
-    description: 'Gerencia usuários admin',
-    handler: async (msg, chat, client, args) => {
+    description: 'Gerencia usuários admin e seus papéis',
+    role: 'admin',
+    handler: async (msg, chat, client, args, role) => {
       const subCommand = args[0] || 'list';
+      const roleList = Object.entries(ROLES).map(([name, description]) => `• \`${name}\` - ${description}`).join('\n');
       
       if (subCommand === 'list') {
         const users = authManager.listUsers();
         
         if (users.length === 0) {
-          await msg.reply('👤 **Usuários Admin**\n\n⚠️ Nenhum usuário cadastrado\n\n*Use `/users create [usuario] [senha]` para criar*');
+          await msg.reply('👤 **Usuários Admin**\n\n⚠️ Nenhum usuário cadastrado\n\n*Use `/users create [usuario] [senha] [papel]` para criar*');
           return;
         }
         
         let usersList = `👤 **Usuários Admin (${users.length}):**\n\n`;
         
         users.forEach((user, index) => {
-          usersList += `${index + 1}. **${user.username}**\n`;
+          usersList += `${index + 1}. **${user.username}** (${user.role})\n`;
           usersList += `   📅 Criado: ${user.createdAt}\n`;
           usersList += `   👤 Por: ${user.createdBy}\n`;
           usersList += `   🔑 Último login: ${user.lastLogin}\n\n`;
         });
         
-        usersList += '*Use `/users create [usuario] [senha]` para adicionar*';
+        usersList += '*Use `/users create [usuario] [senha] [papel]` para adicionar*';
         
         await msg.reply(usersList);
         
       } else if (subCommand === 'create') {
         if (args.length < 3) {
-          await msg.reply('❌ Use: `/users create [usuario] [senha]`\n\nExemplo: `/users create admin minhasenha123`');
+          await msg.reply(`❌ Use: \`/users create [usuario] [senha] [papel]\`\n\nExemplo: \`/users create maria minhasenha123 moderator\`\n\n**Papéis:**\n${roleList}`);
           return;
         }
         
@@ -490,8 +718,54 @@ Todas as conversas foram resetadas.`);
         const sender = (msg.author || msg.from).replace(/[^0-9]/g, '');
         
         try {
-          await authManager.createUser(username, password, sender);
-          await msg.reply(`✅ **Usuário criado!**\n\n👤 **Nome:** ${username}\n🔑 **Senha:** ||${password}||\n\nO usuário pode usar `/login` para acessar comandos admin.`);
+          const userRole = normalizeRole(args[3] || 'viewer');
+          if (!canAssignRole(role, userRole)) {
+            throw new Error(`Seu papel (${role}) não pode criar usuários ${userRole}`);
+          }
+          await authManager.createUser(username, password, sender, userRole);
+          await msg.reply(`✅ **Usuário criado!**\n\n👤 **Nome:** ${username}\n🛡️ **Papel:** ${userRole}\n🔑 **Senha:** ||${password}||\n\nO usuário pode usar \`/login\` para acessar os comandos do seu papel.`);
+        } catch (error) {
+          await msg.reply(`❌ **Erro:** ${error.message}`);
+        }
+        
+      } else if (subCommand === 'role') {
+        if (args.length < 3) {
+          await msg.reply(`❌ Use: \`/users role [usuario] [papel]\`\n\n**Papéis:**\n${roleList}`);
+          return;
+        }
+        
+        const username = args[1].toLowerCase();
+        
+        try {
+          const current = authManager.getUserRole(username);
+          if (!current) {
+            throw new Error('Usuário não encontrado');
+          }
+          const userRole = normalizeRole(args[2]);
+          if (!canAssignRole(role, current) || !canAssignRole(role, userRole)) {
+            throw new Error(`Seu papel (${role}) não pode alterar ${username} de ${current} para ${userRole}`);
+          }
+          await authManager.setRole(username, userRole);
+          await msg.reply(`🛡️ **${username}** agora é **${userRole}**\n\n${ROLES[userRole]}`);
+        } catch (error) {
+          await msg.reply(`❌ **Erro:** ${error.message}`);
+        }
+        
+      } else if (subCommand === 'senha') {
+        if (args.length < 3) {
+          await msg.reply('❌ Use: `/users senha [usuario] [nova senha]`');
+          return;
+        }
+        
+        const username = args[1].toLowerCase();
+        
+        try {
+          const current = authManager.getUserRole(username);
+          if (current && !canAssignRole(role, current)) {
+            throw new Error(`Seu papel (${role}) não pode redefinir a senha de usuários ${current}`);
+          }
+          await authManager.setPassword(username, args[2]);
+          await msg.reply(`🔑 **Senha de ${username} redefinida**\n\nAs sessões abertas dele foram encerradas.`);
         } catch (error) {
           await msg.reply(`❌ **Erro:** ${error.message}`);
         }
@@ -505,6 +779,10 @@ Todas as conversas foram resetadas.`);
         const username = args[1].toLowerCase();
         
         try {
+          const current = authManager.getUserRole(username);
+          if (current && !canAssignRole(role, current)) {
+            throw new Error(`Seu papel (${role}) não pode remover usuários ${current}`);
+          }
           await authManager.removeUser(username);
           await msg.reply(`✅ **Usuário removido:** ${username}\n\nTodas as sessões ativas foram encerradas.`);
         } catch (error) {
@@ -512,13 +790,14 @@ Todas as conversas foram resetadas.`);
         }
         
       } else {
-        await msg.reply('❌ **Subcomandos disponíveis:**\n\n• `/users list` - Lista usuários\n• `/users create [usuario] [senha]` - Cria usuário\n• `/users remove [usuario]` - Remove usuário');
+        await msg.reply('❌ **Subcomandos disponíveis:**\n\n• `/users list` - Lista usuários\n• `/users create [usuario] [senha] [papel]` - Cria usuário\n• `/users role [usuario] [papel]` - Altera o papel\n• `/users senha [usuario] [nova senha]` - Redefine a senha\n• `/users remove [usuario]` - Remove usuário');
       }
     }
   },
 
   '/sessions': {
     description: 'Lista sessões ativas de login',
+    role: 'admin',
     handler: async (msg) => {
       const sessions = authManager.listSessions();
       const authStats = authManager.getStats();
@@ -545,8 +824,330 @@ Todas as conversas foram resetadas.`);
     }
   },
 
+  '/persona': {
+    description: 'Gerencia a persona (prompt de sistema) do chat',
+    role: 'moderator',
+    handler: async (msg, chat, client, args) => {
+      const subCommand = args[0] || 'show';
+      
+      if (subCommand === 'list') {
+        const personas = personaManager.listPersonas();
+        const current = personaManager.getChatPersona(chat.id);
+        
+        let list = `🎭 **Personas (${personas.length}):**\n\n`;
+        
+        personas.forEach((persona, index) => {
+          const marker = persona.name === current.name ? ' ✅' : '';
+          list += `${index + 1}. **${persona.name}**${marker}${persona.isDefault ? ' (padrão)' : ''}\n`;
+          if (persona.description) {
+            list += `   📝 ${persona.description}\n`;
+          }
+          list += `   🌐 ${persona.language} • 💬 ${persona.chats} chats\n\n`;
+        });
+        
+        list += '*Use `/persona set [nome]` para trocar a persona deste chat*';
+        
+        await msg.reply(list);
+        
+      } else if (subCommand === 'set') {
+        if (!args[1]) {
+          await msg.reply('❌ Use: `/persona set [nome]`\n\nVeja as opções com `/persona list`');
+          return;
+        }
+        
+        try {
+          const persona = await personaManager.setChatPersona(chat.id, args[1]);
+          logger.info('🎭 Persona do chat %s alterada para %s', chat.id, persona.name);
+          await msg.reply(`✅ **Persona alterada!**\n\n🎭 **Nome:** ${persona.name}\n🌐 **Idioma:** ${persona.language}\n\nAs próximas respostas neste chat usarão essa persona.`);
+        } catch (error) {
+          await msg.reply(`❌ **Erro:** ${error.message}`);
+        }
+        
+      } else if (subCommand === 'reset') {
+        const persona = await personaManager.setChatPersona(chat.id, null);
+        await msg.reply(`🔄 Chat voltou para a persona padrão: **${persona.name}**`);
+        
+      } else if (subCommand === 'show') {
+        const persona = args[1]
+          ? personaManager.getPersona(args[1].toLowerCase())
+          : personaManager.getChatPersona(chat.id);
+        
+        if (!persona) {
+          await msg.reply(`❌ Persona \`${args[1]}\` não encontrada`);
+          return;
+        }
+        
+        await msg.reply(`🎭 **Persona: ${persona.name}**
+
+• **Descrição:** ${persona.description || 'N/A'}
+• **Idioma:** ${persona.language}
+• **Temperature:** ${persona.temperature ?? 'padrão do .env'}
+• **Max tokens:** ${persona.maxTokens ?? 'padrão do .env'}
+• **Ferramentas:** ${toolRegistry.resolveAllowed(persona.tools).join(', ') || 'nenhuma'}${persona.tools ? '' : ' (padrão do .env)'}
+
+**Prompt de sistema:**
+${persona.systemPrompt.slice(0, 1000)}${persona.systemPrompt.length > 1000 ? '...' : ''}`);
+        
+      } else {
+        await msg.reply('❌ **Subcomandos disponíveis:**\n\n• `/persona list` - Lista personas\n• `/persona set [nome]` - Define a persona do chat\n• `/persona show [nome]` - Mostra detalhes\n• `/persona reset` - Volta à persona padrão');
+      }
+    }
+  },
+
+  '/ferramentas': {
+    description: 'Lista as ferramentas que o modelo pode usar',
+    role: 'viewer',
+    handler: async (msg, chat) => {
+      const persona = personaManager.getChatPersona(chat.id);
+      const allowed = toolRegistry.resolveAllowed(persona.tools);
+      
+      let list = `🔧 **Ferramentas (${allowed.length} liberadas para ${persona.name}):**\n\n`;
+      
+      toolRegistry.list().forEach(tool => {
+        const marker = allowed.includes(tool.name) ? '✅' : '⬜';
+        list += `${marker} **${tool.name}** - ${tool.description}\n`;
+      });
+      
+      list += '\n*Libere por persona no campo `tools` (Control Panel) ou para todas em `TOOLS_DEFAULT`*';
+      
+      await msg.reply(list);
+    }
+  },
+
+  '/resumo': {
+    description: 'Mostra, gera ou apaga o resumo da conversa do chat',
+    role: 'moderator',
+    handler: async (msg, chat, client, args) => {
+      const subCommand = args[0] || 'show';
+      
+      if (subCommand === 'show') {
+        const summary = summaryManager.getSummary(chat.id);
+        
+        if (!summary) {
+          await msg.reply(`📝 Este chat ainda não tem resumo.\n\nEle é criado automaticamente após ${summaryManager.threshold} mensagens, ou use \`/resumo gerar\`.`);
+          return;
+        }
+        
+        await msg.reply(`📝 **Resumo da conversa**
+
+${summary.text}
+
+• **Mensagens resumidas:** ${summary.summarizedMessages}
+• **Atualizado em:** ${new Date(summary.updatedAt).toLocaleString('pt-BR')}`);
+        
+      } else if (subCommand === 'gerar') {
+        try {
+          await msg.reply('⏳ Gerando resumo da conversa...');
+          const summary = await summaryManager.summarize(chat.id, true);
+          
+          if (!summary) {
+            await msg.reply('📝 Não há mensagens suficientes para resumir neste chat.');
+            return;
+          }
+          
+          await msg.reply(`✅ **Resumo atualizado!**\n\n${summary.text}`);
+        } catch (error) {
+          await msg.reply(`❌ **Erro:** ${error.message}`);
+        }
+        
+      } else if (subCommand === 'reset') {
+        const removed = await summaryManager.resetSummary(chat.id);
+        await msg.reply(removed ? '🗑️ Resumo deste chat apagado.' : '📝 Este chat não tinha resumo.');
+        
+      } else {
+        await msg.reply('❌ **Subcomandos disponíveis:**\n\n• `/resumo` - Mostra o resumo\n• `/resumo gerar` - Resume agora\n• `/resumo reset` - Apaga o resumo');
+      }
+    }
+  },
+
+  '/grupo': {
+    description: 'Configura quando o bot responde neste chat',
+    role: 'moderator',
+    handler: async (msg, chat, client, args) => {
+      const subCommand = args[0] || 'show';
+      const showPolicy = (policy) => {
+        const chance = policy.chance ?? (parseFloat(process.env.GROUP_RANDOM_CHANCE) || 0.25);
+        return `🚦 **Política de resposta${policy.custom ? '' : ' (padrão)'}**
+
+• **Modo:** ${policy.mode} - ${POLICY_MODES[policy.mode]}
+• **Chance aleatória:** ${Math.round(chance * 100)}%${policy.chance === null ? ' (do .env)' : ''}
+• **Palavras-chave:** ${policy.keywords.length > 0 ? policy.keywords.join(', ') : 'nenhuma'}
+• **Silêncio:** ${policy.quietHours ? `${policy.quietHours.start} às ${policy.quietHours.end}` : 'desativado'}
+• **Espera para juntar mensagens:** ${policy.debounceMs === null ? 'padrão do .env' : `${policy.debounceMs / 1000}s`}`;
+      };
+      
+      try {
+        if (subCommand === 'show') {
+          await msg.reply(showPolicy(chatPolicyManager.getPolicy(chat.id)));
+          
+        } else if (subCommand === 'modo') {
+          if (!args[1]) {
+            const modes = Object.entries(POLICY_MODES).map(([mode, description]) => `• \`${mode}\` - ${description}`).join('\n');
+            await msg.reply(`❌ Use: \`/grupo modo [modo]\`\n\n${modes}`);
+            return;
+          }
+          const policy = await chatPolicyManager.setPolicy(chat.id, { mode: args[1] });
+          await msg.reply(`✅ Modo alterado para **${policy.mode}**\n\n${POLICY_MODES[policy.mode]}`);
+          
+        } else if (subCommand === 'chance') {
+          if (!args[1]) {
+            await msg.reply('❌ Use: `/grupo chance [0-100%]` (ex.: `/grupo chance 10%`)');
+            return;
+          }
+          const policy = await chatPolicyManager.setPolicy(chat.id, { chance: args[1] });
+          await msg.reply(`✅ Chance de resposta aleatória: **${Math.round(policy.chance * 100)}%**${policy.mode !== 'aleatorio' ? '\n\n⚠️ Só vale no modo `aleatorio`' : ''}`);
+          
+        } else if (subCommand === 'palavras') {
+          const action = args[1] || 'list';
+          const words = args.slice(2).join(' ').split(',').map(w => w.trim()).filter(Boolean);
+          
+          if ((action === 'add' || action === 'remove') && words.length === 0) {
+            await msg.reply(`❌ Use: \`/grupo palavras ${action} palavra1, palavra2\``);
+            return;
+          }
+          
+          let policy;
+          if (action === 'add') {
+            policy = await chatPolicyManager.addKeywords(chat.id, words);
+          } else if (action === 'remove') {
+            policy = await chatPolicyManager.removeKeywords(chat.id, words);
+          } else if (action === 'limpar') {
+            policy = await chatPolicyManager.setPolicy(chat.id, { keywords: [] });
+          } else {
+            policy = chatPolicyManager.getPolicy(chat.id);
+          }
+          
+          await msg.reply(`🔑 **Palavras-chave (${policy.keywords.length}):** ${policy.keywords.length > 0 ? policy.keywords.join(', ') : 'nenhuma'}${policy.mode !== 'palavras' ? '\n\n⚠️ Só valem no modo `palavras` (`/grupo modo palavras`)' : ''}`);
+          
+        } else if (subCommand === 'silencio') {
+          if (!args[1]) {
+            await msg.reply('❌ Use: `/grupo silencio 22:00-07:00` ou `/grupo silencio off`');
+            return;
+          }
+          
+          if (args[1] === 'off') {
+            await chatPolicyManager.setPolicy(chat.id, { quietHours: null });
+            await msg.reply('🔔 Horário de silêncio desativado');
+            return;
+          }
+          
+          const [start, end] = args[1].split('-');
+          const policy = await chatPolicyManager.setPolicy(chat.id, { quietHours: { start, end } });
+          await msg.reply(`🌙 Silêncio das ${policy.quietHours.start} às ${policy.quietHours.end}: só respondo menções nesse horário`);
+          
+        } else if (subCommand === 'espera') {
+          if (!args[1]) {
+            await msg.reply('❌ Use: `/grupo espera [segundos]` (0 desativa, `padrao` volta ao .env)');
+            return;
+          }
+          
+          const debounceMs = args[1] === 'padrao' ? null : Math.round(parseFloat(args[1].replace(',', '.')) * 1000);
+          const policy = await chatPolicyManager.setPolicy(chat.id, { debounceMs });
+          await msg.reply(policy.debounceMs === null
+            ? '⏱️ Espera voltou ao padrão do .env'
+            : policy.debounceMs === 0
+              ? '⏱️ Espera desativada: cada mensagem é respondida na hora'
+              : `⏱️ Mensagens seguidas em até ${policy.debounceMs / 1000}s serão respondidas juntas`);
+          
+        } else if (subCommand === 'reset') {
+          await chatPolicyManager.resetPolicy(chat.id);
+          await msg.reply(`🔄 Chat voltou para a política padrão\n\n${showPolicy(chatPolicyManager.getPolicy(chat.id))}`);
+          
+        } else {
+          await msg.reply('❌ **Subcomandos disponíveis:**\n\n• `/grupo` - Mostra a política\n• `/grupo modo mencao|aleatorio|palavras|mudo`\n• `/grupo chance [0-100%]`\n• `/grupo palavras add|remove|limpar [palavras]`\n• `/grupo silencio HH:MM-HH:MM|off`\n• `/grupo espera [segundos]`\n• `/grupo reset`');
+        }
+      } catch (error) {
+        await msg.reply(`❌ **Erro:** ${error.message}`);
+      }
+    }
+  },
+
+  '/broadcast': {
+    description: 'Envia uma mensagem para vários chats',
+    role: 'admin',
+    handler: async (msg, chat, client, args) => {
+      const subCommand = args[0];
+      const requester = (msg.author || msg.from).replace(/[^0-9]/g, '');
+      const usage = `📢 **Transmissão**
+
+• \`/broadcast [todos|grupos|privados] [mensagem]\` - Prévia do envio
+• \`/broadcast lista:[nome] [mensagem]\` - Envia para uma lista salva
+• \`/confirmar broadcast\` - Confirma o envio
+• \`/broadcast status\` - Progresso da transmissão
+• \`/broadcast parar\` - Cancela a transmissão em andamento
+• \`/broadcast listas\` - Listas salvas
+• \`/broadcast salvar [nome] [id1, id2 | este]\` - Salva uma lista
+• \`/broadcast apagar [nome]\` - Apaga uma lista
+
+*Intervalo entre envios: ${broadcastManager.delayMs / 1000}s (+ até ${broadcastManager.jitterMs / 1000}s)*`;
+
+      try {
+        if (!subCommand) {
+          await msg.reply(usage);
+
+        } else if (subCommand === 'status') {
+          const { current, history } = broadcastManager.getStatus();
+          const job = current || history[0];
+          if (!job) {
+            await msg.reply('📢 Nenhuma transmissão feita desde que o bot iniciou.');
+            return;
+          }
+          await msg.reply(`📢 **Transmissão ${job.id}** - ${job.status}\n\n• **Progresso:** ${job.progress}% (${job.sent + job.failed}/${job.total})\n• **Enviadas:** ${job.sent}\n• **Falhas:** ${job.failed}`);
+
+        } else if (subCommand === 'parar') {
+          const job = broadcastManager.cancel();
+          await msg.reply(job ? `🛑 Cancelando a transmissão ${job.id} (${job.sent}/${job.total} enviadas)...` : '📢 Nenhuma transmissão em andamento.');
+
+        } else if (subCommand === 'listas') {
+          const lists = Object.entries(broadcastManager.getLists());
+          if (lists.length === 0) {
+            await msg.reply('📋 Nenhuma lista salva. Use `/broadcast salvar [nome] [id1, id2 | este]`');
+            return;
+          }
+          await msg.reply(`📋 **Listas de transmissão:**\n\n${lists.map(([name, ids]) => `• **${name}** (${ids.length}): ${ids.join(', ')}`).join('\n')}`);
+
+        } else if (subCommand === 'salvar') {
+          const ids = args.slice(2).join(' ').split(',').map(id => id.trim()).filter(Boolean)
+            .map(id => id === 'este' ? chat.id : id);
+          if (!args[1] || ids.length === 0) {
+            await msg.reply('❌ Use: `/broadcast salvar [nome] [id1, id2 | este]`');
+            return;
+          }
+          const saved = await broadcastManager.saveList(args[1], ids);
+          await msg.reply(`✅ Lista **${args[1].toLowerCase()}** salva com ${saved.length} chat(s)`);
+
+        } else if (subCommand === 'apagar') {
+          const deleted = await broadcastManager.deleteList(args[1]);
+          await msg.reply(deleted ? `🗑️ Lista **${args[1]}** apagada` : `❌ Lista "${args[1] || ''}" não encontrada`);
+
+        } else {
+          const [target, list] = subCommand.toLowerCase().split(':');
+          if (!BROADCAST_TARGETS[target] || (target === 'lista') !== !!list) {
+            await msg.reply(`❌ Destino inválido: \`${subCommand}\`\n\n${usage}`);
+            return;
+          }
+
+          const draft = broadcastManager.createDraft(requester, { target, list, text: args.slice(1).join(' ') });
+          await msg.reply(`📢 **Prévia da transmissão**
+
+• **Destino:** ${BROADCAST_TARGETS[target]}${list ? ` (${list})` : ''}
+• **Chats:** ${draft.chatIds.length}
+• **Tempo estimado:** ~${Math.ceil(draft.estimatedSeconds / 60)} min
+
+**Mensagem:**
+${draft.text}
+
+⚠️ Confirme em até 5 minutos digitando: \`/confirmar broadcast\``);
+        }
+      } catch (error) {
+        await msg.reply(`❌ ${error.message}`);
+      }
+    }
+  },
+
   '/logs': {
     description: 'Últimos logs do sistema',
+    role: 'viewer',
     handler: async (msg) => {
       const logs = `📝 **Logs do Sistema**
 
@@ -563,6 +1164,7 @@ Logs completos estão disponíveis no Control Panel.`;
 
   '/reiniciar': {
     description: 'Reinicia o bot',
+    role: 'owner',
     handler: async (msg) => {
       await msg.reply('🔁 Reiniciando Ceros AI... aguarde!');
       logger.info('🔄 Reiniciando por comando admin');
@@ -589,6 +1191,16 @@ const userCommands = {
 • \`/login\` - Login para acesso admin temporário
 • \`/logout\` - Sair da sessão admin
 
+🧠 **Memórias:**
+• \`/lembrar [fato]\` - Guardo algo sobre você
+• \`/memorias\` - Lista o que sei sobre você
+• \`/esquecer [n|tudo]\` - Apaga uma memória ou todas
+
+⏰ **Lembretes:**
+• \`/lembrete [quando] [texto]\` - Ex.: \`/lembrete amanhã às 9h pagar o boleto\`
+• \`/lembretes\` - Lista seus lembretes
+• \`/cancelar [id]\` - Cancela um lembrete
+
 Você também pode simplesmente conversar comigo! 😊`;
 
       await msg.reply(help);
@@ -656,12 +1268,128 @@ ${stats.isLimited ? '❌ **Você está temporariamente limitado**\nAguarde algun
         return;
       }
       
-      // Inicia processo de login
-      authManager.startLogin(sender);
+      // Inicia processo de login (recusado se o número estiver bloqueado)
+      try {
+        authManager.startLogin(sender);
+      } catch (error) {
+        await msg.reply(`🔒 ${error.message}`);
+        return;
+      }
       await msg.reply(`🔐 **Login de Administrador**\n\n👤 Digite seu nome de usuário:\n\n*Processo expira em 5 minutos*`);
     }
   },
 
+  '/lembrar': {
+    description: 'Guarda um fato sobre o usuário',
+    handler: async (msg, chat, sender, args) => {
+      try {
+        const total = await userFactsManager.addFact(sender, args.join(' '), chat.id);
+        await msg.reply(`🧠 **Anotado!** Vou lembrar disso em qualquer conversa.\n\n📋 Você tem ${total} memória(s). Veja com \`/memorias\`.`);
+      } catch (error) {
+        await msg.reply(`❌ ${error.message}`);
+      }
+    }
+  },
+
+  '/memorias': {
+    description: 'Lista os fatos guardados sobre o usuário',
+    handler: async (msg, chat, sender) => {
+      const facts = userFactsManager.listFacts(sender);
+      
+      if (facts.length === 0) {
+        await msg.reply('🧠 Ainda não guardei nada sobre você.\n\nUse `/lembrar [fato]`, ex.: `/lembrar meu aniversário é 3 de maio`');
+        return;
+      }
+      
+      let list = `🧠 **O que sei sobre você (${facts.length}/${userFactsManager.maxFacts}):**\n\n`;
+      facts.forEach((fact, index) => {
+        list += `${index + 1}. ${fact.text}\n`;
+      });
+      list += '\n*Use `/esquecer [número]` ou `/esquecer tudo` para apagar*';
+      
+      await msg.reply(list);
+    }
+  },
+
+  '/esquecer': {
+    description: 'Apaga um fato (ou todos) do usuário',
+    handler: async (msg, chat, sender, args) => {
+      if (!args[0]) {
+        await msg.reply('❌ Use: `/esquecer [número]` ou `/esquecer tudo`\n\nVeja os números com `/memorias`');
+        return;
+      }
+      
+      if (args[0] === 'tudo') {
+        const count = await userFactsManager.clearFacts(sender);
+        await msg.reply(count > 0 ? `🗑️ Esqueci tudo (${count} memória(s) apagadas).` : '🧠 Eu não tinha nada guardado sobre você.');
+        return;
+      }
+      
+      try {
+        const removed = await userFactsManager.removeFact(sender, args[0]);
+        await msg.reply(`🗑️ Esqueci: "${removed.text}"`);
+      } catch (error) {
+        await msg.reply(`❌ ${error.message}`);
+      }
+    }
+  },
+
+  '/lembrete': {
+    description: 'Agenda um lembrete',
+    handler: async (msg, chat, sender, args) => {
+      if (args.length === 0) {
+        await msg.reply('❌ Use: `/lembrete [quando] [texto]`\n\nExemplos:\n• `/lembrete amanhã às 9h pagar o boleto`\n• `/lembrete sexta às 14h reunião`\n• `/lembrete daqui 2 horas tirar o bolo`\n• `/lembrete toda segunda 8h academia`');
+        return;
+      }
+
+      try {
+        const reminder = await reminderManager.addReminder({ chatId: chat.id, sender, input: args.join(' ') });
+        const recurrence = reminderManager.describe(reminder);
+        await msg.reply(`⏰ **Lembrete #${reminder.id} agendado!**\n\n📝 ${reminder.text}\n📅 ${formatDueDate(reminder.dueAt)}${recurrence ? `\n🔁 ${recurrence}` : ''}\n\n*Cancele com \`/cancelar ${reminder.id}\`*`);
+      } catch (error) {
+        await msg.reply(`❌ ${error.message}`);
+      }
+    }
+  },
+
+  '/lembretes': {
+    description: 'Lista os lembretes do usuário',
+    handler: async (msg, chat, sender) => {
+      const reminders = reminderManager.listReminders(sender);
+
+      if (reminders.length === 0) {
+        await msg.reply('⏰ Você não tem lembretes agendados.\n\nUse `/lembrete [quando] [texto]`, ex.: `/lembrete amanhã às 9h pagar o boleto`');
+        return;
+      }
+
+      let list = `⏰ **Seus lembretes (${reminders.length}/${reminderManager.maxPerUser}):**\n\n`;
+      reminders.forEach(reminder => {
+        const recurrence = reminderManager.describe(reminder);
+        list += `#${reminder.id} • ${formatDueDate(reminder.dueAt)}${recurrence ? ` (🔁 ${recurrence})` : ''}\n   ${reminder.text}\n`;
+      });
+      list += '\n*Use `/cancelar [id]` para cancelar*';
+
+      await msg.reply(list);
+    }
+  },
+
+  '/cancelar': {
+    description: 'Cancela um lembrete',
+    handler: async (msg, chat, sender, args) => {
+      if (!args[0]) {
+        await msg.reply('❌ Use: `/cancelar [id]`\n\nVeja os ids com `/lembretes`');
+        return;
+      }
+
+      try {
+        const removed = await reminderManager.cancelReminder(sender, args[0]);
+        await msg.reply(`🗑️ Lembrete #${removed.id} cancelado: "${removed.text}"`);
+      } catch (error) {
+        await msg.reply(`❌ ${error.message}`);
+      }
+    }
+  },
+
   '/logout': {
     description: 'Logout da sessão admin',
     handler: async (msg, chat, sender) => {
@@ -680,18 +1408,28 @@ ${stats.isLimited ? '❌ **Você está temporariamente limitado**\nAguarde algun
  * Handler principal de comandos
  */
 export const commands = {
-  async handleAdmin(command, msg, chat, client) {
+  /**
+   * @param {string} role - Papel de quem enviou (viewer, moderator, admin ou owner)
+   */
+  async handleAdmin(command, msg, chat, client, role = 'owner') {
     const [cmd, ...args] = command.split(' ');
     const handler = adminCommands[cmd];
     
-    if (handler) {
+    if (handler && !hasRole(role, handler.role)) {
+      logger.warn('🔒 Comando %s negado para %s (papel %s)', cmd, (msg.author || msg.from).slice(-4), role);
+      await msg.reply(`🔒 \`${cmd}\` requer o papel **${handler.role}** (o seu é ${role}). Use \`/help\` para ver o que você pode usar.`);
+    } else if (handler) {
       try {
         logger.info('🔧 Comando admin: %s por %s', cmd, (msg.author || msg.from).slice(-4));
-        await handler.handler(msg, chat, client, args);
+        await handler.handler(msg, chat, client, args, role);
       } catch (error) {
         logger.error('Erro no comando admin %s:', cmd, error);
         await msg.reply('❌ Erro interno no comando. Verifique os logs.');
       }
+    } else if (userCommands[cmd]) {
+      // Comandos de usuário (ex.: /lembrar) também valem para admins
+      const sender = (msg.author || msg.from).replace(/[^0-9]/g, '');
+      await this.handleUser(command, msg, chat, sender);
     } else {
       await msg.reply(`❌ Comando \`${cmd}\` não encontrado. Use \`/help\` para ver comandos disponíveis.`);
     }
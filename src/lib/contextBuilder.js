@@ -0,0 +1,152 @@
+// src/lib/contextBuilder.js
+import { logger } from './logger.js';
+import { estimateTokens, countMessageTokens, getTokenizerName } from './tokenizer.js';
+
+const ROLE_LABELS = { user: 'Usuário', assistant: 'Assistente', system: 'Sistema' };
+
+/**
+ * Corta um texto para caber em `maxTokens` (mantém o começo)
+ */
+export function truncateToTokens(text, maxTokens) {
+  if (maxTokens <= 0) return '';
+  if (estimateTokens(text) <= maxTokens) return text;
+
+  let end = text.length;
+  while (end > 0 && estimateTokens(text.slice(0, end) + '…') > maxTokens) {
+    end = Math.min(end - 1, Math.floor(end * Math.max(0.5, maxTokens / estimateTokens(text.slice(0, end)))));
+  }
+
+  return end > 0 ? text.slice(0, end) + '…' : '';
+}
+
+/**
+ * Resumo extrativo das mensagens que saíram do contexto (as mais recentes primeiro
+ * entram no resumo até esgotar o orçamento)
+ */
+function summarizeDropped(dropped, maxTokens) {
+  const header = 'RESUMO DE MENSAGENS ANTERIORES (fora do contexto):';
+  let used = estimateTokens(header) + 4;
+  const lines = [];
+
+  for (let i = dropped.length - 1; i >= 0; i--) {
+    const message = dropped[i];
+    const snippet = message.content.replace(/\s+/g, ' ').slice(0, 120);
+    const line = `- ${ROLE_LABELS[message.role] || message.role}: ${snippet}${message.content.length > 120 ? '…' : ''}`;
+    const tokens = estimateTokens(line) + 1;
+
+    if (used + tokens > maxTokens) break;
+    lines.unshift(line);
+    used += tokens;
+  }
+
+  return lines.length > 0 ? { role: 'system', content: `${header}\n${lines.join('\n')}` } : null;
+}
+
+/**
+ * Seleciona as mensagens mais recentes que cabem em `budget` tokens
+ */
+function fitRecent(history, budget) {
+  const kept = [];
+  let used = 0;
+  let index = history.length - 1;
+
+  for (; index >= 0; index--) {
+    const tokens = countMessageTokens(history[index]);
+    if (used + tokens > budget) break;
+    kept.unshift(history[index]);
+    used += tokens;
+  }
+
+  return { kept, used, dropped: history.slice(0, index + 1) };
+}
+
+/**
+ * Monta o contexto enviado ao LLM respeitando a janela do modelo.
+ *
+ * Orçamento = contextWindow - maxTokens (reservado para a resposta, no máximo
+ * metade da janela para não sobrar só o prompt de sistema). O prompt
+ * de sistema e a mensagem nova sempre entram (a nova é cortada se preciso);
+ * o histórico entra do mais recente para o mais antigo e o que sobrar vira
+ * um resumo curto (CONTEXT_SUMMARY=false apenas descarta).
+ *
+ * @param {object} params
+ * @param {string} params.systemPrompt - Prompt de sistema da persona
+ * @param {string} [params.conversationSummary] - Resumo armazenado do chat (entra logo após o sistema)
+ * @param {Array} params.history - Histórico do chat; o último item é a mensagem nova
+ * @param {number} params.contextWindow - Janela de contexto do modelo (tokens)
+ * @param {number} params.maxTokens - Tokens reservados para a resposta
+ * @returns {{ messages: Array, budget: object }}
+ */
+export function buildContext({ systemPrompt, conversationSummary = null, history = [], contextWindow, maxTokens }) {
+  const summaryEnabled = process.env.CONTEXT_SUMMARY !== 'false';
+  const summaryReserve = parseInt(process.env.CONTEXT_SUMMARY_TOKENS) || 200;
+
+  const reserved = Math.min(maxTokens, Math.floor(contextWindow / 2));
+  if (reserved < maxTokens) {
+    logger.debug('🧮 MAX_TOKENS (%d) maior que metade da janela (%d), reservando %d', maxTokens, contextWindow, reserved);
+  }
+
+  const available = Math.max(0, contextWindow - reserved);
+  const system = { role: 'system', content: systemPrompt };
+  const chatSummary = conversationSummary
+    ? { role: 'system', content: `RESUMO DA CONVERSA ATÉ AQUI:\n${conversationSummary}` }
+    : null;
+  const systemTokens = countMessageTokens(system) + (chatSummary ? countMessageTokens(chatSummary) : 0);
+
+  const turns = history.map(m => ({ role: m.role, content: m.content }));
+  const newest = turns.pop();
+
+  // A mensagem nova sempre entra, cortada se não couber sozinha
+  let newestTokens = 0;
+  if (newest) {
+    if (countMessageTokens(newest) > available - systemTokens) {
+      const room = Math.max(1, available - systemTokens - countMessageTokens({ content: '' }));
+      newest.content = truncateToTokens(newest.content, room);
+      logger.warn('✂️ Mensagem nova cortada para caber na janela de contexto (%d tokens)', room);
+    }
+    newestTokens = countMessageTokens(newest);
+  }
+
+  const historyBudget = Math.max(0, available - systemTokens - newestTokens);
+  let { kept, used, dropped } = fitRecent(turns, historyBudget);
+  let summary = null;
+
+  if (dropped.length > 0 && summaryEnabled) {
+    // Abre espaço para o resumo e refaz a seleção
+    ({ kept, used, dropped } = fitRecent(turns, Math.max(0, historyBudget - summaryReserve)));
+    summary = summarizeDropped(dropped, historyBudget - used);
+  }
+
+  const summaryTokens = summary ? countMessageTokens(summary) : 0;
+  const messages = [
+    system,
+    ...(chatSummary ? [chatSummary] : []),
+    ...(summary ? [summary] : []),
+    ...kept,
+    ...(newest ? [newest] : [])
+  ];
+  const total = systemTokens + summaryTokens + used + newestTokens;
+
+  if (dropped.length > 0) {
+    logger.debug('🧮 Contexto: %d/%d tokens, %d mensagens antigas %s',
+                 total, available, dropped.length, summary ? 'resumidas' : 'descartadas');
+  }
+
+  return {
+    messages,
+    budget: {
+      contextWindow,
+      reservedForAnswer: reserved,
+      available,
+      used: total,
+      systemTokens,
+      conversationSummary: !!chatSummary,
+      historyTokens: used + newestTokens,
+      summaryTokens,
+      keptMessages: kept.length + (newest ? 1 : 0),
+      droppedMessages: dropped.length,
+      summarized: !!summary,
+      tokenizer: getTokenizerName()
+    }
+  };
+}
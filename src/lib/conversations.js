@@ -0,0 +1,193 @@
+// src/lib/conversations.js
+import { listChats, getThread } from './memory.js';
+import { chatDirectory } from './chatDirectory.js';
+import { summaryManager } from './summaries.js';
+import { parseDateFilter } from './dateParser.js';
+
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 100;
+
+const ROLE_LABELS = {
+  user: 'Usuário',
+  assistant: 'Bot',
+  system: 'Sistema',
+  tool: 'Ferramenta'
+};
+
+export const EXPORT_FORMATS = {
+  json: { extension: 'json', contentType: 'application/json; charset=utf-8' },
+  md: { extension: 'md', contentType: 'text/markdown; charset=utf-8' },
+  txt: { extension: 'txt', contentType: 'text/plain; charset=utf-8' }
+};
+
+// Busca sem diferenciar maiúsculas nem acentos
+function fold(text) {
+  return String(text || '').normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase();
+}
+
+function paginate(items, { page = 1, limit = DEFAULT_PAGE_SIZE } = {}) {
+  const size = Math.min(Math.max(parseInt(limit) || DEFAULT_PAGE_SIZE, 1), MAX_PAGE_SIZE);
+  const pages = Math.max(Math.ceil(items.length / size), 1);
+  const current = Math.min(Math.max(parseInt(page) || 1, 1), pages);
+
+  return {
+    items: items.slice((current - 1) * size, current * size),
+    page: current,
+    limit: size,
+    total: items.length,
+    pages
+  };
+}
+
+function messageTime(message) {
+  return message.timestamp ? new Date(message.timestamp).getTime() : null;
+}
+
+function formatTime(timestamp) {
+  return timestamp ? new Date(timestamp).toLocaleString('pt-BR') : '(sem data)';
+}
+
+function assertChat(chatId) {
+  if (!listChats().includes(chatId)) {
+    throw new Error(`Chat ${chatId} não encontrado na memória`);
+  }
+}
+
+/**
+ * Resumo de um chat para a listagem
+ */
+function describeChat(chatId) {
+  const messages = getThread(chatId);
+  const last = messages[messages.length - 1];
+
+  return {
+    id: chatId,
+    name: chatDirectory.getName(chatId),
+    isGroup: chatId.endsWith('@g.us'),
+    messageCount: messages.length,
+    lastActivity: last?.timestamp || null,
+    lastMessage: last ? {
+      role: last.role,
+      preview: last.content.length > 80 ? `${last.content.slice(0, 80)}...` : last.content
+    } : null,
+    hasSummary: !!summaryManager.getSummary(chatId)
+  };
+}
+
+/**
+ * Chats na memória, do mais recente ao mais antigo
+ *
+ * @param {object} [options]
+ * @param {string} [options.search] - Parte do nome ou do ID
+ * @param {number} [options.page]
+ * @param {number} [options.limit] - Até 100 por página
+ */
+export function listConversations({ search = '', page, limit } = {}) {
+  const term = fold(search.trim());
+
+  const chats = listChats()
+    .map(describeChat)
+    .filter(chat => !term || fold(chat.name).includes(term) || chat.id.includes(term))
+    .sort((a, b) => (b.lastActivity || '').localeCompare(a.lastActivity || ''));
+
+  return paginate(chats, { page, limit });
+}
+
+/**
+ * Mensagens de um chat com filtros, em ordem cronológica
+ *
+ * @param {string} chatId
+ * @param {object} [filters]
+ * @param {string} [filters.q] - Texto a procurar no conteúdo
+ * @param {string} [filters.from] - Data inicial (AAAA-MM-DD ou ISO)
+ * @param {string} [filters.to] - Data final (AAAA-MM-DD ou ISO)
+ * @param {string} [filters.role] - user, assistant ou system
+ */
+export function getConversationMessages(chatId, { q = '', from, to, role, page, limit } = {}) {
+  assertChat(chatId);
+
+  const term = fold(q.trim());
+  const start = parseDateFilter(from);
+  const end = parseDateFilter(to, { endOfDay: true });
+
+  const messages = getThread(chatId)
+    .map((message, index) => ({ index, ...message }))
+    .filter(message => {
+      if (role && message.role !== role) return false;
+      if (term && !fold(message.content).includes(term)) return false;
+
+      const time = messageTime(message);
+      if (start !== null && (time === null || time < start)) return false;
+      if (end !== null && (time === null || time > end)) return false;
+      return true;
+    });
+
+  return {
+    chat: describeChat(chatId),
+    ...paginate(messages, { page, limit })
+  };
+}
+
+/**
+ * Transcrição completa de um chat em JSON, Markdown ou texto
+ *
+ * @returns {{ filename: string, contentType: string, content: string }}
+ */
+export function exportTranscript(chatId, format = 'json') {
+  const spec = EXPORT_FORMATS[format];
+  if (!spec) {
+    throw new Error(`Formato inválido. Use: ${Object.keys(EXPORT_FORMATS).join(', ')}`);
+  }
+  assertChat(chatId);
+
+  const chat = describeChat(chatId);
+  const messages = getThread(chatId);
+  const summary = summaryManager.getSummary(chatId);
+  const exportedAt = new Date();
+  const label = role => ROLE_LABELS[role] || role;
+
+  let content;
+  switch (format) {
+    case 'json':
+      content = JSON.stringify({
+        chat: { id: chat.id, name: chat.name, isGroup: chat.isGroup },
+        exportedAt: exportedAt.toISOString(),
+        summary: summary ? { text: summary.text, summarizedMessages: summary.summarizedMessages } : null,
+        messages: messages.map(({ role, content, timestamp }) => ({ role, content, timestamp }))
+      }, null, 2);
+      break;
+
+    case 'md':
+      content = [
+        `# Conversa: ${chat.name}`,
+        '',
+        `- **Chat:** ${chat.id}`,
+        `- **Exportado em:** ${formatTime(exportedAt)}`,
+        `- **Mensagens:** ${messages.length}`,
+        ...(summary ? ['', '## Resumo das mensagens anteriores', '', summary.text] : []),
+        '',
+        '## Mensagens',
+        ...messages.flatMap(m => ['', `**${label(m.role)}** · ${formatTime(m.timestamp)}`, '', m.content])
+      ].join('\n');
+      break;
+
+    case 'txt':
+      content = [
+        `Conversa: ${chat.name} (${chat.id})`,
+        `Exportado em: ${formatTime(exportedAt)}`,
+        ...(summary ? ['', 'Resumo das mensagens anteriores:', summary.text] : []),
+        '',
+        ...messages.map(m => `[${formatTime(m.timestamp)}] ${label(m.role)}: ${m.content}`)
+      ].join('\n');
+      break;
+  }
+
+  const safeId = chatId.replace(/[^\w-]+/g, '_');
+  const day = exportedAt.toISOString().slice(0, 10);
+
+  return {
+    filename: `conversa-${safeId}-${day}.${spec.extension}`,
+    contentType: spec.contentType,
+    content: `${content}\n`
+  };
+}
@@ -0,0 +1,320 @@
+// src/lib/dateParser.js
+
+const WEEKDAYS = ['domingo', 'segunda', 'terca', 'quarta', 'quinta', 'sexta', 'sabado'];
+const WEEKDAY_PATTERN = WEEKDAYS.join('|');
+
+const NUMBER_WORDS = {
+  um: 1, uma: 1, dois: 2, duas: 2, tres: 3, quatro: 4, cinco: 5, seis: 6,
+  sete: 7, oito: 8, nove: 9, dez: 10, quinze: 15, vinte: 20, trinta: 30, meia: 0.5
+};
+
+const UNIT_MS = {
+  min: 60 * 1000,
+  h: 60 * 60 * 1000,
+  d: 24 * 60 * 60 * 1000,
+  sem: 7 * 24 * 60 * 60 * 1000
+};
+
+const PERIOD_HOURS = { manha: 9, tarde: 15, noite: 20 };
+
+/**
+ * Minúsculas e sem acentos, preservando o tamanho do texto original
+ * (cada caractere vira exatamente um) para poder recortar o original depois
+ */
+function fold(text) {
+  return [...text].map(c => {
+    const folded = c.normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase();
+    return folded.length === c.length ? folded : c;
+  }).join('');
+}
+
+function toUnit(word) {
+  if (/^m/.test(word)) return word.startsWith('mes') ? null : 'min';
+  if (/^h/.test(word)) return 'h';
+  if (/^d/.test(word)) return 'd';
+  if (/^s/.test(word)) return 'sem';
+  return null;
+}
+
+/**
+ * Ajusta a hora pelo período ("9 da noite" = 21h, "2 da tarde" = 14h)
+ */
+function applyPeriod(hour, period) {
+  if ((period === 'tarde' || period === 'noite') && hour < 12) return hour + 12;
+  if (period === 'noite' && hour === 12) return 0;
+  return hour;
+}
+
+// Cada regra tenta casar no início do texto restante e preenche `spec`
+const RULES = [
+  // daqui 2 horas / em 30 minutos / daqui a meia hora / dentro de 3 dias
+  {
+    pattern: /^(?:daqui|em|dentro de)\s+(?:a\s+)?(\d+(?:[.,]\d+)?|[a-z]+)\s*(minutos?|min|horas?|h|dias?|semanas?)\b/,
+    apply: (m, spec) => {
+      const amount = /\d/.test(m[1]) ? parseFloat(m[1].replace(',', '.')) : NUMBER_WORDS[m[1]];
+      const unit = toUnit(m[2]);
+      if (!amount || !unit) return false;
+      spec.offsetMs = (spec.offsetMs || 0) + amount * UNIT_MS[unit];
+    }
+  },
+  // todo dia / todos os dias / diariamente
+  {
+    pattern: /^(?:(?:todo|cada)\s+dia|todos\s+os\s+dias|diariamente)\b(?!\s+util)/,
+    apply: (m, spec) => { spec.recurrence = { type: 'daily' }; }
+  },
+  // dias úteis / todo dia útil
+  {
+    pattern: /^(?:(?:em|nos|todos\s+os)\s+)?(?:dias\s+uteis|todo\s+dia\s+util)\b/,
+    apply: (m, spec) => { spec.recurrence = { type: 'weekdays' }; }
+  },
+  // toda semana / semanalmente
+  {
+    pattern: /^(?:toda\s+semana|semanalmente)\b/,
+    apply: (m, spec) => { spec.recurrence = { type: 'weekly' }; }
+  },
+  // todo mês / mensalmente
+  {
+    pattern: /^(?:todo\s+mes|mensalmente)\b/,
+    apply: (m, spec) => { spec.recurrence = { type: 'monthly' }; }
+  },
+  // toda segunda / todas as sextas
+  {
+    pattern: new RegExp(`^(?:toda|todas\\s+as)\\s+(${WEEKDAY_PATTERN})s?(?:[-\\s]feiras?)?\\b`),
+    apply: (m, spec) => {
+      spec.recurrence = { type: 'weekly' };
+      spec.weekday = WEEKDAYS.indexOf(m[1]);
+    }
+  },
+  // hoje / amanhã / depois de amanhã
+  {
+    pattern: /^(hoje|amanha|depois\s+de\s+amanha)\b/,
+    apply: (m, spec) => { spec.dayOffset = m[1] === 'hoje' ? 0 : m[1] === 'amanha' ? 1 : 2; }
+  },
+  // sexta / na próxima terça-feira
+  {
+    pattern: new RegExp(`^(?:(?:na|no|nesta|neste|essa|esse|nessa|nesse)\\s+)?(?:(?:proxima|proximo)\\s+)?(${WEEKDAY_PATTERN})(?:[-\\s]feira)?\\b`),
+    apply: (m, spec) => { spec.weekday = WEEKDAYS.indexOf(m[1]); }
+  },
+  // 25/12, 25/12/2026, dia 25/12
+  {
+    pattern: /^(?:(?:no\s+)?dia\s+)?(\d{1,2})\/(\d{1,2})(?:\/(\d{2,4}))?\b/,
+    apply: (m, spec) => {
+      spec.day = parseInt(m[1]);
+      spec.month = parseInt(m[2]) - 1;
+      if (m[3]) spec.year = parseInt(m[3]) < 100 ? 2000 + parseInt(m[3]) : parseInt(m[3]);
+    }
+  },
+  // dia 25
+  {
+    pattern: /^(?:no\s+)?dia\s+(\d{1,2})\b/,
+    apply: (m, spec) => { spec.day = parseInt(m[1]); }
+  },
+  // meio-dia / meia-noite
+  {
+    pattern: /^(?:ao\s+|a\s+)?(meio[-\s]dia|meia[-\s]noite)\b/,
+    apply: (m, spec) => {
+      spec.hour = m[1].startsWith('meio') ? 12 : 0;
+      spec.minute = 0;
+    }
+  },
+  // às 9h, 14:30, 9h30, 8 horas, às 9 da noite
+  {
+    pattern: /^(?:(?:as|a|ate\s+as)\s+)?(\d{1,2})(?::(\d{2})|h(\d{2})?|\s*horas?)(?:\s+(?:da|de)\s+(manha|tarde|noite|madrugada))?(?![\w/])/,
+    apply: (m, spec) => {
+      spec.hour = applyPeriod(parseInt(m[1]), m[4]);
+      spec.minute = parseInt(m[2] || m[3] || '0');
+    }
+  },
+  {
+    pattern: /^(?:as|a)\s+(\d{1,2})(?:\s+(?:da|de)\s+(manha|tarde|noite|madrugada))?\b(?![/:])/,
+    apply: (m, spec) => {
+      spec.hour = applyPeriod(parseInt(m[1]), m[2]);
+      spec.minute = 0;
+    }
+  },
+  // de manhã / à tarde / à noite (sem hora)
+  {
+    pattern: /^(?:de|a|pela|na|nesta|hoje\s+a)\s+(manha|tarde|noite)\b/,
+    apply: (m, spec) => { spec.period = m[1]; }
+  }
+];
+
+function addDays(date, days) {
+  const result = new Date(date);
+  result.setDate(result.getDate() + days);
+  return result;
+}
+
+/**
+ * Próxima ocorrência de um lembrete recorrente depois de `from`
+ */
+export function nextOccurrence(dueAt, recurrence, from = Date.now()) {
+  let next = new Date(dueAt);
+
+  do {
+    if (recurrence.type === 'daily') {
+      next = addDays(next, 1);
+    } else if (recurrence.type === 'weekdays') {
+      do {
+        next = addDays(next, 1);
+      } while (next.getDay() === 0 || next.getDay() === 6);
+    } else if (recurrence.type === 'weekly') {
+      next = addDays(next, 7);
+    } else if (recurrence.type === 'monthly') {
+      const day = recurrence.day || next.getDate();
+      const candidate = new Date(next.getFullYear(), next.getMonth() + 1, 1, next.getHours(), next.getMinutes());
+      const lastDay = new Date(candidate.getFullYear(), candidate.getMonth() + 1, 0).getDate();
+      candidate.setDate(Math.min(day, lastDay));
+      next = candidate;
+    } else {
+      return null;
+    }
+  } while (next.getTime() <= from);
+
+  return next.getTime();
+}
+
+/**
+ * Descrição curta da recorrência ("toda segunda", "todo dia"...)
+ */
+export function describeRecurrence(recurrence, dueAt) {
+  if (!recurrence) return null;
+
+  const weekdayNames = ['domingo', 'segunda', 'terça', 'quarta', 'quinta', 'sexta', 'sábado'];
+  const date = new Date(dueAt);
+
+  switch (recurrence.type) {
+    case 'daily': return 'todo dia';
+    case 'weekdays': return 'dias úteis';
+    case 'weekly': return `${date.getDay() === 0 || date.getDay() === 6 ? 'todo' : 'toda'} ${weekdayNames[date.getDay()]}`;
+    case 'monthly': return `todo dia ${recurrence.day || date.getDate()}`;
+    default: return null;
+  }
+}
+
+/**
+ * Interpreta "<quando> <texto>" em português.
+ *
+ * Exemplos: "amanhã às 9h pagar o boleto", "sexta às 14h reunião",
+ * "daqui 2 horas tirar o bolo", "toda segunda 8h academia", "25/12 ceia".
+ *
+ * @param {string} input - Texto do comando
+ * @param {Date} [now] - Data de referência
+ * @returns {{ dueAt: number, text: string, recurrence: object|null }}
+ */
+export function parseReminder(input, now = new Date()) {
+  const original = String(input || '').trim();
+  const folded = fold(original);
+  const spec = {};
+  let position = 0;
+  let matched = false;
+
+  // Consome expressões de data/hora do início até achar o texto do lembrete
+  while (position < folded.length) {
+    const rest = folded.slice(position);
+    const connector = /^(?:,|e\s|de\s+(?=\d)|\s)+/.exec(rest);
+    if (connector && matched) {
+      position += connector[0].length;
+      continue;
+    }
+
+    const rule = RULES.map(r => ({ r, m: r.pattern.exec(rest) })).find(({ m }) => m);
+    if (!rule || rule.r.apply(rule.m, spec) === false) break;
+
+    position += rule.m[0].length;
+    matched = true;
+  }
+
+  if (!matched) {
+    throw new Error('Não entendi quando. Ex.: `/lembrete amanhã às 9h pagar o boleto`');
+  }
+
+  const text = original.slice(position).replace(/^[\s,:-]*(?:(?:de|que|pra|para)\s+)?/i, '').trim();
+  if (!text) {
+    throw new Error('Faltou o texto do lembrete. Ex.: `/lembrete sexta às 14h reunião`');
+  }
+
+  // "daqui X": relativo ao momento atual, sem outras partes
+  if (spec.offsetMs) {
+    return { dueAt: now.getTime() + spec.offsetMs, text, recurrence: spec.recurrence || null };
+  }
+
+  const hasTime = spec.hour !== undefined;
+  const hasDate = spec.dayOffset !== undefined || spec.weekday !== undefined || spec.day !== undefined;
+  const hour = hasTime ? spec.hour : PERIOD_HOURS[spec.period] ?? (parseInt(process.env.REMINDER_DEFAULT_HOUR) || 9);
+  const minute = hasTime ? spec.minute : 0;
+
+  if (hour > 23 || minute > 59) {
+    throw new Error('Horário inválido');
+  }
+
+  let due = new Date(now.getFullYear(), now.getMonth(), now.getDate(), hour, minute);
+
+  if (spec.dayOffset !== undefined) {
+    due = addDays(due, spec.dayOffset);
+  } else if (spec.weekday !== undefined) {
+    const days = (spec.weekday - now.getDay() + 7) % 7;
+    due = addDays(due, days);
+    if (due <= now) due = addDays(due, 7);
+  } else if (spec.day !== undefined) {
+    const month = spec.month ?? now.getMonth();
+    due = new Date(spec.year ?? now.getFullYear(), month, spec.day, hour, minute);
+    if (due.getDate() !== spec.day || due.getMonth() !== month % 12) {
+      throw new Error('Data inválida');
+    }
+    if (due <= now && spec.year === undefined) {
+      // Sem ano: próximo mês (só "dia X") ou próximo ano (dia/mês)
+      due = spec.month === undefined
+        ? new Date(now.getFullYear(), now.getMonth() + 1, spec.day, hour, minute)
+        : new Date(now.getFullYear() + 1, month, spec.day, hour, minute);
+    }
+  } else if (spec.recurrence?.type === 'weekdays') {
+    while (due <= now || due.getDay() === 0 || due.getDay() === 6) due = addDays(due, 1);
+  }
+
+  // Só o horário (ou recorrência sem dia): se já passou hoje, fica para amanhã
+  if (due <= now && !hasDate) {
+    due = addDays(due, 1);
+  }
+
+  if (due <= now) {
+    throw new Error('Essa data já passou');
+  }
+
+  const recurrence = spec.recurrence
+    ? { ...spec.recurrence, ...(spec.recurrence.type === 'monthly' ? { day: due.getDate() } : {}) }
+    : null;
+
+  return { dueAt: due.getTime(), text, recurrence };
+}
+
+/**
+ * Converte um filtro de data de busca: "2026-10-19", "19/10/2026", "19/10"
+ * (ano atual) ou ISO completo. Datas sem hora valem pelo dia inteiro:
+ * início do dia, ou fim do dia com `endOfDay`.
+ *
+ * @returns {number|null} timestamp, ou null se `value` estiver vazio
+ */
+export function parseDateFilter(value, { endOfDay = false, now = new Date() } = {}) {
+  if (!value) return null;
+
+  const input = String(value).trim();
+  const iso = input.match(/^(\d{4})-(\d{2})-(\d{2})$/);
+  const br = input.match(/^(\d{1,2})\/(\d{1,2})(?:\/(\d{4}))?$/);
+  const time = endOfDay ? [23, 59, 59, 999] : [0, 0, 0, 0];
+
+  let date;
+  if (iso) {
+    date = new Date(iso[1], iso[2] - 1, iso[3], ...time);
+  } else if (br) {
+    date = new Date(br[3] ? parseInt(br[3]) : now.getFullYear(), br[2] - 1, br[1], ...time);
+    if (date.getDate() !== parseInt(br[1])) date = new Date(NaN);
+  } else {
+    date = new Date(input);
+  }
+
+  if (isNaN(date.getTime())) {
+    throw new Error(`Data inválida: ${value} (use AAAA-MM-DD, DD/MM/AAAA ou ISO 8601)`);
+  }
+  return date.getTime();
+}
@@ -0,0 +1,292 @@
+// src/lib/dialects.js
+
+/**
+ * Dialetos de API suportados pelo askLLM.
+ *
+ * Cada dialeto sabe montar o corpo da requisição, extrair conteúdo/uso de
+ * tokens (normalizado no formato OpenAI) e interpretar erros e chunks de streaming.
+ * Dialetos com `supportsTools` repassam `tools` e devolvem `toolCalls` normalizados
+ * como { id, name, arguments (string JSON) }; nos demais o askLLM não oferece
+ * ferramentas e responde direto.
+ */
+
+/**
+ * Templates de chat para o endpoint /completion do llama.cpp
+ */
+const CHAT_TEMPLATES = {
+  chatml: {
+    format: (role, content) => `<|im_start|>${role}\n${content}<|im_end|>\n`,
+    assistantPrefix: '<|im_start|>assistant\n',
+    stop: ['<|im_end|>', '<|im_start|>']
+  },
+  llama3: {
+    format: (role, content) => `<|start_header_id|>${role}<|end_header_id|>\n\n${content}<|eot_id|>`,
+    prefix: '<|begin_of_text|>',
+    assistantPrefix: '<|start_header_id|>assistant<|end_header_id|>\n\n',
+    stop: ['<|eot_id|>', '<|end_of_text|>']
+  },
+  mistral: {
+    // Mistral não tem papel system: ele é anexado à primeira mensagem do usuário
+    render: (messages) => {
+      const system = messages.filter(m => m.role === 'system').map(m => m.content).join('\n\n');
+      let prompt = '<s>';
+      let systemPending = !!system;
+
+      for (const message of messages.filter(m => m.role !== 'system')) {
+        if (message.role === 'user') {
+          const content = systemPending ? `${system}\n\n${message.content}` : message.content;
+          systemPending = false;
+          prompt += `[INST] ${content} [/INST]`;
+        } else {
+          prompt += ` ${message.content}</s>`;
+        }
+      }
+
+      return systemPending ? `${prompt}[INST] ${system} [/INST]` : prompt;
+    },
+    stop: ['</s>', '[INST]']
+  }
+};
+
+/**
+ * Renderiza mensagens de chat em um prompt de texto
+ */
+export function renderChatTemplate(messages, templateName = 'chatml') {
+  const template = CHAT_TEMPLATES[templateName];
+  if (!template) {
+    throw new Error(`Template de chat desconhecido: ${templateName}`);
+  }
+
+  if (template.render) {
+    return template.render(messages);
+  }
+
+  const body = messages.map(m => template.format(m.role, m.content)).join('');
+  return `${template.prefix || ''}${body}${template.assistantPrefix}`;
+}
+
+/**
+ * Separa conteúdo multimodal (partes text/image_url do formato OpenAI)
+ * em texto e imagens base64
+ */
+export function splitContent(content) {
+  if (!Array.isArray(content)) {
+    return { text: content, images: [] };
+  }
+
+  const text = content.filter(p => p.type === 'text').map(p => p.text).join('\n');
+  const images = content
+    .filter(p => p.type === 'image_url')
+    .map(p => (p.image_url?.url || '').replace(/^data:[^;]+;base64,/, ''));
+
+  return { text, images };
+}
+
+/**
+ * Argumentos de tool_calls vêm como string JSON (OpenAI) ou objeto (Ollama)
+ */
+function parseArguments(args) {
+  if (typeof args !== 'string') return args || {};
+  try {
+    return JSON.parse(args || '{}');
+  } catch (error) {
+    return {};
+  }
+}
+
+/**
+ * Normaliza a mensagem de erro dos diferentes formatos
+ */
+function extractError(data) {
+  if (!data || !data.error) return null;
+  if (typeof data.error === 'string') return data.error;
+  return data.error.message || JSON.stringify(data.error);
+}
+
+const openai = {
+  name: 'openai',
+  label: 'OpenAI (chat/completions)',
+  streamFormat: 'sse',
+  streamContentType: 'text/event-stream',
+
+  supportsTools: true,
+
+  buildRequest({ model, messages, maxTokens, temperature, topP, stream, tools }) {
+    return {
+      model,
+      messages,
+      max_tokens: maxTokens,
+      temperature,
+      top_p: topP,
+      stream,
+      ...(tools?.length ? { tools, tool_choice: 'auto' } : {})
+    };
+  },
+
+  parseResponse(data) {
+    if (!data.choices || !Array.isArray(data.choices) || data.choices.length === 0) {
+      throw new Error('Formato de resposta inválido: sem choices');
+    }
+
+    const choice = data.choices[0];
+    const toolCalls = (choice.message?.tool_calls || []).map(call => ({
+      id: call.id,
+      name: call.function?.name,
+      arguments: call.function?.arguments || '{}'
+    }));
+
+    if (!choice.message || (!choice.message.content && toolCalls.length === 0)) {
+      throw new Error('Formato de resposta inválido: sem conteúdo');
+    }
+
+    return { content: choice.message.content || '', usage: data.usage || null, toolCalls };
+  },
+
+  parseStreamChunk(data) {
+    return {
+      delta: data.choices?.[0]?.delta?.content || '',
+      usage: data.usage || null,
+      done: false
+    };
+  },
+
+  extractError
+};
+
+const ollama = {
+  name: 'ollama',
+  label: 'Ollama (/api/chat)',
+  streamFormat: 'ndjson',
+  streamContentType: 'application/x-ndjson',
+
+  supportsTools: true,
+
+  buildRequest({ model, messages, maxTokens, temperature, topP, stream, tools }) {
+    return {
+      model,
+      // Ollama recebe imagens em `images` (base64) em vez de partes de conteúdo
+      // e argumentos de tool_calls como objeto
+      messages: messages.map(m => {
+        const { text, images } = splitContent(m.content);
+        const message = { role: m.role, content: text || '' };
+        if (images.length > 0) message.images = images;
+        if (m.tool_calls) {
+          message.tool_calls = m.tool_calls.map(call => ({
+            function: { name: call.function.name, arguments: parseArguments(call.function.arguments) }
+          }));
+        }
+        return message;
+      }),
+      stream,
+      ...(tools?.length ? { tools } : {}),
+      options: {
+        num_predict: maxTokens,
+        temperature,
+        top_p: topP
+      }
+    };
+  },
+
+  usage(data) {
+    if (data.prompt_eval_count === undefined && data.eval_count === undefined) return null;
+    const prompt = data.prompt_eval_count || 0;
+    const completion = data.eval_count || 0;
+    return { prompt_tokens: prompt, completion_tokens: completion, total_tokens: prompt + completion };
+  },
+
+  parseResponse(data) {
+    const toolCalls = (data.message?.tool_calls || []).map((call, index) => ({
+      id: `call_${index}`,
+      name: call.function?.name,
+      arguments: JSON.stringify(call.function?.arguments || {})
+    }));
+
+    if (!data.message || typeof data.message.content !== 'string' || (!data.message.content && toolCalls.length === 0)) {
+      throw new Error('Formato de resposta inválido: sem message.content (Ollama)');
+    }
+
+    return { content: data.message.content, usage: this.usage(data), toolCalls };
+  },
+
+  parseStreamChunk(data) {
+    return {
+      delta: data.message?.content || '',
+      usage: data.done ? this.usage(data) : null,
+      done: !!data.done
+    };
+  },
+
+  extractError
+};
+
+const llamacpp = {
+  name: 'llamacpp',
+  label: 'llama.cpp (/completion)',
+  streamFormat: 'sse',
+  streamContentType: 'text/event-stream',
+  supportsTools: false,
+
+  buildRequest({ messages, maxTokens, temperature, topP, stream, template }) {
+    const templateName = template || 'chatml';
+    // O /completion recebe só texto: imagens são descartadas
+    const textMessages = messages.map(m => ({ role: m.role, content: splitContent(m.content).text }));
+    return {
+      prompt: renderChatTemplate(textMessages, templateName),
+      n_predict: maxTokens,
+      temperature,
+      top_p: topP,
+      stream,
+      stop: CHAT_TEMPLATES[templateName].stop,
+      cache_prompt: true
+    };
+  },
+
+  usage(data) {
+    if (data.tokens_evaluated === undefined && data.tokens_predicted === undefined) return null;
+    const prompt = data.tokens_evaluated || 0;
+    const completion = data.tokens_predicted || 0;
+    return { prompt_tokens: prompt, completion_tokens: completion, total_tokens: prompt + completion };
+  },
+
+  parseResponse(data) {
+    if (typeof data.content !== 'string' || !data.content) {
+      throw new Error('Formato de resposta inválido: sem content (llama.cpp)');
+    }
+
+    return { content: data.content, usage: this.usage(data), toolCalls: [] };
+  },
+
+  parseStreamChunk(data) {
+    return {
+      delta: data.content || '',
+      usage: data.stop ? this.usage(data) : null,
+      done: !!data.stop
+    };
+  },
+
+  extractError
+};
+
+const DIALECTS = { openai, ollama, llamacpp };
+
+/**
+ * Obtém um dialeto pelo nome (aceita alguns apelidos)
+ */
+export function getDialect(name = 'openai') {
+  const normalized = String(name).toLowerCase().replace(/[^a-z]/g, '');
+  const dialect = DIALECTS[normalized === 'llama' ? 'llamacpp' : normalized];
+
+  if (!dialect) {
+    throw new Error(`Dialeto de API desconhecido: ${name} (use ${Object.keys(DIALECTS).join(', ')})`);
+  }
+
+  return dialect;
+}
+
+export function listDialects() {
+  return Object.values(DIALECTS).map(d => ({ name: d.name, label: d.label }));
+}
+
+export function listChatTemplates() {
+  return Object.keys(CHAT_TEMPLATES);
+}
@@ -2,6 +2,7 @@
 import { promises as fs } from 'fs';
 import { join } from 'path';
 import { logger } from './logger.js';
+import { botEvents } from './events.js';
 
 const ERROR_LOG_DIR = process.env.ERROR_LOG_DIR || './logs/errors';
 const MAX_ERROR_LOGS = parseInt(process.env.MAX_ERROR_LOGS) || 100;
@@ -301,6 +302,17 @@ class ErrorLogger {
       // Log no console
       this.logToConsole(analysis);
 
+      // Control Panel em tempo real (sem stack nem contexto completo)
+      botEvents.publish('error.logged', {
+        id: logEntry.id,
+        category: analysis.category,
+        severity: analysis.severity,
+        errorType: analysis.errorType,
+        message: analysis.message,
+        context: context.context || null,
+        chatName: context.chatName || null
+      });
+
       return logEntry;
 
     } catch (logError) {
@@ -0,0 +1,73 @@
+// src/lib/events.js
+import { EventEmitter } from 'events';
+
+const HISTORY_SIZE = 200;
+
+/**
+ * Eventos enviados ao Control Panel em tempo real, com o papel mínimo
+ * para recebê-los (o QR permite parear o WhatsApp do bot)
+ */
+export const EVENT_TYPES = {
+  'message.received': { role: 'viewer', description: 'Mensagem recebida' },
+  'reply.sent': { role: 'viewer', description: 'Resposta enviada pelo bot' },
+  'command.executed': { role: 'viewer', description: 'Comando executado' },
+  'activity.logged': { role: 'viewer', description: 'Outras atividades (menções, logins)' },
+  'error.logged': { role: 'viewer', description: 'Erro registrado' },
+  'connection.changed': { role: 'viewer', description: 'Mudança no estado da conexão' },
+  'qr.generated': { role: 'admin', description: 'Novo QR Code para parear' }
+};
+
+/**
+ * Barramento de eventos do bot.
+ *
+ * Os módulos publicam aqui e a rota /api/events repassa aos clientes (SSE).
+ * Os últimos eventos ficam guardados para quem reconectar com Last-Event-ID
+ * não perder o que aconteceu enquanto estava fora.
+ */
+class BotEvents extends EventEmitter {
+  constructor() {
+    super();
+    this.setMaxListeners(0); // um listener por cliente conectado
+    this.history = [];
+    this.lastId = 0;
+  }
+
+  /**
+   * Publica um evento tipado
+   */
+  publish(type, data = {}) {
+    if (!EVENT_TYPES[type]) {
+      throw new Error(`Tipo de evento desconhecido: ${type}`);
+    }
+
+    const event = { id: ++this.lastId, type, timestamp: new Date().toISOString(), data };
+
+    this.history.push(event);
+    if (this.history.length > HISTORY_SIZE) {
+      this.history.shift();
+    }
+
+    this.emit('event', event);
+    return event;
+  }
+
+  /**
+   * Eventos publicados depois de `lastId` (reconexão)
+   */
+  since(lastId) {
+    const id = parseInt(lastId);
+    if (!id) return [];
+    return this.history.filter(event => event.id > id);
+  }
+
+  getStats() {
+    return {
+      lastId: this.lastId,
+      buffered: this.history.length,
+      subscribers: this.listenerCount('event')
+    };
+  }
+}
+
+// Instância global
+export const botEvents = new BotEvents();
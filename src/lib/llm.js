@@ -3,6 +3,8 @@ import { config } from 'dotenv';
 import { logger } from './logger.js';
 import { performanceMonitor, measureTime } from './performance.js';
 import { errorLogger } from './errorHandler.js';
+import { parseProviders, providerHealth } from './providers.js';
+import { getDialect } from './dialects.js';
 import fs from 'fs';
 import { fileURLToPath } from 'url';
 import path from 'path';
@@ -20,24 +22,34 @@ function loadEnvConfig() {
     // Recarrega o .env
     config({ path: envPath });
     
+    const providers = parseProviders();
+    // 0 é válido: só a rodada final, sem ferramentas
+    const toolRounds = parseInt(process.env.MAX_TOOL_ROUNDS);
+    
     const newConfig = {
-      ENDPOINT: process.env.API_ENDPOINT,
-      MODEL: process.env.MODEL_NAME,
+      PROVIDERS: providers,
+      // Provedor principal (primeiro da lista), mantido para compatibilidade
+      ENDPOINT: providers[0]?.endpoint,
+      MODEL: providers[0]?.model,
       MAX_TOKENS: parseInt(process.env.MAX_TOKENS) || 800,
+      CONTEXT_WINDOW: parseInt(process.env.CONTEXT_WINDOW) || 4096,
       TEMPERATURE: parseFloat(process.env.TEMPERATURE) || 0.75,
       TOP_P: parseFloat(process.env.TOP_P) || 0.9,
       REQUEST_TIMEOUT: parseInt(process.env.REQUEST_TIMEOUT) || 120000,
-      MAX_RETRIES: parseInt(process.env.MAX_RETRIES) || 3
+      MAX_RETRIES: parseInt(process.env.MAX_RETRIES) || 3,
+      STREAM: process.env.LLM_STREAM === 'true',
+      MAX_TOOL_ROUNDS: Number.isNaN(toolRounds) ? 3 : Math.max(toolRounds, 0)
     };
 
     // Validação das configurações
-    if (!newConfig.ENDPOINT) {
-      logger.error('ERRO: API_ENDPOINT não configurado no .env');
+    if (providers.length === 0) {
+      logger.error('ERRO: API_ENDPOINT (ou LLM_PROVIDERS) não configurado no .env');
       return false;
     }
 
-    if (!newConfig.MODEL) {
-      logger.error('ERRO: MODEL_NAME não configurado no .env');
+    const withoutModel = providers.find(p => !p.model);
+    if (withoutModel) {
+      logger.error('ERRO: MODEL_NAME não configurado para o provedor %s', withoutModel.name);
       return false;
     }
 
@@ -48,6 +60,9 @@ function loadEnvConfig() {
       logger.info('🔄 Configurações do LLM atualizadas automaticamente');
       logger.info('📝 Novo modelo: %s', newConfig.MODEL);
       logger.info('🌐 Novo endpoint: %s', newConfig.ENDPOINT);
+      if (providers.length > 1) {
+        logger.info('🔀 Provedores: %s', providers.map(p => p.name).join(' → '));
+      }
     }
 
     llmConfig = newConfig;
@@ -61,6 +76,9 @@ function loadEnvConfig() {
 // Carrega configurações iniciais
 loadEnvConfig();
 logger.info('LLM configurado: %s via %s', llmConfig.MODEL, llmConfig.ENDPOINT);
+if (llmConfig.PROVIDERS?.length > 1) {
+  logger.info('🔀 Failover entre provedores: %s', llmConfig.PROVIDERS.map(p => p.name).join(' → '));
+}
 
 // Monitora mudanças no arquivo .env
 if (fs.existsSync(envPath)) {
@@ -88,27 +106,41 @@ function createTimeoutController(timeoutMs) {
 }
 
 /**
- * Valida a resposta da API
+ * Valida a resposta da API no formato do dialeto e devolve o conteúdo
  */
-function validateResponse(data) {
+function validateResponse(data, dialect = getDialect('openai')) {
   if (!data) {
     throw new Error('Resposta vazia da API');
   }
   
-  if (data.error) {
-    throw new Error(`Erro da API: ${data.error.message || data.error}`);
+  const apiError = dialect.extractError(data);
+  if (apiError) {
+    throw new Error(`Erro da API: ${apiError}`);
   }
   
-  if (!data.choices || !Array.isArray(data.choices) || data.choices.length === 0) {
-    throw new Error('Formato de resposta inválido: sem choices');
+  const { content, usage } = dialect.parseResponse(data);
+  logUsage(usage);
+  
+  return content.trim();
+}
+
+/**
+ * Como validateResponse, mas devolve também as chamadas de ferramentas
+ */
+function validateToolResponse(data, dialect) {
+  if (!data) {
+    throw new Error('Resposta vazia da API');
   }
   
-  const choice = data.choices[0];
-  if (!choice.message || !choice.message.content) {
-    throw new Error('Formato de resposta inválido: sem conteúdo');
+  const apiError = dialect.extractError(data);
+  if (apiError) {
+    throw new Error(`Erro da API: ${apiError}`);
   }
   
-  return choice.message.content.trim();
+  const { content, usage, toolCalls = [] } = dialect.parseResponse(data);
+  logUsage(usage);
+  
+  return { content: content.trim(), toolCalls };
 }
 
 /**
@@ -119,9 +151,13 @@ function prepareMessages(messages) {
     throw new Error('Messages deve ser um array');
   }
   
+  // O tamanho já foi ajustado à janela de contexto pelo contextBuilder
   return messages.map(msg => ({
     role: msg.role,
-    content: msg.content.slice(0, 2000) // Limita tamanho para acelerar processamento
+    content: msg.content,
+    // Campos do ciclo de ferramentas (tool calling)
+    ...(msg.tool_calls ? { tool_calls: msg.tool_calls } : {}),
+    ...(msg.tool_call_id ? { tool_call_id: msg.tool_call_id, name: msg.name } : {})
   }));
 }
 
@@ -133,149 +169,491 @@ function getRetryDelay(attempt) {
 }
 
 /**
- * Faz requisição para o modelo LLM com retry robusto
+ * Extrai conteúdo e uso de tokens de um chunk de streaming
  */
-export const askLLM = measureTime(async function(messages) {
-  if (!messages || messages.length === 0) {
-    throw new Error('Mensagens não podem estar vazias');
+function parseStreamChunk(payload, dialect) {
+  let data;
+  try {
+    data = JSON.parse(payload);
+  } catch (error) {
+    logger.debug('Chunk de streaming ignorado (JSON inválido): %s', payload.slice(0, 100));
+    return { delta: '', usage: null, done: false };
   }
 
-  const preparedMessages = prepareMessages(messages);
-  
-  for (let attempt = 1; attempt <= llmConfig.MAX_RETRIES; attempt++) {
-    const { controller, timeout } = createTimeoutController(llmConfig.REQUEST_TIMEOUT);
+  const apiError = dialect.extractError(data);
+  if (apiError) {
+    throw new Error(`Erro da API: ${apiError}`);
+  }
+
+  return dialect.parseStreamChunk(data);
+}
+
+/**
+ * Lê uma resposta em streaming: SSE (`data: {...}`) ou NDJSON (um JSON por linha)
+ *
+ * @param {Response} response - Resposta com corpo em streaming
+ * @param {object} dialect - Dialeto do provedor
+ * @param {Function} onDelta - Chamado a cada trecho de texto recebido
+ * @param {Function} onActivity - Chamado a cada chunk (renova o timeout)
+ */
+async function readStream(response, dialect, onDelta, onActivity) {
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = '';
+  let content = '';
+  let usage = null;
+
+  while (true) {
+    const { done, value } = await reader.read();
+    if (done) break;
+
+    onActivity();
+    buffer += decoder.decode(value, { stream: true });
+
+    // Processa apenas linhas completas; o resto fica no buffer
+    const lines = buffer.split('\n');
+    buffer = lines.pop();
+
+    for (const rawLine of lines) {
+      const line = rawLine.trim();
+      let payload = line;
+
+      if (dialect.streamFormat === 'sse') {
+        if (!line.startsWith('data:')) continue;
+        payload = line.slice(5).trim();
+        if (payload === '[DONE]') {
+          return { content, usage };
+        }
+      } else if (!line) {
+        continue;
+      }
+
+      const chunk = parseStreamChunk(payload, dialect);
+      if (chunk.usage) usage = chunk.usage;
+      if (chunk.delta) {
+        content += chunk.delta;
+        onDelta(chunk.delta, content);
+      }
+      if (chunk.done) {
+        return { content, usage };
+      }
+    }
+  }
+
+  return { content, usage };
+}
+
+/**
+ * Extrai a mensagem de erro do corpo de uma resposta HTTP de erro
+ */
+function parseErrorBody(text, dialect) {
+  try {
+    return dialect.extractError(JSON.parse(text)) || text;
+  } catch (error) {
+    return text;
+  }
+}
+
+/**
+ * Loga o uso de tokens se disponível
+ */
+function logUsage(usage) {
+  if (usage) {
+    logger.debug('📊 Tokens: %d prompt + %d completion = %d total', 
+                usage.prompt_tokens || 0,
+                usage.completion_tokens || 0,
+                usage.total_tokens || 0);
+  }
+}
+
+/**
+ * Erros que justificam tentar de novo ou passar para o próximo provedor
+ * (rede, timeout e 5xx). Erros 4xx são considerados permanentes.
+ */
+function isTransientError(error) {
+  const isTimeoutError = error.name === 'AbortError';
+  const isNetworkError = error.message.includes('fetch') || isTimeoutError;
+  return isNetworkError || /HTTP 5\d\d/.test(error.message);
+}
+
+/**
+ * Envia a requisição a um provedor específico, com retry exponencial.
+ * `readResponse(response, renewTimeout, dialect)` interpreta o corpo e devolve o texto.
+ * `canRetry()` permite ao chamador vetar novas tentativas (ex.: streaming já iniciado).
+ */
+async function requestProvider(provider, preparedMessages, { stream, readResponse, canRetry = () => true, options = {} }) {
+  for (let attempt = 1; attempt <= provider.retries; attempt++) {
+    let { controller, timeout } = createTimeoutController(provider.timeout);
+    const renewTimeout = () => {
+      clearTimeout(timeout);
+      timeout = setTimeout(() => controller.abort(), provider.timeout);
+    };
+    const startTime = Date.now();
     
     try {
-      logger.info('BOT: Enviando para LLM (tentativa %d/%d) - Aguarde, modelo pode demorar...', attempt, llmConfig.MAX_RETRIES);
+      logger.info('BOT: Enviando para LLM %s (tentativa %d/%d) - Aguarde, modelo pode demorar...', provider.name, attempt, provider.retries);
       
-      const requestBody = {
-        model: llmConfig.MODEL,
+      const dialect = getDialect(provider.dialect);
+      const requestBody = dialect.buildRequest({
+        model: options.model || provider.model,
         messages: preparedMessages,
-        max_tokens: llmConfig.MAX_TOKENS,
-        temperature: llmConfig.TEMPERATURE,
-        top_p: llmConfig.TOP_P,
-        stream: false // Garante resposta única
+        maxTokens: options.maxTokens || llmConfig.MAX_TOKENS,
+        temperature: options.temperature ?? llmConfig.TEMPERATURE,
+        topP: llmConfig.TOP_P,
+        template: provider.template,
+        tools: dialect.supportsTools ? options.tools : undefined,
+        stream
+      });
+
+      const headers = { 
+        'Content-Type': 'application/json',
+        'User-Agent': 'FernandoAI/1.0'
       };
+      if (provider.auth) {
+        headers[provider.authHeader] = provider.auth;
+      }
 
-      const response = await fetch(llmConfig.ENDPOINT, {
+      const response = await fetch(provider.endpoint, {
         method: 'POST',
-        headers: { 
-          'Content-Type': 'application/json',
-          'User-Agent': 'FernandoAI/1.0'
-        },
+        headers,
         body: JSON.stringify(requestBody),
         signal: controller.signal
       });
 
-      clearTimeout(timeout);
-
       if (!response.ok) {
         const errorText = await response.text().catch(() => 'Erro desconhecido');
-        throw new Error(`HTTP ${response.status}: ${errorText}`);
+        throw new Error(`HTTP ${response.status}: ${parseErrorBody(errorText, dialect)}`);
       }
 
-      const data = await response.json();
-      const content = validateResponse(data);
+      const content = await readResponse(response, renewTimeout, dialect);
+      clearTimeout(timeout);
       
-      logger.debug('✅ Resposta recebida do LLM (%d chars)', content.length);
-      
-      // Log de uso de tokens se disponível
-      if (data.usage) {
-        logger.debug('📊 Tokens: %d prompt + %d completion = %d total', 
-                    data.usage.prompt_tokens || 0,
-                    data.usage.completion_tokens || 0,
-                    data.usage.total_tokens || 0);
-      }
+      providerHealth.recordSuccess(provider.name, Date.now() - startTime);
+      logger.debug('✅ Resposta recebida do LLM %s (%d chars)', provider.name, (content.content ?? content).length);
       
       return content;
 
     } catch (error) {
       clearTimeout(timeout);
+
+      // Timeout vira um erro com mensagem clara
+      const finalError = error.name === 'AbortError'
+        ? Object.assign(new Error(`Timeout após ${provider.timeout}ms - modelo pode estar sobrecarregado`), { name: 'AbortError' })
+        : error;
       
-      const isLastAttempt = attempt === llmConfig.MAX_RETRIES;
-      const isTimeoutError = error.name === 'AbortError';
-      const isNetworkError = error.message.includes('fetch') || isTimeoutError;
-      
-      logger.warn('⚠️ Tentativa %d falhou: %s', attempt, error.message);
-
-      if (isLastAttempt) {
-        await errorLogger.logError(error, {
-          context: 'llm_request_failed',
-          endpoint: ENDPOINT,
-          model: MODEL,
-          attempt: attempt,
-          maxRetries: MAX_RETRIES,
-          messageCount: preparedMessages.length,
-          isTimeoutError,
-          isNetworkError
-        });
-        
-        logger.error('ERRO: Todas as tentativas falharam para LLM');
-        
-        // Erro mais específico para timeout
-        if (isTimeoutError) {
-          throw new Error(`Timeout após ${REQUEST_TIMEOUT}ms - modelo pode estar sobrecarregado`);
-        }
-        
-        throw new Error(`Falha na comunicação com LLM: ${error.message}`);
+      logger.warn('⚠️ Tentativa %d em %s falhou: %s', attempt, provider.name, finalError.message);
+
+      // Erros permanentes (400, 401, etc.) não fazem retry
+      if (!isTransientError(finalError)) {
+        throw finalError;
       }
 
-      // Apenas faz retry em erros de rede ou temporários
-      if (isNetworkError || error.message.includes('500') || error.message.includes('502') || error.message.includes('503')) {
-        const delay = getRetryDelay(attempt);
-        logger.debug('⏰ Aguardando %dms antes da próxima tentativa...', delay);
-        await new Promise(resolve => setTimeout(resolve, delay));
-      } else {
-        // Erros permanentes (400, 401, etc.) não fazem retry
-        throw error;
+      if (attempt === provider.retries || !canRetry()) {
+        providerHealth.recordFailure(provider.name, finalError);
+        throw finalError;
       }
+
+      const delay = getRetryDelay(attempt);
+      logger.debug('⏰ Aguardando %dms antes da próxima tentativa...', delay);
+      await new Promise(resolve => setTimeout(resolve, delay));
+    }
+  }
+}
+
+/**
+ * Percorre os provedores em ordem de saúde até um responder.
+ * Só passa para o próximo em erros transitórios (5xx, timeout, rede).
+ */
+async function requestWithFailover(preparedMessages, requestOptions) {
+  const { canRetry = () => true, stream } = requestOptions;
+  const providers = providerHealth.orderProviders(llmConfig.PROVIDERS);
+  let lastError = null;
+  
+  for (const provider of providers) {
+    try {
+      return await requestProvider(provider, preparedMessages, requestOptions);
+    } catch (error) {
+      lastError = error;
+      
+      const hasNext = provider !== providers[providers.length - 1];
+      if (!isTransientError(error) || !canRetry() || !hasNext) {
+        break;
+      }
+      
+      logger.warn('🔀 Failover: %s falhou, tentando próximo provedor', provider.name);
+    }
+  }
+
+  await errorLogger.logError(lastError, {
+    context: 'llm_request_failed',
+    endpoint: llmConfig.ENDPOINT,
+    model: llmConfig.MODEL,
+    providers: providers.map(p => p.name),
+    messageCount: preparedMessages.length,
+    stream,
+    isTimeoutError: lastError.name === 'AbortError',
+    isNetworkError: isTransientError(lastError)
+  });
+  
+  logger.error('ERRO: Todas as tentativas falharam para LLM');
+  
+  if (lastError.name === 'AbortError') {
+    throw lastError;
+  }
+  
+  throw new Error(`Falha na comunicação com LLM: ${lastError.message}`);
+}
+
+/**
+ * Só entra no ciclo de ferramentas se o dialeto do provedor principal aceita
+ * `tools` (o /completion do llama.cpp não aceita)
+ */
+function usesTools(options) {
+  if (!options.tools?.length || !options.onToolCall) return false;
+  return getDialect(llmConfig.PROVIDERS?.[0]?.dialect).supportsTools;
+}
+
+/**
+ * Ciclo de ferramentas: enquanto o modelo pedir tool_calls, executa cada uma
+ * com `onToolCall` e devolve os resultados como mensagens `tool`.
+ * Na última rodada as ferramentas não são oferecidas, forçando uma resposta em texto.
+ */
+async function runToolLoop(preparedMessages, options) {
+  const { tools, onToolCall, ...requestOptions } = options;
+  const conversation = [...preparedMessages];
+
+  for (let round = 0; round <= llmConfig.MAX_TOOL_ROUNDS; round++) {
+    const isLastRound = round === llmConfig.MAX_TOOL_ROUNDS;
+
+    const { content, toolCalls } = await requestWithFailover(conversation, {
+      stream: false,
+      options: { ...requestOptions, tools: isLastRound ? undefined : tools },
+      readResponse: async (response, renewTimeout, dialect) => validateToolResponse(await response.json(), dialect)
+    });
+
+    if (toolCalls.length === 0) {
+      return content;
+    }
+
+    logger.info('🔧 Modelo pediu %d ferramenta(s): %s', toolCalls.length, toolCalls.map(c => c.name).join(', '));
+
+    conversation.push({
+      role: 'assistant',
+      content,
+      tool_calls: toolCalls.map(call => ({
+        id: call.id,
+        type: 'function',
+        function: { name: call.name, arguments: call.arguments }
+      }))
+    });
+
+    for (const call of toolCalls) {
+      conversation.push({
+        role: 'tool',
+        tool_call_id: call.id,
+        name: call.name,
+        content: await onToolCall(call)
+      });
     }
   }
+
+  return '';
+}
+
+/**
+ * Faz requisição para o modelo LLM com retry robusto
+ * `options` pode sobrescrever temperature e maxTokens (ex.: por persona)
+ * e oferecer ferramentas: `tools` (definições OpenAI) + `onToolCall(call)` => texto
+ */
+export const askLLM = measureTime(async function(messages, options = {}) {
+  if (!messages || messages.length === 0) {
+    throw new Error('Mensagens não podem estar vazias');
+  }
+
+  const preparedMessages = prepareMessages(messages);
+
+  if (usesTools(options)) {
+    return runToolLoop(preparedMessages, options);
+  }
+  
+  return requestWithFailover(preparedMessages, {
+    stream: false, // Garante resposta única
+    options,
+    readResponse: async (response, renewTimeout, dialect) => validateResponse(await response.json(), dialect)
+  });
 });
 
 /**
- * Testa a conexão com o LLM
+ * Faz requisição em streaming (SSE ou NDJSON, conforme o dialeto do provedor).
+ * `onToken(delta, fullText)` é chamado a cada trecho recebido.
+ * Depois que o primeiro token chega não há retry, para não duplicar texto já entregue.
  */
-export async function testLLMConnection() {
+export const askLLMStream = measureTime(async function(messages, onToken = () => {}, options = {}) {
+  if (!messages || messages.length === 0) {
+    throw new Error('Mensagens não podem estar vazias');
+  }
+
+  const preparedMessages = prepareMessages(messages);
+  const startTime = Date.now();
+  let receivedTokens = false;
+
+  // Com ferramentas, as rodadas intermediárias não têm texto para o usuário:
+  // a resposta final é entregue de uma vez
+  if (usesTools(options)) {
+    const text = await runToolLoop(preparedMessages, options);
+    if (!text) {
+      throw new Error('Formato de resposta inválido: sem conteúdo');
+    }
+    performanceMonitor.recordFirstToken(Date.now() - startTime);
+    onToken(text, text);
+    return text;
+  }
+
+  const content = await requestWithFailover(preparedMessages, {
+    stream: true,
+    options,
+    canRetry: () => !receivedTokens,
+    readResponse: async (response, renewTimeout, dialect) => {
+      // Alguns servidores ignoram `stream: true` e respondem JSON normal
+      const contentType = response.headers.get('content-type') || '';
+      if (!contentType.includes(dialect.streamContentType)) {
+        const data = await response.json();
+        const text = validateResponse(data, dialect);
+        performanceMonitor.recordFirstToken(Date.now() - startTime);
+        receivedTokens = true;
+        onToken(text, text);
+        return text;
+      }
+
+      const result = await readStream(response, dialect, (delta, fullText) => {
+        if (!receivedTokens) {
+          receivedTokens = true;
+          performanceMonitor.recordFirstToken(Date.now() - startTime);
+        }
+        onToken(delta, fullText);
+      }, renewTimeout);
+
+      logUsage(result.usage);
+
+      if (!result.content.trim()) {
+        throw new Error('Formato de resposta inválido: sem conteúdo');
+      }
+
+      return result.content.trim();
+    }
+  });
+
+  return content;
+});
+
+/**
+ * Testa um provedor isoladamente (sem failover)
+ */
+async function testProvider(provider, testMessages) {
+  const startTime = Date.now();
+  
   try {
-    const testMessages = [
-      { role: 'system', content: 'Você é um assistente de teste.' },
-      { role: 'user', content: 'Responda apenas "OK" se estiver funcionando.' }
-    ];
-    
-    const response = await askLLM(testMessages);
-    const isWorking = response.toLowerCase().includes('ok');
-    
-    logger.info('🧪 Teste de conexão LLM: %s', isWorking ? '✅ OK' : '⚠️ Resposta inesperada');
+    const response = await requestProvider({ ...provider, retries: 1 }, prepareMessages(testMessages), {
+      stream: false,
+      options: { maxTokens: 20 },
+      readResponse: async (res, renewTimeout, dialect) => validateResponse(await res.json(), dialect)
+    });
     
     return {
+      name: provider.name,
+      endpoint: provider.endpoint,
+      model: provider.model,
+      dialect: provider.dialect,
       success: true,
-      response: response,
-      working: isWorking
+      working: response.toLowerCase().includes('ok'),
+      response,
+      latency: Date.now() - startTime,
+      health: providerHealth.getStatus(provider.name)
     };
-    
   } catch (error) {
-    logger.error('ERRO: Teste de conexão LLM falhou: %s', error.message);
-    
     return {
+      name: provider.name,
+      endpoint: provider.endpoint,
+      model: provider.model,
+      dialect: provider.dialect,
       success: false,
+      working: false,
       error: error.message,
-      working: false
+      latency: Date.now() - startTime,
+      health: providerHealth.getStatus(provider.name)
     };
   }
 }
 
 /**
- * Obtém informações sobre o modelo
+ * Testa a conexão com todos os provedores LLM configurados
+ */
+export async function testLLMConnection() {
+  const testMessages = [
+    { role: 'system', content: 'Você é um assistente de teste.' },
+    { role: 'user', content: 'Responda apenas "OK" se estiver funcionando.' }
+  ];
+  
+  const providers = [];
+  for (const provider of llmConfig.PROVIDERS || []) {
+    providers.push(await testProvider(provider, testMessages));
+  }
+  
+  const firstOk = providers.find(p => p.success);
+  
+  providers.forEach(p => {
+    logger.info('🧪 Teste de conexão LLM %s: %s', p.name,
+                p.success ? (p.working ? '✅ OK' : '⚠️ Resposta inesperada') : `❌ ${p.error}`);
+  });
+  
+  if (!firstOk) {
+    const error = providers.length > 0
+      ? providers.map(p => `${p.name}: ${p.error}`).join(' | ')
+      : 'Nenhum provedor LLM configurado';
+    logger.error('ERRO: Teste de conexão LLM falhou: %s', error);
+    
+    return {
+      success: false,
+      error,
+      working: false,
+      providers
+    };
+  }
+  
+  return {
+    success: true,
+    response: firstOk.response,
+    working: firstOk.working,
+    provider: firstOk.name,
+    providers
+  };
+}
+
+/**
+ * Obtém informações sobre o modelo e os provedores configurados
  */
 export function getModelInfo() {
   return {
     endpoint: llmConfig.ENDPOINT,
     model: llmConfig.MODEL,
     maxTokens: llmConfig.MAX_TOKENS,
+    contextWindow: llmConfig.CONTEXT_WINDOW,
     temperature: llmConfig.TEMPERATURE,
     topP: llmConfig.TOP_P,
     timeout: llmConfig.REQUEST_TIMEOUT,
-    maxRetries: llmConfig.MAX_RETRIES
+    maxRetries: llmConfig.MAX_RETRIES,
+    stream: llmConfig.STREAM,
+    dialect: llmConfig.PROVIDERS?.[0]?.dialect || 'openai',
+    providers: (llmConfig.PROVIDERS || []).map(p => ({
+      name: p.name,
+      endpoint: p.endpoint,
+      model: p.model,
+      dialect: p.dialect,
+      template: p.template,
+      timeout: p.timeout,
+      retries: p.retries,
+      hasAuth: !!p.auth,
+      health: providerHealth.getStatus(p.name)
+    }))
   };
 }
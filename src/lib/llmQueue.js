@@ -0,0 +1,164 @@
+// src/lib/llmQueue.js
+import { logger } from './logger.js';
+
+export const PRIORITY = {
+  HIGH: 1, // chats privados e admins
+  NORMAL: 0, // grupos
+  BACKGROUND: -1 // tarefas internas (ex.: resumos)
+};
+
+/**
+ * Fila global de chamadas ao LLM.
+ *
+ * - No máximo LLM_MAX_CONCURRENCY chamadas ao mesmo tempo
+ * - Um job por chat de cada vez, na ordem de chegada (respostas nunca se invertem)
+ * - Entre chats diferentes, maior prioridade primeiro e depois ordem de chegada
+ * - Quem espera mais que QUEUE_NOTICE_MS recebe um aviso com a posição na fila
+ */
+class LLMQueue {
+  constructor() {
+    this.waiting = []; // { seq, chatId, priority, enqueuedAt, task, resolve, reject, onWait, noticeTimer }
+    this.runningChats = new Set();
+    this.active = 0;
+    this.seq = 0;
+    this.stats = {
+      processed: 0,
+      failed: 0,
+      totalWaitMs: 0,
+      maxWaitMs: 0,
+      maxDepth: 0
+    };
+  }
+
+  get maxConcurrency() {
+    return Math.max(1, parseInt(process.env.LLM_MAX_CONCURRENCY) || 1);
+  }
+
+  get noticeMs() {
+    return parseInt(process.env.QUEUE_NOTICE_MS) || 0;
+  }
+
+  /**
+   * Coloca uma tarefa na fila e resolve com o resultado dela
+   *
+   * @param {object} options
+   * @param {string} [options.chatId] - Jobs do mesmo chat rodam em ordem, um por vez
+   * @param {number} [options.priority] - PRIORITY.HIGH, NORMAL ou BACKGROUND
+   * @param {Function} [options.onWait] - (posição) => void, chamado se a espera passar de QUEUE_NOTICE_MS
+   * @param {Function} task - async () => resultado
+   */
+  run({ chatId = null, priority = PRIORITY.NORMAL, onWait = null } = {}, task) {
+    return new Promise((resolve, reject) => {
+      const job = {
+        seq: ++this.seq,
+        chatId,
+        priority,
+        enqueuedAt: Date.now(),
+        task,
+        resolve,
+        reject,
+        noticeTimer: null
+      };
+
+      this.waiting.push(job);
+      this.stats.maxDepth = Math.max(this.stats.maxDepth, this.waiting.length);
+
+      if (onWait && this.noticeMs > 0) {
+        job.noticeTimer = setTimeout(() => {
+          if (!this.waiting.includes(job)) return;
+          Promise.resolve()
+            .then(() => onWait(this.getPosition(job)))
+            .catch(error => logger.warn('⚠️ Falha ao avisar posição na fila: %s', error.message));
+        }, this.noticeMs);
+        job.noticeTimer.unref?.();
+      }
+
+      this.drain();
+    });
+  }
+
+  /**
+   * Jobs em espera na ordem em que serão atendidos
+   */
+  sorted() {
+    return [...this.waiting].sort((a, b) => b.priority - a.priority || a.seq - b.seq);
+  }
+
+  /**
+   * Posição do job na fila (1 = próximo a ser atendido)
+   */
+  getPosition(job) {
+    return this.sorted().indexOf(job) + 1;
+  }
+
+  /**
+   * Próximo job que pode rodar: o mais antigo do seu chat e sem outro
+   * job do mesmo chat em andamento
+   */
+  nextJob() {
+    return this.sorted().find(job => {
+      if (!job.chatId) return true;
+      if (this.runningChats.has(job.chatId)) return false;
+      return !this.waiting.some(other => other.chatId === job.chatId && other.seq < job.seq);
+    }) || null;
+  }
+
+  drain() {
+    while (this.active < this.maxConcurrency) {
+      const job = this.nextJob();
+      if (!job) return;
+
+      this.waiting.splice(this.waiting.indexOf(job), 1);
+      clearTimeout(job.noticeTimer);
+
+      this.active++;
+      if (job.chatId) {
+        this.runningChats.add(job.chatId);
+      }
+
+      const waited = Date.now() - job.enqueuedAt;
+      this.stats.totalWaitMs += waited;
+      this.stats.maxWaitMs = Math.max(this.stats.maxWaitMs, waited);
+      if (waited > 1000) {
+        logger.debug('⏳ Job do chat %s esperou %dms na fila', job.chatId, waited);
+      }
+
+      Promise.resolve()
+        .then(job.task)
+        .then(job.resolve, error => {
+          this.stats.failed++;
+          job.reject(error);
+        })
+        .finally(() => {
+          this.active--;
+          this.stats.processed++;
+          if (job.chatId) {
+            this.runningChats.delete(job.chatId);
+          }
+          this.drain();
+        });
+    }
+  }
+
+  /**
+   * Métricas da fila para /status e /api/status
+   */
+  getStats() {
+    const started = this.stats.processed + this.active;
+
+    return {
+      maxConcurrency: this.maxConcurrency,
+      running: this.active,
+      waiting: this.waiting.length,
+      waitingChats: new Set(this.waiting.map(job => job.chatId)).size,
+      processed: this.stats.processed,
+      failed: this.stats.failed,
+      avgWaitMs: started > 0 ? Math.round(this.stats.totalWaitMs / started) : 0,
+      maxWaitMs: this.stats.maxWaitMs,
+      maxDepth: this.stats.maxDepth
+    };
+  }
+}
+
+// Instância global
+export const llmQueue = new LLMQueue();
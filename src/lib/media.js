@@ -0,0 +1,224 @@
+// src/lib/media.js
+import { logger } from './logger.js';
+
+const TEXT_MIMETYPES = [/^text\//, /json$/, /xml$/, /csv$/, /markdown$/, /x-yaml$/];
+
+const EXTENSIONS = {
+  'audio/ogg': 'ogg',
+  'audio/mpeg': 'mp3',
+  'audio/mp4': 'm4a',
+  'audio/wav': 'wav',
+  'audio/webm': 'webm'
+};
+
+/**
+ * Configuração de mídia (lida a cada uso para respeitar o .env recarregado)
+ */
+function getMediaConfig() {
+  return {
+    enabled: process.env.MEDIA_ENABLED !== 'false',
+    maxSize: (parseFloat(process.env.MEDIA_MAX_SIZE_MB) || 10) * 1024 * 1024,
+    vision: process.env.VISION_ENABLED === 'true',
+    visionModel: process.env.VISION_MODEL || null,
+    transcriptionEndpoint: process.env.TRANSCRIPTION_ENDPOINT || null,
+    transcriptionModel: process.env.TRANSCRIPTION_MODEL || 'whisper-1',
+    transcriptionLanguage: process.env.TRANSCRIPTION_LANGUAGE || 'pt',
+    transcriptionKey: process.env.TRANSCRIPTION_API_KEY || null,
+    transcriptionTimeout: parseInt(process.env.TRANSCRIPTION_TIMEOUT) || 120000,
+    maxDocumentChars: parseInt(process.env.MEDIA_MAX_DOCUMENT_CHARS) || 12000
+  };
+}
+
+/**
+ * Tipo de mídia a partir do tipo da mensagem e do mimetype
+ */
+export function getMediaKind(type, mimetype = '') {
+  if (type === 'image' || type === 'sticker' || mimetype.startsWith('image/')) return 'image';
+  if (type === 'audio' || type === 'ptt' || mimetype.startsWith('audio/')) return 'audio';
+  if (type === 'video' || mimetype.startsWith('video/')) return 'video';
+  if (type === 'document' || mimetype) return 'document';
+  return 'unknown';
+}
+
+/**
+ * Conteúdo multimodal no formato OpenAI (texto + image_url em data URL)
+ */
+export function buildVisionContent(text, image) {
+  return [
+    { type: 'text', text },
+    { type: 'image_url', image_url: { url: `data:${image.mimetype};base64,${image.data}` } }
+  ];
+}
+
+/**
+ * Transcreve um áudio no endpoint configurado (formato OpenAI /v1/audio/transcriptions,
+ * também aceito pelo servidor do whisper.cpp e faster-whisper)
+ */
+export async function transcribeAudio(media, config = getMediaConfig()) {
+  if (!config.transcriptionEndpoint) {
+    throw new Error('TRANSCRIPTION_ENDPOINT não configurado');
+  }
+
+  const mimetype = (media.mimetype || 'audio/ogg').split(';')[0];
+  const filename = media.filename || `audio.${EXTENSIONS[mimetype] || 'ogg'}`;
+
+  const form = new FormData();
+  form.append('file', new Blob([Buffer.from(media.data, 'base64')], { type: mimetype }), filename);
+  form.append('model', config.transcriptionModel);
+  form.append('language', config.transcriptionLanguage);
+  form.append('response_format', 'json');
+
+  const headers = {};
+  if (config.transcriptionKey) {
+    headers.Authorization = `Bearer ${config.transcriptionKey}`;
+  }
+
+  const startTime = Date.now();
+  const response = await fetch(config.transcriptionEndpoint, {
+    method: 'POST',
+    headers,
+    body: form,
+    signal: AbortSignal.timeout(config.transcriptionTimeout)
+  });
+
+  if (!response.ok) {
+    const errorText = await response.text().catch(() => 'Erro desconhecido');
+    throw new Error(`Transcrição falhou: HTTP ${response.status}: ${errorText.slice(0, 200)}`);
+  }
+
+  const data = await response.json();
+  const text = (data.text || '').trim();
+
+  logger.info('🎤 Áudio transcrito em %ss (%d caracteres)', ((Date.now() - startTime) / 1000).toFixed(1), text.length);
+  return text;
+}
+
+/**
+ * Extrai texto de PDFs e documentos de texto
+ */
+export async function extractDocumentText(media, config = getMediaConfig()) {
+  const mimetype = (media.mimetype || '').split(';')[0];
+  const buffer = Buffer.from(media.data, 'base64');
+  let text;
+
+  if (mimetype === 'application/pdf' || media.filename?.toLowerCase().endsWith('.pdf')) {
+    let pdfParse;
+    try {
+      // Import direto do módulo: o index do pdf-parse roda um teste ao ser importado
+      ({ default: pdfParse } = await import('pdf-parse/lib/pdf-parse.js'));
+    } catch (error) {
+      throw new Error('Leitura de PDF requer o pacote pdf-parse (npm install pdf-parse)');
+    }
+    text = (await pdfParse(buffer)).text;
+  } else if (TEXT_MIMETYPES.some(pattern => pattern.test(mimetype))) {
+    text = buffer.toString('utf-8');
+  } else {
+    return null;
+  }
+
+  text = text.replace(/\n{3,}/g, '\n\n').trim();
+
+  if (text.length > config.maxDocumentChars) {
+    logger.info('📄 Documento cortado de %d para %d caracteres', text.length, config.maxDocumentChars);
+    text = `${text.slice(0, config.maxDocumentChars)}\n[... documento cortado ...]`;
+  }
+
+  return text;
+}
+
+/**
+ * Baixa e interpreta a mídia de uma mensagem.
+ *
+ * Retorna:
+ *   { placeholder, prompt, image?, model? } - placeholder vai para a memória,
+ *     prompt (e a imagem, se houver) para o LLM
+ *   { reply } - resposta direta quando a mídia não pode ser processada
+ *
+ * @param {object} msg - Mensagem normalizada (hasMedia, type, downloadMedia)
+ * @param {string} caption - Legenda já sem marcações
+ */
+export async function processMedia(msg, caption = '') {
+  const config = getMediaConfig();
+
+  if (!config.enabled) {
+    return { reply: '📎 No momento só consigo ler mensagens de texto.' };
+  }
+
+  const media = await msg.downloadMedia();
+  if (!media || !media.data) {
+    return { reply: '📎 Não consegui baixar esse arquivo. Pode enviar de novo?' };
+  }
+
+  const size = media.filesize || Math.floor(media.data.length * 3 / 4);
+  if (size > config.maxSize) {
+    return { reply: `📎 Arquivo muito grande (máximo ${Math.round(config.maxSize / 1024 / 1024)}MB).` };
+  }
+
+  const kind = getMediaKind(msg.type, media.mimetype || '');
+  logger.info('📎 Mídia recebida: %s (%s, %dKB)', kind, media.mimetype, Math.round(size / 1024));
+
+  switch (kind) {
+    case 'image': {
+      const placeholder = `[📷 Imagem]${caption ? ` ${caption}` : ''}`;
+
+      if (!config.vision) {
+        if (!caption) {
+          return { reply: '📷 Recebi sua imagem, mas ainda não consigo ver imagens. Pode me contar o que tem nela?' };
+        }
+        return { placeholder, prompt: `[O usuário enviou uma imagem que você não consegue ver] ${caption}` };
+      }
+
+      return {
+        placeholder,
+        prompt: caption || 'Descreva esta imagem.',
+        image: { mimetype: media.mimetype, data: media.data },
+        model: config.visionModel
+      };
+    }
+
+    case 'audio': {
+      if (!config.transcriptionEndpoint) {
+        return { reply: '🎤 Ainda não consigo ouvir áudios por aqui. Pode escrever sua mensagem?' };
+      }
+
+      try {
+        const text = await transcribeAudio(media, config);
+        if (!text) {
+          return { reply: '🎤 Não entendi nada nesse áudio. Pode repetir?' };
+        }
+        return { placeholder: `[🎤 Áudio] ${text}`, prompt: `[Mensagem de voz transcrita] ${text}` };
+      } catch (error) {
+        logger.error('❌ Erro na transcrição de áudio: %s', error.message);
+        return { reply: '🎤 Não consegui transcrever esse áudio agora. Pode tentar de novo ou escrever?' };
+      }
+    }
+
+    case 'document': {
+      const filename = media.filename || 'documento';
+
+      try {
+        const text = await extractDocumentText(media, config);
+        if (text === null) {
+          return { reply: `📄 Ainda não sei ler arquivos do tipo ${media.mimetype}. Envie PDF ou texto.` };
+        }
+        if (!text) {
+          return { reply: '📄 Não encontrei texto nesse documento (pode ser um PDF escaneado).' };
+        }
+
+        return {
+          placeholder: `[📄 Documento: ${filename}]${caption ? ` ${caption}` : ''}`,
+          prompt: `[Documento "${filename}"]\n${text}\n\n${caption || 'Resuma este documento.'}`
+        };
+      } catch (error) {
+        logger.error('❌ Erro ao ler documento %s: %s', filename, error.message);
+        return { reply: '📄 Não consegui ler esse documento. Ele pode estar protegido ou corrompido.' };
+      }
+    }
+
+    case 'video':
+      return { reply: '🎬 Ainda não consigo assistir vídeos. Pode me contar do que se trata?' };
+
+    default:
+      return { reply: '📎 Não sei o que fazer com esse tipo de arquivo ainda.' };
+  }
+}
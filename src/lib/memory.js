@@ -1,51 +1,114 @@
 // src/lib/memory.js
-import { promises as fs } from 'fs';
 import { logger } from './logger.js';
+import { estimateTokens } from './tokenizer.js';
+import { createStorage } from './storage/index.js';
+import { searchIndex } from './searchIndex.js';
 
-const MEMORY_FILE = './memoria.json';
+const MAX_MESSAGES_PER_CHAT = 50;
+
+// O cache em memória atende as leituras; o backend (STORAGE_BACKEND) persiste
 let cache = {};
+let storage = null;
 
 /**
- * Carrega memória do arquivo JSON
+ * Seleciona o backend de armazenamento (json ou sqlite)
+ */
+export async function initStorage(name = process.env.STORAGE_BACKEND || 'json', options = {}) {
+  if (storage) {
+    await storage.close();
+  }
+  storage = await createStorage(name, { fallback: loadLatestBackup, ...options });
+  logger.info('MEMORY: Armazenamento %s', storage.name);
+  return storage;
+}
+
+export function getStorageInfo() {
+  return storage ? { backend: storage.name, file: storage.file, incremental: storage.incremental } : null;
+}
+
+/**
+ * Dados de memória do backup mais recente (recuperação de arquivo corrompido)
+ */
+async function loadLatestBackup() {
+  // Import dinâmico: backup.js depende deste módulo
+  const { listBackups, readBackup } = await import('./backup.js');
+  const [latest] = await listBackups();
+
+  if (!latest) return null;
+
+  const backupData = await readBackup(latest.filepath);
+  logger.info('MEMORY: Usando backup %s', latest.id);
+  return backupData.memory?.data || null;
+}
+
+/**
+ * Executa uma operação incremental do backend sem derrubar o fluxo da mensagem
+ */
+function persist(operation, ...args) {
+  if (!storage?.incremental) return;
+
+  try {
+    storage[operation](...args);
+  } catch (error) {
+    logger.error('MEMORY: Erro ao persistir (%s): %s', operation, error.message);
+  }
+}
+
+/**
+ * Carrega memória do backend configurado
  */
 export async function loadMemory() {
   try {
-    const data = await fs.readFile(MEMORY_FILE, 'utf-8');
-    cache = JSON.parse(data);
-    
-    if (typeof cache !== 'object' || cache === null) {
-      cache = {};
+    if (!storage) {
+      await initStorage();
     }
-    
+
+    cache = await storage.load();
     logger.info('MEMORY: Memoria carregada com sucesso');
   } catch (error) {
-    if (error.code === 'ENOENT') {
-      logger.info('MEMORY: Arquivo de memoria nao existe, criando novo');
-      cache = {};
-      await saveMemory();
-    } else {
-      logger.error('MEMORY: Erro ao carregar memoria, usando cache vazio:', error.message);
-      cache = {};
-    }
+    logger.error('MEMORY: Erro ao carregar memoria, usando cache vazio:', error.message);
+    cache = {};
   }
+  searchIndex.rebuild(cache);
 }
 
 /**
- * Salva memória no arquivo JSON
+ * Salva memória (no JSON reescreve o arquivo; no SQLite já está gravada)
  */
 export async function saveMemory() {
   try {
-    const data = JSON.stringify(cache, null, 2);
-    await fs.writeFile(MEMORY_FILE, data, 'utf-8');
+    await storage?.flush(cache);
   } catch (error) {
     logger.error('MEMORY: Erro ao salvar memoria:', error);
   }
 }
 
+/**
+ * Substitui todo o conteúdo persistido pelo cache atual
+ */
+async function replaceStored() {
+  try {
+    await storage?.replaceAll(cache);
+  } catch (error) {
+    logger.error('MEMORY: Erro ao salvar memoria:', error);
+  }
+}
+
+/**
+ * Fecha o backend (chamado no encerramento)
+ */
+export async function closeMemory() {
+  await saveMemory();
+  await storage?.close();
+  storage = null;
+}
+
 /**
  * Adiciona mensagem ao cache
+ *
+ * @param {object} [extra] - Campos extras guardados com a mensagem (ex.: { sender })
  */
-export function pushMessage(chatId, role, content) {
+export function pushMessage(chatId, role, content, extra = {}) {
   if (!chatId || !role || !content) {
     return;
   }
@@ -58,18 +121,24 @@ export function pushMessage(chatId, role, content) {
     role,
     content,
     timestamp: new Date().toISOString(),
-    tokens: content.length
+    tokens: estimateTokens(content),
+    ...extra
   };
 
   cache[chatId].push(message);
+  persist('appendMessage', chatId, message);
+  searchIndex.add(chatId, message);
 
   // Limitar a 50 mensagens por chat
-  if (cache[chatId].length > 50) {
-    cache[chatId] = cache[chatId].slice(-50);
+  if (cache[chatId].length > MAX_MESSAGES_PER_CHAT) {
+    const overflow = cache[chatId].length - MAX_MESSAGES_PER_CHAT;
+    cache[chatId] = cache[chatId].slice(-MAX_MESSAGES_PER_CHAT);
+    persist('deleteOldest', chatId, overflow);
+    searchIndex.removeOldest(chatId, overflow);
   }
 
-  // Auto-save a cada 10 mensagens
-  if (cache[chatId].length % 10 === 0) {
+  // Auto-save a cada 10 mensagens (backends não incrementais)
+  if (!storage?.incremental && cache[chatId].length % 10 === 0) {
     saveMemory();
   }
 }
@@ -95,11 +164,30 @@ export function getThread(chatId) {
   return [...cache[chatId]];
 }
 
+/**
+ * Remove as `count` mensagens mais antigas de um chat (usado após resumir)
+ */
+export function dropOldestMessages(chatId, count) {
+  if (!cache[chatId] || count <= 0) {
+    return 0;
+  }
+
+  const removed = Math.min(count, cache[chatId].length);
+  cache[chatId] = cache[chatId].slice(removed);
+  persist('deleteOldest', chatId, removed);
+  searchIndex.removeOldest(chatId, removed);
+  saveMemory();
+
+  return removed;
+}
+
 /**
  * Remove um chat da memória
  */
 export function removeChat(chatId) {
   delete cache[chatId];
+  persist('deleteChat', chatId);
+  searchIndex.removeChat(chatId);
 }
 
 /**
@@ -110,6 +198,8 @@ export async function clearChatMemory(chatId) {
     if (cache[chatId]) {
       const messageCount = cache[chatId].length;
       delete cache[chatId];
+      persist('deleteChat', chatId);
+      searchIndex.removeChat(chatId);
       await saveMemory();
       
       logger.info('CLEANUP: Memoria do chat %s limpa (%d mensagens removidas)', 
@@ -155,7 +245,8 @@ export function getMemoryStats() {
 export async function clearMemory() {
   const stats = getMemoryStats();
   cache = {};
-  await saveMemory();
+  searchIndex.clear();
+  await replaceStored();
   
   logger.info('CLEANUP: Memoria completamente limpa: %d chats, %d mensagens', 
     stats.totalChats, stats.totalMessages);
@@ -174,6 +265,8 @@ export async function cleanupInactiveChats(daysOld = 7) {
   for (const [chatId, messages] of Object.entries(cache)) {
     if (!Array.isArray(messages) || messages.length === 0) {
       delete cache[chatId];
+      persist('deleteChat', chatId);
+      searchIndex.removeChat(chatId);
       removedChats++;
       continue;
     }
@@ -182,6 +275,8 @@ export async function cleanupInactiveChats(daysOld = 7) {
     if (lastMessage.timestamp && new Date(lastMessage.timestamp) < cutoff) {
       removedMessages += messages.length;
       delete cache[chatId];
+      persist('deleteChat', chatId);
+      searchIndex.removeChat(chatId);
       removedChats++;
     }
   }
@@ -232,7 +327,9 @@ export function importMemory(backupData) {
     
     const oldStats = getMemoryStats();
     cache = backupData.data || {};
+    searchIndex.rebuild(cache);
     const newStats = getMemoryStats();
+    replaceStored();
     
     logger.info('Memória importada: %d → %d chats, %d → %d mensagens', 
                 oldStats.totalChats, newStats.totalChats,
@@ -242,6 +339,7 @@ export function importMemory(backupData) {
   } catch (error) {
     logger.error('Erro ao importar memória:', error);
     cache = {};
+    searchIndex.clear();
     return { 
       oldStats: { totalChats: 0, totalMessages: 0 }, 
       newStats: { totalChats: 0, totalMessages: 0 } 
@@ -250,11 +348,15 @@ export function importMemory(backupData) {
 }
 
 export default {
+  initStorage,
+  getStorageInfo,
   loadMemory,
   saveMemory,
+  closeMemory,
   pushMessage,
   getMessages,
   getThread,
+  dropOldestMessages,
   removeChat,
   listChats,
   getMemoryStats,
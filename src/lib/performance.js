@@ -4,7 +4,40 @@ import { logger } from './logger.js';
 class PerformanceMonitor {
   constructor() {
     this.requestTimes = [];
+    this.firstTokenTimes = []; // Tempo até o primeiro token (modo streaming)
     this.maxSamples = 10; // Mantém apenas os últimos 10 requests
+    this.lastContextBudget = null; // Orçamento de tokens do último contexto montado
+  }
+
+  /**
+   * Registra o orçamento de tokens usado na montagem do contexto
+   */
+  recordContextBudget(budget) {
+    this.lastContextBudget = { ...budget, timestamp: Date.now() };
+  }
+
+  /**
+   * Registra o tempo até o primeiro token de uma resposta em streaming
+   */
+  recordFirstToken(duration) {
+    this.firstTokenTimes.push({
+      duration,
+      timestamp: Date.now()
+    });
+
+    if (this.firstTokenTimes.length > this.maxSamples) {
+      this.firstTokenTimes.shift();
+    }
+  }
+
+  /**
+   * Obtém tempo médio até o primeiro token (ms)
+   */
+  getAverageFirstToken() {
+    if (this.firstTokenTimes.length === 0) return 0;
+
+    const total = this.firstTokenTimes.reduce((sum, req) => sum + req.duration, 0);
+    return Math.round(total / this.firstTokenTimes.length);
   }
 
   /**
@@ -55,6 +88,9 @@ class PerformanceMonitor {
         minTime: 0,
         maxTime: 0,
         totalRequests: 0,
+        avgFirstToken: 0,
+        streamedRequests: 0,
+        contextBudget: this.lastContextBudget,
         isSlow: false
       };
     }
@@ -69,6 +105,9 @@ class PerformanceMonitor {
       minTime: Math.round(minTime / 1000),
       maxTime: Math.round(maxTime / 1000),
       totalRequests: this.requestTimes.length,
+      avgFirstToken: Math.round(this.getAverageFirstToken() / 100) / 10, // em segundos, 1 casa
+      streamedRequests: this.firstTokenTimes.length,
+      contextBudget: this.lastContextBudget,
       isSlow: this.isModelSlow()
     };
   }
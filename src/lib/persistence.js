@@ -0,0 +1,125 @@
+// src/lib/persistence.js
+import { promises as fs } from 'fs';
+import { dirname, basename } from 'path';
+import { logger } from './logger.js';
+
+// Uma escrita por arquivo por vez (ex.: logActivity chamado em paralelo)
+const writeQueues = new Map();
+let tempCounter = 0;
+
+/**
+ * Grava um arquivo de forma atômica: escreve em um temporário, faz fsync e
+ * renomeia por cima do original. A geração anterior fica em `<arquivo>.bak`.
+ * Uma queda no meio da escrita nunca deixa o arquivo truncado.
+ */
+export function writeFileAtomic(file, data) {
+  const previous = writeQueues.get(file) || Promise.resolve();
+  const current = previous.catch(() => {}).then(() => doWriteAtomic(file, data));
+
+  writeQueues.set(file, current);
+  current.finally(() => {
+    if (writeQueues.get(file) === current) {
+      writeQueues.delete(file);
+    }
+  }).catch(() => {});
+
+  return current;
+}
+
+async function doWriteAtomic(file, data) {
+  const dir = dirname(file);
+  const tempFile = `${file}.tmp-${process.pid}-${++tempCounter}`;
+
+  await fs.mkdir(dir, { recursive: true });
+
+  const handle = await fs.open(tempFile, 'w');
+  try {
+    await handle.writeFile(data, 'utf-8');
+    await handle.sync();
+  } finally {
+    await handle.close();
+  }
+
+  try {
+    // Guarda a geração anterior antes de substituir
+    await fs.copyFile(file, `${file}.bak`).catch(error => {
+      if (error.code !== 'ENOENT') throw error;
+    });
+    await fs.rename(tempFile, file);
+  } catch (error) {
+    await fs.unlink(tempFile).catch(() => {});
+    throw error;
+  }
+
+  // fsync do diretório garante o rename no disco (não suportado no Windows)
+  try {
+    const dirHandle = await fs.open(dir, 'r');
+    await dirHandle.sync().finally(() => dirHandle.close());
+  } catch (error) {
+    // Ignorado: o rename já foi feito
+  }
+}
+
+/**
+ * Serializa e grava JSON de forma atômica
+ */
+export function writeJsonAtomic(file, value) {
+  return writeFileAtomic(file, JSON.stringify(value, null, 2));
+}
+
+async function readJson(file) {
+  return JSON.parse(await fs.readFile(file, 'utf-8'));
+}
+
+/**
+ * Lê um JSON com recuperação automática.
+ *
+ * Se o arquivo estiver corrompido, ele é preservado como `<arquivo>.corrupt-<data>`
+ * e a leitura tenta, em ordem, o `.bak` e o `fallback()` (ex.: último backup).
+ * Arquivo inexistente continua lançando o erro ENOENT para o chamador.
+ *
+ * @param {string} file - Caminho do arquivo
+ * @param {object} [options]
+ * @param {Function} [options.fallback] - async () => dados | null
+ * @param {*} [options.defaultValue] - Valor usado se nada puder ser recuperado
+ */
+export async function readJsonSafe(file, { fallback = null, defaultValue = undefined } = {}) {
+  try {
+    return await readJson(file);
+  } catch (error) {
+    if (error.code === 'ENOENT') throw error;
+
+    logger.error('💥 %s corrompido (%s), tentando recuperar...', basename(file), error.message);
+
+    const corruptFile = `${file}.corrupt-${new Date().toISOString().replace(/[:.]/g, '-')}`;
+    await fs.copyFile(file, corruptFile).catch(() => {});
+
+    try {
+      const data = await readJson(`${file}.bak`);
+      logger.warn('♻️ %s recuperado da cópia anterior (.bak)', basename(file));
+      return data;
+    } catch (bakError) {
+      logger.warn('⚠️ Cópia %s.bak indisponível: %s', basename(file), bakError.message);
+    }
+
+    if (fallback) {
+      try {
+        const data = await fallback();
+        if (data !== null && data !== undefined) {
+          logger.warn('♻️ %s recuperado do último backup', basename(file));
+          return data;
+        }
+      } catch (fallbackError) {
+        logger.warn('⚠️ Recuperação por backup falhou: %s', fallbackError.message);
+      }
+    }
+
+    if (defaultValue !== undefined) {
+      logger.error('❌ Não foi possível recuperar %s, usando dados vazios (original em %s)',
+                   basename(file), basename(corruptFile));
+      return defaultValue;
+    }
+
+    throw error;
+  }
+}
@@ -0,0 +1,321 @@
+// src/lib/personas.js
+import { logger } from './logger.js';
+import { readJsonSafe, writeJsonAtomic } from './persistence.js';
+import { toolRegistry } from './tools/index.js';
+
+const PERSONAS_FILE = process.env.PERSONAS_FILE || 'personas.json';
+const DEFAULT_PERSONA = 'ceros';
+
+const LANGUAGE_NAMES = {
+  'pt-BR': 'português brasileiro',
+  'en': 'English',
+  'en-US': 'English',
+  'es': 'español'
+};
+
+const BUILTIN_PERSONAS = {
+  [DEFAULT_PERSONA]: {
+    description: 'Assistente padrão do Ceros AI',
+    systemPrompt: `Você é o Ceros AI, um assistente virtual inteligente e prestativo.
+
+COMPORTAMENTO:
+- Seja útil, preciso e mantenha consistência nas respostas
+- Responda SEMPRE em português brasileiro
+- Mantenha o contexto da conversa anterior
+- Se não souber algo, seja honesto sobre isso
+- Evite repetir informações desnecessariamente
+- Seja conciso mas informativo
+
+IMPORTANTE: Analise todo o histórico da conversa antes de responder para manter coerência.`,
+    temperature: null,
+    maxTokens: null,
+    language: 'pt-BR'
+  }
+};
+
+class PersonaManager {
+  constructor() {
+    this.personas = new Map(); // nome -> { description, systemPrompt, temperature, maxTokens, language, tools }
+    this.chatPersonas = new Map(); // chatId -> nome da persona
+  }
+
+  /**
+   * Carrega personas e atribuições do arquivo
+   */
+  async loadPersonas() {
+    try {
+      const personaData = await readJsonSafe(PERSONAS_FILE);
+
+      this.personas = new Map(Object.entries(personaData.personas || {}));
+      this.chatPersonas = new Map(Object.entries(personaData.chatPersonas || {}));
+
+      logger.info('PERSONAS: %d personas carregadas, %d chats com persona própria',
+                  this.personas.size, this.chatPersonas.size);
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        logger.info('📄 Arquivo de personas não encontrado, criando novo...');
+      } else {
+        logger.error('❌ Erro ao carregar personas:', error);
+      }
+    }
+
+    // Garante que a persona padrão sempre existe
+    for (const [name, persona] of Object.entries(BUILTIN_PERSONAS)) {
+      if (!this.personas.has(name)) {
+        this.personas.set(name, { ...persona, createdAt: Date.now(), updatedAt: Date.now() });
+        await this.savePersonas();
+      }
+    }
+  }
+
+  /**
+   * Salva personas e atribuições no arquivo
+   */
+  async savePersonas() {
+    try {
+      const personaData = {
+        personas: Object.fromEntries(this.personas),
+        chatPersonas: Object.fromEntries(this.chatPersonas),
+        lastSaved: new Date().toISOString()
+      };
+
+      await writeJsonAtomic(PERSONAS_FILE, personaData);
+      logger.debug('💾 Personas salvas');
+    } catch (error) {
+      logger.error('❌ Erro ao salvar personas:', error);
+    }
+  }
+
+  /**
+   * Valida e normaliza os campos de uma persona
+   */
+  validate(data, partial = false) {
+    const persona = {};
+
+    if (data.systemPrompt !== undefined || !partial) {
+      if (typeof data.systemPrompt !== 'string' || data.systemPrompt.trim().length === 0) {
+        throw new Error('systemPrompt é obrigatório');
+      }
+      persona.systemPrompt = data.systemPrompt.trim();
+    }
+
+    if (data.description !== undefined) {
+      persona.description = String(data.description).slice(0, 200);
+    }
+
+    if (data.temperature !== undefined && data.temperature !== null && data.temperature !== '') {
+      const temperature = parseFloat(data.temperature);
+      if (isNaN(temperature) || temperature < 0 || temperature > 2) {
+        throw new Error('temperature deve estar entre 0 e 2');
+      }
+      persona.temperature = temperature;
+    } else if (!partial) {
+      persona.temperature = null;
+    }
+
+    if (data.maxTokens !== undefined && data.maxTokens !== null && data.maxTokens !== '') {
+      const maxTokens = parseInt(data.maxTokens);
+      if (isNaN(maxTokens) || maxTokens < 1 || maxTokens > 32000) {
+        throw new Error('maxTokens deve estar entre 1 e 32000');
+      }
+      persona.maxTokens = maxTokens;
+    } else if (!partial) {
+      persona.maxTokens = null;
+    }
+
+    if (data.language !== undefined || !partial) {
+      persona.language = data.language ? String(data.language).trim() : 'pt-BR';
+    }
+
+    // Ferramentas liberadas (null = padrão TOOLS_DEFAULT, [] = nenhuma, ["*"] = todas)
+    if (data.tools !== undefined && data.tools !== null) {
+      const tools = typeof data.tools === 'string' ? data.tools.split(',') : data.tools;
+      if (!Array.isArray(tools)) {
+        throw new Error('tools deve ser uma lista de ferramentas');
+      }
+      persona.tools = [...new Set(tools.map(t => String(t).trim()).filter(Boolean))];
+      const unknown = persona.tools.find(t => t !== '*' && !toolRegistry.has(t));
+      if (unknown) {
+        throw new Error(`Ferramenta desconhecida: ${unknown}`);
+      }
+    } else if (!partial || data.tools === null) {
+      persona.tools = null;
+    }
+
+    return persona;
+  }
+
+  normalizeName(name) {
+    const normalized = String(name || '').trim().toLowerCase();
+    if (!/^[a-z0-9_-]{2,32}$/.test(normalized)) {
+      throw new Error('Nome da persona deve ter 2-32 caracteres (letras, números, _ ou -)');
+    }
+    return normalized;
+  }
+
+  /**
+   * Cria uma nova persona
+   */
+  async createPersona(name, data) {
+    const personaName = this.normalizeName(name);
+
+    if (this.personas.has(personaName)) {
+      throw new Error('Persona já existe');
+    }
+
+    this.personas.set(personaName, {
+      description: '',
+      ...this.validate(data),
+      createdAt: Date.now(),
+      updatedAt: Date.now()
+    });
+
+    await this.savePersonas();
+    logger.info('🎭 Persona criada: %s', personaName);
+
+    return this.getPersona(personaName);
+  }
+
+  /**
+   * Atualiza campos de uma persona existente
+   */
+  async updatePersona(name, data) {
+    const personaName = this.normalizeName(name);
+    const current = this.personas.get(personaName);
+
+    if (!current) {
+      throw new Error('Persona não encontrada');
+    }
+
+    this.personas.set(personaName, {
+      ...current,
+      ...this.validate(data, true),
+      updatedAt: Date.now()
+    });
+
+    await this.savePersonas();
+    logger.info('🎭 Persona atualizada: %s', personaName);
+
+    return this.getPersona(personaName);
+  }
+
+  /**
+   * Remove uma persona (chats que a usavam voltam para a padrão)
+   */
+  async removePersona(name) {
+    const personaName = this.normalizeName(name);
+
+    if (personaName === DEFAULT_PERSONA) {
+      throw new Error('A persona padrão não pode ser removida');
+    }
+
+    if (!this.personas.has(personaName)) {
+      throw new Error('Persona não encontrada');
+    }
+
+    this.personas.delete(personaName);
+
+    let resetChats = 0;
+    for (const [chatId, assigned] of this.chatPersonas.entries()) {
+      if (assigned === personaName) {
+        this.chatPersonas.delete(chatId);
+        resetChats++;
+      }
+    }
+
+    await this.savePersonas();
+    logger.info('🗑️ Persona removida: %s (%d chats voltaram para a padrão)', personaName, resetChats);
+
+    return resetChats;
+  }
+
+  getPersona(name) {
+    const persona = this.personas.get(name);
+    return persona ? { name, ...persona } : null;
+  }
+
+  /**
+   * Lista personas com quantidade de chats usando cada uma
+   */
+  listPersonas() {
+    const usage = {};
+    for (const assigned of this.chatPersonas.values()) {
+      usage[assigned] = (usage[assigned] || 0) + 1;
+    }
+
+    return [...this.personas.keys()]
+      .sort((a, b) => a.localeCompare(b))
+      .map(name => ({
+        ...this.getPersona(name),
+        isDefault: name === DEFAULT_PERSONA,
+        chats: usage[name] || 0
+      }));
+  }
+
+  /**
+   * Define a persona de um chat (null volta para a padrão)
+   */
+  async setChatPersona(chatId, name) {
+    if (!name || name === DEFAULT_PERSONA) {
+      this.chatPersonas.delete(chatId);
+    } else {
+      const personaName = this.normalizeName(name);
+      if (!this.personas.has(personaName)) {
+        throw new Error(`Persona '${personaName}' não encontrada`);
+      }
+      this.chatPersonas.set(chatId, personaName);
+    }
+
+    await this.savePersonas();
+    return this.getChatPersona(chatId);
+  }
+
+  /**
+   * Persona efetiva de um chat
+   */
+  getChatPersona(chatId) {
+    const assigned = this.chatPersonas.get(chatId);
+    return this.getPersona(assigned) || this.getPersona(DEFAULT_PERSONA) ||
+      { name: DEFAULT_PERSONA, ...BUILTIN_PERSONAS[DEFAULT_PERSONA] };
+  }
+
+  /**
+   * Monta o prompt de sistema da persona com data atual e idioma
+   */
+  buildSystemPrompt(persona) {
+    const language = persona.language || 'pt-BR';
+    let locale = 'pt-BR';
+    try {
+      locale = Intl.DateTimeFormat.supportedLocalesOf(language).length > 0 ? language : 'pt-BR';
+    } catch (error) {
+      // Código de idioma inválido: mantém pt-BR
+    }
+
+    const date = new Date().toLocaleDateString(locale, { weekday: 'long', year: 'numeric', month: 'long', day: 'numeric' });
+    let prompt = `${persona.systemPrompt}\n\nDATA ATUAL: ${date}`;
+
+    if (language !== 'pt-BR') {
+      prompt += `\n\nLANGUAGE: Always answer in ${LANGUAGE_NAMES[language] || language}.`;
+    }
+
+    return prompt;
+  }
+
+  /**
+   * Opções do LLM definidas pela persona (só as que sobrescrevem o .env)
+   */
+  getLLMOptions(persona) {
+    const options = {};
+    if (persona.temperature !== null && persona.temperature !== undefined) {
+      options.temperature = persona.temperature;
+    }
+    if (persona.maxTokens) {
+      options.maxTokens = persona.maxTokens;
+    }
+    return options;
+  }
+}
+
+// Instância global
+export const personaManager = new PersonaManager();
+export { DEFAULT_PERSONA };
@@ -0,0 +1,561 @@
+// src/lib/pipeline.js
+import { logger } from './logger.js';
+import { pushMessage, getThread } from './memory.js';
+import { askLLM, askLLMStream, getModelInfo } from './llm.js';
+import { StreamingReply } from './streamDelivery.js';
+import { rateLimiter, isRateLimited } from './rateLimit.js';
+import { commands } from './commands.js';
+import { errorLogger } from './errorHandler.js';
+import { ContextManager } from './contextManager.js';
+import { authManager } from './auth.js';
+import { logActivity } from './activityLogger.js';
+import { chatDirectory } from './chatDirectory.js';
+import { personaManager } from './personas.js';
+import { buildContext } from './contextBuilder.js';
+import { summaryManager } from './summaries.js';
+import { userFactsManager } from './userFacts.js';
+import { chatPolicyManager } from './chatPolicies.js';
+import { llmQueue, PRIORITY } from './llmQueue.js';
+import { toolRegistry } from './tools/index.js';
+import { processMedia, buildVisionContent } from './media.js';
+import { performanceMonitor } from './performance.js';
+
+const QUOTED_TYPES = {
+  image: '📷 imagem',
+  sticker: '📷 figurinha',
+  audio: '🎤 áudio',
+  ptt: '🎤 áudio',
+  video: '🎬 vídeo',
+  document: '📄 documento'
+};
+
+/**
+ * Contexto explícito da mensagem citada, colocado antes do texto do usuário
+ */
+function formatQuote(quoted) {
+  const maxChars = parseInt(process.env.QUOTE_MAX_CHARS) || 300;
+  let text = (quoted.body || '').replace(/\s+/g, ' ').trim();
+
+  if (!text) {
+    text = `[${QUOTED_TYPES[quoted.type] || 'mídia'}]`;
+  } else if (text.length > maxChars) {
+    text = `${text.slice(0, maxChars)}…`;
+  }
+
+  const origin = quoted.fromBot ? 'uma mensagem sua' : 'uma mensagem de outra pessoa';
+  return `[Respondendo a ${origin}: "${text}"]`;
+}
+
+/**
+ * Junta as mensagens de uma rajada em uma só: textos em ordem, a mídia
+ * (se houver) e a resposta vai para a última mensagem
+ */
+function mergeBurst(messages) {
+  if (messages.length === 1) return messages[0];
+
+  const last = messages[messages.length - 1];
+  const media = messages.find(m => m.hasMedia);
+
+  return {
+    ...last,
+    body: messages.map(m => m.body.trim()).filter(Boolean).join('\n'),
+    mentionedIds: [...new Set(messages.flatMap(m => m.mentionedIds))],
+    type: media ? media.type : last.type,
+    hasMedia: !!media,
+    downloadMedia: media ? media.downloadMedia : last.downloadMedia
+  };
+}
+
+/**
+ * Pipeline de processamento de mensagens independente do transporte.
+ *
+ * O transporte entrega mensagens normalizadas no formato:
+ *   { id, body, from, author, fromMe, isStatus, mentionedIds, timestamp,
+ *     type, hasMedia, downloadMedia(), hasQuotedMsg, getQuotedMessage(),
+ *     chat: { id, name, isGroup, sendStateTyping(), clearState() },
+ *     reply(text) }
+ * e expõe getBotId() para detecção de menções.
+ * getQuotedMessage() resolve para { id, body, fromBot, author, type } ou null.
+ */
+export class MessagePipeline {
+  constructor(transport, options = {}) {
+    this.transport = transport;
+    this.adminNumbers = options.adminNumbers ||
+      (process.env.ADMIN_NUMBERS || 'seu_numero_aqui').split(',').map(n => n.trim());
+    this.duplicateTimeout = options.duplicateTimeout || parseInt(process.env.DUPLICATE_TIMEOUT) || 5000;
+    this.groupRandomChance = options.groupRandomChance ?? (parseFloat(process.env.GROUP_RANDOM_CHANCE) || 0.25);
+    const envDebounce = parseInt(process.env.MESSAGE_DEBOUNCE_MS);
+    this.debounceMs = options.debounceMs ?? (isNaN(envDebounce) ? 2000 : envDebounce);
+    this.debounceMaxMs = options.debounceMaxMs ?? (parseInt(process.env.MESSAGE_DEBOUNCE_MAX_MS) || 10000);
+
+    this.seen = new Map(); // ID da mensagem -> timestamp (eventos repetidos do transporte)
+    this.bursts = new Map(); // chatId:remetente -> rajada aguardando a janela de espera
+
+    // Limpeza automática do cache de duplicados
+    this.cleanupTimer = setInterval(() => this.cleanupSeen(), 60000);
+    this.cleanupTimer.unref?.();
+  }
+
+  cleanupSeen() {
+    const now = Date.now();
+    for (const [key, timestamp] of this.seen.entries()) {
+      if (now - timestamp > this.duplicateTimeout) {
+        this.seen.delete(key);
+      }
+    }
+  }
+
+  /**
+   * O mesmo evento entregue de novo pelo transporte (mesmo ID de mensagem)
+   */
+  isDuplicate(msg) {
+    if (!msg.id) return false;
+
+    const key = `${msg.chat.id}:${msg.id}`;
+    const now = Date.now();
+
+    if (this.seen.has(key) && now - this.seen.get(key) < this.duplicateTimeout) return true;
+    this.seen.set(key, now);
+    return false;
+  }
+
+  stop() {
+    clearInterval(this.cleanupTimer);
+
+    for (const burst of this.bursts.values()) {
+      clearTimeout(burst.timer);
+      burst.resolve();
+    }
+    this.bursts.clear();
+  }
+
+  /**
+   * Janela de espera do chat: política do chat ou MESSAGE_DEBOUNCE_MS
+   */
+  getDebounce(chatId) {
+    return chatPolicyManager.getPolicy(chatId).debounceMs ?? this.debounceMs;
+  }
+
+  /**
+   * Processa uma mensagem recebida do transporte
+   */
+  async handle(msg) {
+    // Ignora mensagens próprias e status
+    if (msg.fromMe || msg.isStatus) return;
+
+    const chat = msg.chat;
+    const id = chat.id;
+    const sender = (msg.author || msg.from).replace(/[^0-9]/g, '');
+
+    try {
+      // Nome do chat para o navegador de conversas do Control Panel
+      chatDirectory.setName(id, chat.name, chat.isGroup);
+
+      // Log de atividade: mensagem recebida
+      logActivity({
+        type: 'mensagem',
+        user: msg.author || msg.from,
+        chatId: id,
+        chatName: chat.name || 'Privado',
+        body: msg.body
+      });
+
+      // Sistema anti-duplicado
+      if (this.isDuplicate(msg)) return;
+
+      // Continuação de uma rajada em andamento: entra na mesma resposta,
+      // sem nova decisão de política nem novo consumo de rate limit
+      const burst = this.bursts.get(`${id}:${sender}`);
+      if (burst && !msg.body.startsWith('/') && !authManager.isAwaitingLogin(sender)) {
+        await this.appendToBurst(burst, msg);
+        return;
+      }
+
+      // Rate limiting por usuário
+      if (isRateLimited(sender)) {
+        logger.warn('Rate limit atingido para %s', sender);
+        return;
+      }
+
+      // ========== SISTEMA DE LOGIN ==========
+      // Verifica se está aguardando dados de login
+      if (authManager.isAwaitingLogin(sender) && !msg.body.startsWith('/')) {
+        try {
+          const result = await authManager.processLogin(sender, msg.body);
+          await msg.reply(result.message);
+        } catch (error) {
+          await msg.reply(`❌ ${error.message}`);
+        }
+        return;
+      }
+
+      // ========== COMANDOS ADMIN ==========
+      const role = this.getRole(sender);
+      if (role && msg.body.startsWith('/')) {
+        // Log de atividade: comando usado
+        logActivity({
+          type: 'comando',
+          user: msg.author || msg.from,
+          chatName: chat.name || 'Privado',
+          body: msg.body
+        });
+        await commands.handleAdmin(msg.body.trim(), msg, chat, this.transport, role);
+        return;
+      }
+
+      // ========== COMANDOS USUÁRIO ==========
+      if (msg.body.startsWith('/')) {
+        await commands.handleUser(msg.body.trim(), msg, chat, sender);
+        return;
+      }
+
+      // ========== PROCESSAMENTO NORMAL ==========
+      const botId = this.transport.getBotId();
+      const isMentioned = !!botId && msg.mentionedIds.includes(botId);
+      const quoted = await this.getQuoted(msg);
+
+      // Outra mensagem do remetente pode ter aberto a rajada enquanto a
+      // citada carregava: entra nela em vez de abrir uma segunda
+      const pending = this.bursts.get(`${id}:${sender}`);
+      if (pending) {
+        await this.appendToBurst(pending, msg, quoted);
+        return;
+      }
+
+      // Responder a uma mensagem do bot conta como menção
+      const isReplyToBot = !!quoted?.fromBot;
+
+      // Política do chat: menção, aleatório, palavras-chave, silêncio ou mudo
+      const decision = chatPolicyManager.shouldReply({
+        chat,
+        text: msg.body,
+        isMentioned,
+        isReplyToBot,
+        defaultChance: this.groupRandomChance
+      });
+
+      if (!decision.reply) {
+        logger.debug('🚦 Sem resposta em %s (%s)', chat.name || id, decision.reason);
+        return;
+      }
+
+      // Log específico para menções
+      if (isMentioned) {
+        logActivity({
+          type: 'mencao',
+          user: msg.author || msg.from,
+          chatName: chat.name || 'Privado',
+          body: `Mencionou o bot: "${msg.body}"`
+        });
+      } else if (isReplyToBot && chat.isGroup) {
+        logActivity({
+          type: 'mencao',
+          user: msg.author || msg.from,
+          chatName: chat.name || 'Privado',
+          body: `Respondeu ao bot: "${msg.body}"`
+        });
+      }
+
+      // Aplica rate limiting (uma vez por rajada)
+      rateLimiter.hit(sender);
+
+      if (this.getDebounce(id) > 0) {
+        await this.startBurst(msg, sender, quoted);
+      } else {
+        await this.reply(msg, sender, quoted);
+      }
+
+    } catch (error) {
+      await this.handleError(error, msg, sender);
+    }
+  }
+
+  /**
+   * Papel de acesso do remetente: owner para ADMIN_NUMBERS, o papel do
+   * usuário logado com /login, ou null para usuários comuns
+   */
+  getRole(sender) {
+    if (this.adminNumbers.includes(sender)) return 'owner';
+    return authManager.getRole(sender);
+  }
+
+  isAdmin(sender) {
+    return !!this.getRole(sender);
+  }
+
+  /**
+   * Registra o erro e avisa o usuário
+   */
+  async handleError(error, msg, sender) {
+    const chat = msg.chat;
+
+    await errorLogger.logError(error, {
+      context: 'message_processing',
+      chatId: chat.id,
+      sender: sender,
+      messageBody: msg.body.slice(0, 100),
+      chatName: chat.name || 'Chat Privado'
+    });
+
+    logger.error('Erro no processamento da mensagem:', error);
+    try {
+      await msg.reply('🤖 Ops! Algo deu errado aqui. Pode tentar novamente?');
+    } catch (replyError) {
+      await errorLogger.logError(replyError, {
+        context: 'error_reply_failed',
+        originalError: error.message
+      });
+      logger.error('Erro ao enviar mensagem de erro:', replyError);
+    }
+  }
+
+  /**
+   * Abre uma rajada: espera a janela do chat por mais mensagens do mesmo
+   * remetente antes de chamar o LLM. Resolve quando a rajada for respondida.
+   */
+  async startBurst(msg, sender, quoted) {
+    const burst = {
+      key: `${msg.chat.id}:${sender}`,
+      sender,
+      quoted,
+      messages: [msg],
+      startedAt: Date.now(),
+      timer: null
+    };
+    burst.done = new Promise(resolve => { burst.resolve = resolve; });
+
+    this.bursts.set(burst.key, burst);
+    this.scheduleFlush(burst);
+    await msg.chat.sendStateTyping();
+
+    return burst.done;
+  }
+
+  /**
+   * Acrescenta uma mensagem à rajada e reinicia a espera
+   *
+   * @param {object} [quoted] - Citada já carregada (undefined: busca aqui)
+   */
+  async appendToBurst(burst, msg, quoted) {
+    // Uma mídia por resposta: a segunda fecha a rajada atual e abre outra
+    if (msg.hasMedia && burst.messages.some(m => m.hasMedia)) {
+      this.flushBurst(burst);
+      rateLimiter.hit(burst.sender);
+      return this.startBurst(msg, burst.sender, quoted === undefined ? await this.getQuoted(msg) : quoted);
+    }
+
+    burst.messages.push(msg);
+    burst.quoted = burst.quoted || (quoted === undefined ? await this.getQuoted(msg) : quoted);
+
+    // O usuário ainda está escrevendo: cancela o "digitando..." do bot
+    await msg.chat.clearState();
+    this.scheduleFlush(burst);
+
+    return burst.done;
+  }
+
+  scheduleFlush(burst) {
+    clearTimeout(burst.timer);
+
+    // Nunca espera mais que MESSAGE_DEBOUNCE_MAX_MS desde a primeira mensagem
+    const remaining = burst.startedAt + this.debounceMaxMs - Date.now();
+    const wait = Math.max(0, Math.min(this.getDebounce(burst.messages[0].chat.id), remaining));
+
+    burst.timer = setTimeout(() => this.flushBurst(burst), wait);
+  }
+
+  /**
+   * Fecha a rajada e responde todas as mensagens como um único turno
+   */
+  async flushBurst(burst) {
+    clearTimeout(burst.timer);
+    if (this.bursts.get(burst.key) === burst) {
+      this.bursts.delete(burst.key);
+    }
+
+    const msg = mergeBurst(burst.messages);
+    if (burst.messages.length > 1) {
+      logger.info('🧺 %d mensagens de %s agrupadas em uma', burst.messages.length, burst.sender);
+    }
+
+    try {
+      await this.reply(msg, burst.sender, burst.quoted);
+    } catch (error) {
+      await this.handleError(error, msg, burst.sender);
+    } finally {
+      burst.resolve();
+    }
+  }
+
+  /**
+   * Busca a mensagem citada (null se não houver ou se não puder ser carregada)
+   */
+  async getQuoted(msg) {
+    if (!msg.hasQuotedMsg) return null;
+
+    try {
+      return await msg.getQuotedMessage();
+    } catch (error) {
+      logger.warn('⚠️ Não foi possível carregar a mensagem citada: %s', error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Gera e envia a resposta do LLM para uma mensagem
+   *
+   * @param {object} [quoted] - Mensagem citada, incluída como contexto da pergunta
+   */
+  async reply(msg, sender, quoted = null) {
+    const chat = msg.chat;
+    const id = chat.id;
+
+    // Log da interação
+    logger.info('📨 Nova mensagem de %s em %s', sender, chat.name || 'Chat Privado');
+
+    // Mostra que está "digitando" para mensagens longas
+    await chat.sendStateTyping();
+
+    // Limpa marcações (@número) da mensagem antes de processar
+    const cleanMessage = msg.body.replace(/@\d+/g, '').trim();
+
+    // Áudio, imagem ou documento: baixa e converte em texto (ou imagem para visão)
+    let media = null;
+    if (msg.hasMedia) {
+      media = await processMedia(msg, cleanMessage);
+      if (media.reply) {
+        await msg.reply(media.reply);
+        return;
+      }
+    }
+
+    // Se a mensagem ficou vazia após limpar as marcações, usa uma mensagem padrão
+    const processedMessage = cleanMessage || 'Olá!';
+
+    // Fila global do LLM: um job por chat, privados e admins na frente
+    await llmQueue.run({
+      chatId: id,
+      priority: !chat.isGroup || this.isAdmin(sender) ? PRIORITY.HIGH : PRIORITY.NORMAL,
+      onWait: position => msg.reply(`⏳ Estou na fila, posição ${position}. Já te respondo!`)
+    }, () => this.respond(msg, sender, { quoted, media, processedMessage }));
+  }
+
+  /**
+   * Monta o contexto, chama o LLM e entrega a resposta (roda dentro da fila,
+   * então o histórico já contém a resposta anterior do mesmo chat)
+   */
+  async respond(msg, sender, { quoted, media, processedMessage }) {
+    const chat = msg.chat;
+    const id = chat.id;
+
+    await chat.sendStateTyping();
+
+    // Mídias ficam na memória só como marcador (ex.: "[📷 Imagem] legenda")
+    pushMessage(id, 'user', media ? media.placeholder : processedMessage, { sender });
+
+    // Obtém e limpa o contexto para evitar confusão da IA
+    let contextMessages = getThread(id);
+    if (media || quoted) {
+      // Na requisição atual o marcador dá lugar ao conteúdo extraído,
+      // precedido da mensagem citada (se houver)
+      const prompt = media ? media.prompt : processedMessage;
+      contextMessages[contextMessages.length - 1] = {
+        role: 'user',
+        content: quoted ? `${formatQuote(quoted)}\n${prompt}` : prompt
+      };
+    }
+    contextMessages = ContextManager.autoCleanIfConfused(contextMessages);
+
+    // Persona do chat define prompt de sistema, idioma e parâmetros do LLM
+    const persona = personaManager.getChatPersona(id);
+    const llmOptions = personaManager.getLLMOptions(persona);
+    const modelInfo = getModelInfo();
+
+    // Ferramentas liberadas para a persona (data/hora, calculadora...)
+    const allowedTools = toolRegistry.resolveAllowed(persona.tools);
+    if (allowedTools.length > 0) {
+      llmOptions.tools = toolRegistry.getDefinitions(allowedTools);
+      llmOptions.onToolCall = call => toolRegistry.execute(call, { chatId: id, sender }, allowedTools);
+    }
+
+    // Ajusta prompt + histórico à janela de contexto, reservando espaço para a resposta
+    const { messages, budget } = buildContext({
+      systemPrompt: personaManager.buildSystemPrompt(persona) + userFactsManager.buildPromptSection(sender),
+      conversationSummary: summaryManager.getSummary(id)?.text,
+      history: contextMessages,
+      contextWindow: modelInfo.contextWindow,
+      maxTokens: llmOptions.maxTokens || modelInfo.maxTokens
+    });
+    performanceMonitor.recordContextBudget(budget);
+
+    if (media?.image) {
+      const last = messages[messages.length - 1];
+      last.content = buildVisionContent(last.content, media.image);
+      if (media.model) {
+        llmOptions.model = media.model;
+      }
+    }
+
+    const { answer, delivered } = await this.generateAnswer(msg, messages, llmOptions);
+
+    if (!answer) {
+      await msg.reply('🤖 Hmm, parece que fiquei sem palavras aqui... Tenta perguntar de novo?');
+      return;
+    }
+
+    // Log da conversa
+    console.log('');
+    console.log('┌─────────────────────────────────┐');
+    console.log(`│ 💬 ${(chat.name || 'Chat Privado').slice(0, 23).padEnd(23)} │`);
+    console.log('├─────────────────────────────────┤');
+    console.log(`│ 👤 ${msg.body.slice(0, 23).padEnd(23)}${msg.body.length > 23 ? '..' : '  '} │`);
+    console.log('├─────────────────────────────────┤');
+    console.log(`│ BOT ${answer.slice(0, 23).padEnd(23)}${answer.length > 23 ? '..' : '  '} │`);
+    console.log('└─────────────────────────────────┘');
+    console.log('');
+
+    pushMessage(id, 'assistant', answer);
+    if (!delivered) {
+      await msg.reply(answer);
+    }
+
+    // Chats longos: condensa as mensagens antigas em segundo plano
+    summaryManager.maybeSummarize(id).catch(error => {
+      logger.warn('⚠️ Falha ao resumir chat %s: %s', id, error.message);
+    });
+
+    // Log de atividade: resposta enviada pelo bot
+    logActivity({
+      type: 'resposta_bot',
+      user: 'Bot CerosAI',
+      chatId: id,
+      chatName: chat.name || 'Privado',
+      body: `Respondeu para ${(msg.author || msg.from).replace('@c.us', '')}: "${answer.slice(0, 100)}${answer.length > 100 ? '...' : ''}"`
+    });
+  }
+
+  /**
+   * Chama o LLM. Em modo streaming a resposta já é entregue progressivamente
+   * ao usuário, e `delivered` indica que não é preciso enviá-la de novo.
+   */
+  async generateAnswer(msg, messages, llmOptions = {}) {
+    if (!getModelInfo().stream) {
+      return { answer: await askLLM(messages, llmOptions), delivered: false };
+    }
+
+    const streamingReply = new StreamingReply(msg);
+
+    try {
+      const answer = await askLLMStream(messages, (delta, fullText) => streamingReply.update(fullText), llmOptions);
+      await streamingReply.finish(answer);
+      return { answer, delivered: true };
+    } catch (error) {
+      // Se parte da resposta já foi entregue, completa com o aviso de erro
+      if (streamingReply.hasDelivered()) {
+        await msg.reply('⚠️ A resposta foi interrompida. Pode pedir para eu continuar?');
+        return { answer: streamingReply.deliveredText, delivered: true };
+      }
+      throw error;
+    }
+  }
+}
@@ -0,0 +1,195 @@
+// src/lib/providers.js
+import { logger } from './logger.js';
+import { getDialect, listChatTemplates } from './dialects.js';
+
+/**
+ * Lê a lista ordenada de provedores LLM do ambiente.
+ *
+ * Com LLM_PROVIDERS=lmstudio,ollama cada provedor usa as variáveis
+ * LLM_<NOME>_ENDPOINT, _MODEL, _TIMEOUT, _RETRIES, _AUTH, _AUTH_HEADER,
+ * _DIALECT e _TEMPLATE.
+ * Sem LLM_PROVIDERS, usa o provedor único de API_ENDPOINT/MODEL_NAME/API_DIALECT.
+ */
+export function parseProviders(env = process.env) {
+  const defaultTimeout = parseInt(env.REQUEST_TIMEOUT) || 120000;
+  const defaultDialect = env.API_DIALECT || 'openai';
+  const defaultTemplate = env.CHAT_TEMPLATE || 'chatml';
+  const names = (env.LLM_PROVIDERS || '').split(',').map(n => n.trim()).filter(n => n);
+
+  if (names.length === 0) {
+    if (!env.API_ENDPOINT) return [];
+
+    const provider = withDialect({
+      name: 'principal',
+      endpoint: env.API_ENDPOINT,
+      model: env.MODEL_NAME,
+      timeout: defaultTimeout,
+      retries: parseInt(env.MAX_RETRIES) || 3,
+      authHeader: 'Authorization',
+      auth: env.API_KEY ? `Bearer ${env.API_KEY}` : null
+    }, defaultDialect, defaultTemplate);
+
+    return provider ? [provider] : [];
+  }
+
+  const providers = [];
+
+  for (const name of names) {
+    const prefix = `LLM_${name.toUpperCase().replace(/[^A-Z0-9]/g, '_')}_`;
+    const endpoint = env[`${prefix}ENDPOINT`];
+
+    if (!endpoint) {
+      logger.error('ERRO: Provedor %s sem %sENDPOINT no .env, ignorando', name, prefix);
+      continue;
+    }
+
+    const provider = withDialect({
+      name,
+      endpoint,
+      model: env[`${prefix}MODEL`] || env.MODEL_NAME,
+      timeout: parseInt(env[`${prefix}TIMEOUT`]) || defaultTimeout,
+      retries: parseInt(env[`${prefix}RETRIES`]) || 1,
+      authHeader: env[`${prefix}AUTH_HEADER`] || 'Authorization',
+      auth: env[`${prefix}AUTH`] || null
+    }, env[`${prefix}DIALECT`] || defaultDialect, env[`${prefix}TEMPLATE`] || defaultTemplate);
+
+    if (provider) {
+      providers.push(provider);
+    }
+  }
+
+  return providers;
+}
+
+/**
+ * Resolve o dialeto (e template de chat) do provedor; inválido = provedor ignorado
+ */
+function withDialect(provider, dialectName, template) {
+  try {
+    const dialect = getDialect(dialectName);
+
+    if (dialect.name === 'llamacpp' && !listChatTemplates().includes(template)) {
+      throw new Error(`Template de chat desconhecido: ${template} (use ${listChatTemplates().join(', ')})`);
+    }
+
+    return {
+      ...provider,
+      dialect: dialect.name,
+      template: dialect.name === 'llamacpp' ? template : null
+    };
+  } catch (error) {
+    logger.error('ERRO: Provedor %s ignorado: %s', provider.name, error.message);
+    return null;
+  }
+}
+
+/**
+ * Acompanha a saúde de cada provedor para decidir a ordem de failover
+ */
+class ProviderHealthTracker {
+  constructor() {
+    this.health = new Map(); // nome -> { consecutiveFailures, cooldownUntil, ... }
+  }
+
+  get failureThreshold() {
+    return parseInt(process.env.PROVIDER_FAILURE_THRESHOLD) || 1;
+  }
+
+  get cooldownMs() {
+    return parseInt(process.env.PROVIDER_COOLDOWN) || 60000;
+  }
+
+  getHealth(name) {
+    if (!this.health.has(name)) {
+      this.health.set(name, {
+        consecutiveFailures: 0,
+        totalFailures: 0,
+        totalSuccesses: 0,
+        cooldownUntil: 0,
+        lastError: null,
+        lastFailureAt: null,
+        lastSuccessAt: null,
+        lastLatency: null
+      });
+    }
+    return this.health.get(name);
+  }
+
+  recordSuccess(name, latency) {
+    const health = this.getHealth(name);
+    const wasDown = health.cooldownUntil > Date.now();
+
+    health.consecutiveFailures = 0;
+    health.cooldownUntil = 0;
+    health.totalSuccesses++;
+    health.lastSuccessAt = Date.now();
+    health.lastLatency = latency;
+
+    if (wasDown) {
+      logger.info('✅ Provedor LLM %s voltou a responder', name);
+    }
+  }
+
+  recordFailure(name, error) {
+    const health = this.getHealth(name);
+
+    health.consecutiveFailures++;
+    health.totalFailures++;
+    health.lastError = error.message;
+    health.lastFailureAt = Date.now();
+
+    if (health.consecutiveFailures >= this.failureThreshold) {
+      health.cooldownUntil = Date.now() + this.cooldownMs;
+      logger.warn('🚫 Provedor LLM %s marcado como indisponível por %ds', name, Math.round(this.cooldownMs / 1000));
+    }
+  }
+
+  isAvailable(name) {
+    return this.getHealth(name).cooldownUntil <= Date.now();
+  }
+
+  /**
+   * Provedores disponíveis na ordem configurada; os indisponíveis
+   * ficam no fim como último recurso (o que libera primeiro vem antes)
+   */
+  orderProviders(providers) {
+    const available = providers.filter(p => this.isAvailable(p.name));
+    const cooling = providers
+      .filter(p => !this.isAvailable(p.name))
+      .sort((a, b) => this.getHealth(a.name).cooldownUntil - this.getHealth(b.name).cooldownUntil);
+
+    return [...available, ...cooling];
+  }
+
+  /**
+   * Estado resumido para comandos e API
+   */
+  getStatus(name) {
+    const health = this.getHealth(name);
+    const available = this.isAvailable(name);
+
+    return {
+      status: available ? (health.consecutiveFailures > 0 ? 'degradado' : 'ok') : 'indisponível',
+      available,
+      consecutiveFailures: health.consecutiveFailures,
+      totalFailures: health.totalFailures,
+      totalSuccesses: health.totalSuccesses,
+      cooldownRemaining: available ? 0 : Math.ceil((health.cooldownUntil - Date.now()) / 1000),
+      lastError: health.lastError,
+      lastFailureAt: health.lastFailureAt,
+      lastSuccessAt: health.lastSuccessAt,
+      lastLatency: health.lastLatency
+    };
+  }
+
+  reset(name = null) {
+    if (name) {
+      this.health.delete(name);
+    } else {
+      this.health.clear();
+    }
+  }
+}
+
+// Instância global
+export const providerHealth = new ProviderHealthTracker();
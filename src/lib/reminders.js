@@ -0,0 +1,256 @@
+// src/lib/reminders.js
+import { dirname, join } from 'path';
+import { logger } from './logger.js';
+import { readJsonSafe, writeJsonAtomic } from './persistence.js';
+import { parseReminder, nextOccurrence, describeRecurrence } from './dateParser.js';
+
+// Fica ao lado de memoria.json, a não ser que REMINDERS_FILE diga outro lugar
+const REMINDERS_FILE = process.env.REMINDERS_FILE
+  || join(dirname(process.env.MEMORY_FILE || './memoria.json'), 'lembretes.json');
+const CHECK_INTERVAL = 30 * 1000;
+const RETRY_BASE_MS = 60 * 1000;
+const MAX_TEXT_LENGTH = 500;
+
+/**
+ * Formata uma data para as mensagens ("sex, 23/10 às 14:00")
+ */
+export function formatDueDate(timestamp) {
+  const date = new Date(timestamp);
+  const weekday = date.toLocaleDateString('pt-BR', { weekday: 'short' }).replace('.', '');
+  const day = date.toLocaleDateString('pt-BR', { day: '2-digit', month: '2-digit' });
+  const time = date.toLocaleTimeString('pt-BR', { hour: '2-digit', minute: '2-digit' });
+  return `${weekday}, ${day} às ${time}`;
+}
+
+/**
+ * Lembretes e mensagens agendadas.
+ *
+ * Os lembretes ficam salvos em disco e sobrevivem a reinícios. O agendador
+ * verifica a cada 30s os vencidos e entrega pelo transporte; se o bot estava
+ * desconectado na hora, a entrega acontece quando ele voltar (com aviso de
+ * atraso). Falhas de envio são tentadas de novo com espera crescente, até
+ * REMINDER_MAX_ATTEMPTS vezes.
+ */
+class ReminderManager {
+  constructor() {
+    this.reminders = new Map(); // id -> { id, chatId, sender, text, dueAt, recurrence, createdAt, attempts, nextAttemptAt }
+    this.nextId = 1;
+    this.transport = null;
+    this.timer = null;
+    this.checking = false;
+  }
+
+  get maxPerUser() {
+    return parseInt(process.env.REMINDERS_MAX_PER_USER) || 20;
+  }
+
+  get maxAttempts() {
+    return parseInt(process.env.REMINDER_MAX_ATTEMPTS) || 5;
+  }
+
+  /**
+   * Carrega lembretes do arquivo
+   */
+  async loadReminders() {
+    try {
+      const data = await readJsonSafe(REMINDERS_FILE);
+      this.reminders = new Map((data.reminders || []).map(r => [r.id, r]));
+      this.nextId = data.nextId || Math.max(0, ...this.reminders.keys()) + 1;
+      logger.info('⏰ Lembretes carregados: %d pendentes', this.reminders.size);
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        logger.info('📄 Arquivo de lembretes não encontrado, criando novo...');
+      } else {
+        logger.error('❌ Erro ao carregar lembretes:', error);
+      }
+    }
+  }
+
+  /**
+   * Salva lembretes no arquivo
+   */
+  async saveReminders() {
+    try {
+      const data = {
+        reminders: [...this.reminders.values()],
+        nextId: this.nextId,
+        lastSaved: new Date().toISOString()
+      };
+      await writeJsonAtomic(REMINDERS_FILE, data);
+      logger.debug('💾 Lembretes salvos');
+    } catch (error) {
+      logger.error('❌ Erro ao salvar lembretes:', error);
+    }
+  }
+
+  /**
+   * Lembretes pendentes de um usuário, do mais próximo ao mais distante
+   */
+  listReminders(sender) {
+    return [...this.reminders.values()]
+      .filter(r => r.sender === sender)
+      .sort((a, b) => a.dueAt - b.dueAt);
+  }
+
+  /**
+   * Cria um lembrete a partir do texto do comando ("amanhã às 9h pagar o boleto")
+   */
+  async addReminder({ chatId, sender, input, now = new Date() }) {
+    if (this.listReminders(sender).length >= this.maxPerUser) {
+      throw new Error(`Limite de ${this.maxPerUser} lembretes atingido. Cancele algum com \`/cancelar [id]\``);
+    }
+
+    const { dueAt, text, recurrence } = parseReminder(input, now);
+    if (text.length > MAX_TEXT_LENGTH) {
+      throw new Error(`Texto muito longo (máximo ${MAX_TEXT_LENGTH} caracteres)`);
+    }
+
+    const reminder = {
+      id: this.nextId++,
+      chatId,
+      sender,
+      text,
+      dueAt,
+      recurrence,
+      createdAt: Date.now(),
+      attempts: 0,
+      nextAttemptAt: null
+    };
+
+    this.reminders.set(reminder.id, reminder);
+    await this.saveReminders();
+    logger.info('⏰ Lembrete #%d criado para %s', reminder.id, formatDueDate(dueAt));
+
+    return reminder;
+  }
+
+  /**
+   * Cancela um lembrete do próprio usuário
+   */
+  async cancelReminder(sender, id) {
+    const reminder = this.reminders.get(parseInt(String(id).replace('#', '')));
+    if (!reminder || reminder.sender !== sender) {
+      throw new Error(`Lembrete ${id} não encontrado. Veja os seus com \`/lembretes\``);
+    }
+
+    this.reminders.delete(reminder.id);
+    await this.saveReminders();
+    return reminder;
+  }
+
+  describe(reminder) {
+    return describeRecurrence(reminder.recurrence, reminder.dueAt);
+  }
+
+  /**
+   * Inicia o agendador (chamado quando o transporte fica pronto).
+   * A primeira verificação é imediata, para entregar o que venceu com o bot offline.
+   */
+  start(transport) {
+    this.transport = transport;
+    if (this.timer) return;
+
+    this.timer = setInterval(() => this.checkDue(), CHECK_INTERVAL);
+    this.timer.unref?.();
+    this.checkDue();
+    logger.info('⏰ Agendador de lembretes iniciado');
+  }
+
+  /**
+   * Pausa o agendador (desconexão ou shutdown); os lembretes continuam salvos
+   */
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  /**
+   * Entrega os lembretes vencidos
+   */
+  async checkDue(now = Date.now()) {
+    if (this.checking || !this.transport) return;
+    this.checking = true;
+
+    let changed = false;
+    try {
+      const due = [...this.reminders.values()]
+        .filter(r => r.dueAt <= now && (!r.nextAttemptAt || r.nextAttemptAt <= now))
+        .sort((a, b) => a.dueAt - b.dueAt);
+
+      for (const reminder of due) {
+        await this.deliver(reminder, now);
+        changed = true;
+      }
+    } finally {
+      this.checking = false;
+    }
+
+    if (changed) {
+      await this.saveReminders();
+    }
+  }
+
+  async deliver(reminder, now) {
+    const delayMinutes = Math.round((now - reminder.dueAt) / 60000);
+    let message = `⏰ **Lembrete:** ${reminder.text}`;
+    if (delayMinutes >= 5) {
+      message += `\n\n_(atrasado: era para ${formatDueDate(reminder.dueAt)})_`;
+    }
+
+    try {
+      await this.transport.sendMessage(reminder.chatId, message);
+      logger.info('⏰ Lembrete #%d entregue', reminder.id);
+    } catch (error) {
+      reminder.attempts++;
+
+      if (reminder.attempts < this.maxAttempts) {
+        // Espera crescente: 1, 2, 4, 8... minutos
+        reminder.nextAttemptAt = now + RETRY_BASE_MS * 2 ** (reminder.attempts - 1);
+        logger.warn('⚠️ Falha ao entregar lembrete #%d (tentativa %d): %s', reminder.id, reminder.attempts, error.message);
+        return;
+      }
+
+      logger.error('❌ Lembrete #%d descartado após %d tentativas: %s', reminder.id, reminder.attempts, error.message);
+    }
+
+    reminder.attempts = 0;
+    reminder.nextAttemptAt = null;
+
+    const next = reminder.recurrence ? nextOccurrence(reminder.dueAt, reminder.recurrence, now) : null;
+    if (next) {
+      reminder.dueAt = next;
+    } else {
+      this.reminders.delete(reminder.id);
+    }
+  }
+
+  getStats() {
+    const reminders = [...this.reminders.values()];
+    return {
+      pending: reminders.length,
+      recurring: reminders.filter(r => r.recurrence).length,
+      retrying: reminders.filter(r => r.attempts > 0).length,
+      nextDueAt: reminders.length > 0 ? Math.min(...reminders.map(r => r.dueAt)) : null,
+      running: !!this.timer
+    };
+  }
+
+  /**
+   * Exporta lembretes para backup
+   */
+  exportReminders() {
+    return { reminders: [...this.reminders.values()], nextId: this.nextId };
+  }
+
+  /**
+   * Importa lembretes de um backup
+   */
+  async importReminders(data) {
+    this.reminders = new Map((data?.reminders || []).map(r => [r.id, r]));
+    this.nextId = data?.nextId || Math.max(0, ...this.reminders.keys()) + 1;
+    await this.saveReminders();
+  }
+}
+
+// Instância global
+export const reminderManager = new ReminderManager();
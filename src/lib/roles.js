@@ -0,0 +1,49 @@
+// src/lib/roles.js
+
+/**
+ * Papéis de acesso, do menor para o maior. Cada papel pode tudo que os
+ * anteriores podem. Os números em ADMIN_NUMBERS são sempre `owner`.
+ */
+export const ROLES = {
+  viewer: 'Só consulta (status, estatísticas, logs)',
+  moderator: 'Configura chats (personas, políticas, resumos, rate limit)',
+  admin: 'Manutenção (backups, limpeza, transmissões, usuários)',
+  owner: 'Acesso total (restaurar, apagar memória, reiniciar, .env)'
+};
+
+const ROLE_ORDER = Object.keys(ROLES);
+
+// Usuários criados antes dos papéis tinham acesso total aos comandos admin
+export const LEGACY_ROLE = 'admin';
+export const DEFAULT_ROLE = 'viewer';
+
+export function isValidRole(role) {
+  return ROLE_ORDER.includes(role);
+}
+
+/**
+ * Valida e normaliza o nome de um papel
+ */
+export function normalizeRole(role) {
+  const normalized = String(role || '').trim().toLowerCase();
+  if (!isValidRole(normalized)) {
+    throw new Error(`Papel inválido. Use: ${ROLE_ORDER.join(', ')}`);
+  }
+  return normalized;
+}
+
+/**
+ * Verifica se `role` alcança o papel exigido
+ */
+export function hasRole(role, required) {
+  if (!isValidRole(role)) return false;
+  return ROLE_ORDER.indexOf(role) >= ROLE_ORDER.indexOf(required);
+}
+
+/**
+ * Quem atribui papéis só pode dar papéis abaixo do seu (owner pode tudo)
+ */
+export function canAssignRole(assignerRole, role) {
+  if (assignerRole === 'owner') return true;
+  return hasRole(assignerRole, role) && assignerRole !== role;
+}
@@ -0,0 +1,216 @@
+// src/lib/searchIndex.js
+import { logger } from './logger.js';
+import { chatDirectory } from './chatDirectory.js';
+
+const MIN_TERM_LENGTH = 2;
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 100;
+const SNIPPET_BEFORE = 40;
+const SNIPPET_AFTER = 80;
+
+/**
+ * Minúsculas e sem acentos, caractere a caractere, para que as posições
+ * do texto dobrado batam com as do original (usado nos trechos)
+ */
+function fold(text) {
+  return [...String(text || '')].map(c => {
+    const folded = c.normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase();
+    return folded.length === c.length ? folded : c;
+  }).join('');
+}
+
+function tokenize(text) {
+  return fold(text).split(/[^\p{L}\p{N}]+/u).filter(term => term.length >= MIN_TERM_LENGTH);
+}
+
+/**
+ * Índice invertido em memória sobre todas as conversas guardadas.
+ *
+ * Acompanha a memória: cada pushMessage entra no índice, mensagens cortadas
+ * ou chats apagados saem, e importMemory/loadMemory reconstroem tudo. Os
+ * termos da busca casam por prefixo ("reun" encontra "reunião") e todos
+ * precisam aparecer na mensagem.
+ */
+class SearchIndex {
+  constructor() {
+    this.docs = new Map(); // docId -> { chatId, role, content, timestamp, sender, terms }
+    this.postings = new Map(); // termo -> Set<docId>
+    this.chatDocs = new Map(); // chatId -> [docId] na ordem da memória
+    this.nextId = 1;
+  }
+
+  /**
+   * Indexa uma mensagem (no fim do chat, como na memória)
+   */
+  add(chatId, message) {
+    const id = this.nextId++;
+    const terms = new Set(tokenize(message.content));
+
+    this.docs.set(id, {
+      chatId,
+      role: message.role,
+      content: message.content,
+      timestamp: message.timestamp || null,
+      sender: message.sender || null,
+      terms
+    });
+
+    for (const term of terms) {
+      if (!this.postings.has(term)) this.postings.set(term, new Set());
+      this.postings.get(term).add(id);
+    }
+
+    if (!this.chatDocs.has(chatId)) this.chatDocs.set(chatId, []);
+    this.chatDocs.get(chatId).push(id);
+  }
+
+  remove(id) {
+    const doc = this.docs.get(id);
+    if (!doc) return;
+
+    for (const term of doc.terms) {
+      const ids = this.postings.get(term);
+      ids?.delete(id);
+      if (ids?.size === 0) this.postings.delete(term);
+    }
+    this.docs.delete(id);
+  }
+
+  /**
+   * Tira do índice as `count` mensagens mais antigas de um chat
+   */
+  removeOldest(chatId, count) {
+    const ids = this.chatDocs.get(chatId);
+    if (!ids) return;
+
+    ids.splice(0, count).forEach(id => this.remove(id));
+    if (ids.length === 0) this.chatDocs.delete(chatId);
+  }
+
+  removeChat(chatId) {
+    (this.chatDocs.get(chatId) || []).forEach(id => this.remove(id));
+    this.chatDocs.delete(chatId);
+  }
+
+  clear() {
+    this.docs.clear();
+    this.postings.clear();
+    this.chatDocs.clear();
+  }
+
+  /**
+   * Reconstrói o índice a partir do cache da memória ({ chatId: [mensagens] })
+   */
+  rebuild(cache) {
+    const started = Date.now();
+    this.clear();
+
+    for (const [chatId, messages] of Object.entries(cache || {})) {
+      if (!Array.isArray(messages)) continue;
+      messages.forEach(message => this.add(chatId, message));
+    }
+
+    logger.info('🔎 Índice de busca reconstruído: %d mensagens, %d termos (%dms)',
+      this.docs.size, this.postings.size, Date.now() - started);
+  }
+
+  /**
+   * IDs das mensagens que contêm um termo (ou palavras que começam com ele)
+   */
+  matchTerm(term) {
+    const ids = new Set(this.postings.get(term) || []);
+    for (const [indexed, postings] of this.postings) {
+      if (indexed !== term && indexed.startsWith(term)) {
+        postings.forEach(id => ids.add(id));
+      }
+    }
+    return ids;
+  }
+
+  /**
+   * Busca nas conversas, da mensagem mais recente para a mais antiga
+   *
+   * @param {string} query - Termos (todos precisam aparecer)
+   * @param {object} [filters]
+   * @param {string} [filters.role] - user ou assistant
+   * @param {string} [filters.chatId] - Restringe a um chat
+   * @param {string} [filters.sender] - Número (ou parte) de quem enviou
+   * @param {number} [filters.from] - Timestamp inicial
+   * @param {number} [filters.to] - Timestamp final
+   * @param {number} [filters.limit] - Até 100 resultados
+   * @param {number} [filters.offset]
+   */
+  search(query, { role = null, chatId = null, sender = null, from = null, to = null, limit = DEFAULT_LIMIT, offset = 0 } = {}) {
+    const terms = [...new Set(tokenize(query))];
+    if (terms.length === 0) {
+      throw new Error(`Informe pelo menos um termo com ${MIN_TERM_LENGTH} letras ou mais`);
+    }
+
+    // Começa pelo termo mais raro para cruzar menos IDs
+    const matches = terms.map(term => this.matchTerm(term)).sort((a, b) => a.size - b.size);
+    let ids = [...matches[0]].filter(id => matches.every(set => set.has(id)));
+
+    const senderDigits = sender ? String(sender).replace(/\D/g, '') : null;
+    ids = ids.filter(id => {
+      const doc = this.docs.get(id);
+      if (role && doc.role !== role) return false;
+      if (chatId && doc.chatId !== chatId) return false;
+      if (senderDigits && !doc.sender?.includes(senderDigits)) return false;
+
+      const time = doc.timestamp ? new Date(doc.timestamp).getTime() : null;
+      if (from !== null && (time === null || time < from)) return false;
+      if (to !== null && (time === null || time > to)) return false;
+      return true;
+    });
+
+    // Mais recentes primeiro (timestamps ISO ordenam como texto)
+    ids.sort((a, b) => (this.docs.get(b).timestamp || '').localeCompare(this.docs.get(a).timestamp || '') || b - a);
+
+    const size = Math.min(Math.max(parseInt(limit) || DEFAULT_LIMIT, 1), MAX_LIMIT);
+    const start = Math.max(parseInt(offset) || 0, 0);
+
+    return {
+      query: terms,
+      total: ids.length,
+      offset: start,
+      limit: size,
+      items: ids.slice(start, start + size).map(id => this.describe(id, terms))
+    };
+  }
+
+  describe(id, terms) {
+    const doc = this.docs.get(id);
+    return {
+      chatId: doc.chatId,
+      chatName: chatDirectory.getName(doc.chatId),
+      role: doc.role,
+      sender: doc.sender,
+      timestamp: doc.timestamp,
+      snippet: this.snippet(doc.content, terms)
+    };
+  }
+
+  /**
+   * Trecho da mensagem em volta do primeiro termo encontrado
+   */
+  snippet(content, terms) {
+    const folded = fold(content);
+    const positions = terms.map(term => folded.indexOf(term)).filter(pos => pos >= 0);
+    const pos = positions.length > 0 ? Math.min(...positions) : 0;
+
+    const start = Math.max(pos - SNIPPET_BEFORE, 0);
+    const end = Math.min(pos + SNIPPET_AFTER, content.length);
+    return `${start > 0 ? '…' : ''}${content.slice(start, end).trim()}${end < content.length ? '…' : ''}`;
+  }
+
+  getStats() {
+    return {
+      documents: this.docs.size,
+      terms: this.postings.size,
+      chats: this.chatDocs.size
+    };
+  }
+}
+
+// Instância global
+export const searchIndex = new SearchIndex();
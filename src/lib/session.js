@@ -0,0 +1,155 @@
+// src/lib/session.js
+import QRCode from 'qrcode';
+import { logger } from './logger.js';
+import { botEvents } from './events.js';
+import { errorLogger } from './errorHandler.js';
+
+export const SESSION_STATES = {
+  iniciando: 'Abrindo o WhatsApp Web',
+  aguardando_qr: 'Aguardando a leitura do QR Code',
+  conectado: 'Conectado',
+  desconectado: 'Desconectado',
+  falha_autenticacao: 'Falha na autenticação',
+  reiniciando: 'Reiniciando a sessão'
+};
+
+const QR_OPTIONS = { margin: 2, width: 320 };
+
+/**
+ * Sessão do WhatsApp vista pelo Control Panel: estado da conexão, QR Code
+ * atual (também como PNG, para parear de outra máquina) e as ações de
+ * desconectar/parear de novo e apagar a sessão salva (wwebjs_auth).
+ *
+ * O bot.js repassa os eventos do transporte; cada mudança de estado vira um
+ * `connection.changed` e cada QR novo um `qr.generated` em /api/events.
+ */
+class SessionManager {
+  constructor() {
+    this.transport = null;
+    this.state = 'iniciando';
+    this.since = Date.now();
+    this.reason = null;
+    this.qr = null; // { text, dataUrl, generatedAt, count }
+    this.qrCount = 0;
+    this.busy = false;
+  }
+
+  setTransport(transport) {
+    this.transport = transport;
+  }
+
+  /**
+   * Atualiza o estado e avisa os clientes (só quando muda)
+   */
+  setState(state, { reason = null } = {}) {
+    if (!SESSION_STATES[state]) {
+      throw new Error(`Estado de sessão inválido: ${state}`);
+    }
+    if (state === this.state && reason === this.reason) return;
+
+    this.state = state;
+    this.since = Date.now();
+    this.reason = reason;
+
+    // Pareado (ou recomeçando): o QR antigo não serve mais
+    if (state !== 'aguardando_qr') {
+      this.qr = null;
+    }
+    if (state === 'conectado') {
+      this.qrCount = 0;
+    }
+
+    botEvents.publish('connection.changed', this.getStatus());
+  }
+
+  /**
+   * Guarda um QR novo (o WhatsApp troca o QR a cada ~20s até ser lido)
+   */
+  async setQr(text) {
+    const dataUrl = await QRCode.toDataURL(text, QR_OPTIONS);
+    this.setState('aguardando_qr');
+    this.qr = { text, dataUrl, generatedAt: Date.now(), count: ++this.qrCount };
+
+    botEvents.publish('qr.generated', this.qr);
+  }
+
+  /**
+   * QR atual em PNG (null se não há pareamento em andamento)
+   */
+  async getQrPng() {
+    if (!this.qr) return null;
+    return QRCode.toBuffer(this.qr.text, QR_OPTIONS);
+  }
+
+  /**
+   * Estado público da sessão; o QR só vai para quem pode parear
+   */
+  getStatus({ includeQr = false } = {}) {
+    return {
+      state: this.state,
+      description: SESSION_STATES[this.state],
+      connected: this.state === 'conectado',
+      since: this.since,
+      reason: this.reason,
+      transport: this.transport?.name || null,
+      botName: this.state === 'conectado' ? this.transport?.getBotName() || null : null,
+      busy: this.busy,
+      actions: {
+        logout: typeof this.transport?.logout === 'function',
+        reset: typeof this.transport?.resetSession === 'function'
+      },
+      qr: includeQr && this.qr
+        ? { dataUrl: this.qr.dataUrl, generatedAt: this.qr.generatedAt, count: this.qr.count }
+        : null,
+      hasQr: !!this.qr
+    };
+  }
+
+  /**
+   * Desconecta o aparelho pareado e reabre o WhatsApp Web com um QR novo
+   */
+  async logout() {
+    await this.runAction('logout', 'Desconectando o WhatsApp para parear de novo');
+  }
+
+  /**
+   * Apaga a sessão salva (wwebjs_auth) e recomeça do zero. Para sessões
+   * corrompidas, quando nem o logout funciona.
+   */
+  async resetSession() {
+    await this.runAction('resetSession', 'Apagando a sessão salva do WhatsApp');
+  }
+
+  async runAction(method, description) {
+    if (typeof this.transport?.[method] !== 'function') {
+      throw new Error(`O transporte ${this.transport?.name || '(nenhum)'} não tem sessão do WhatsApp`);
+    }
+    if (this.busy) {
+      throw new Error('Já existe uma ação de sessão em andamento');
+    }
+
+    this.busy = true;
+    logger.warn('📱 %s...', description);
+    this.setState('reiniciando', { reason: method });
+
+    try {
+      await this.transport[method]();
+    } catch (error) {
+      // Sem isso o painel ficaria em "Reiniciando a sessão" para sempre
+      this.setState('desconectado', { reason: error.message });
+      throw error;
+    } finally {
+      this.busy = false;
+    }
+
+    // Reabre em segundo plano: a inicialização só termina depois do pareamento
+    this.transport.initialize().catch(error => {
+      logger.error('❌ Erro ao reabrir o WhatsApp:', error);
+      errorLogger.logError(error, { context: 'whatsapp_reinitialize' });
+      this.setState('desconectado', { reason: error.message });
+    });
+  }
+}
+
+// Instância global
+export const sessionManager = new SessionManager();
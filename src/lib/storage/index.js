@@ -0,0 +1,30 @@
+// src/lib/storage/index.js
+
+/**
+ * Cria o backend de armazenamento da memória de conversas pelo nome.
+ * O import é dinâmico para que o modo JSON não dependa do better-sqlite3.
+ *
+ * Interface comum dos backends:
+ *   name, incremental
+ *   load() -> { chatId: [mensagens] }
+ *   flush(cache)        - persiste o estado atual (JSON reescreve o arquivo)
+ *   replaceAll(cache)   - substitui tudo (importação, limpeza total)
+ *   appendMessage(chatId, message)
+ *   deleteOldest(chatId, count)
+ *   deleteChat(chatId)
+ *   close()
+ */
+export async function createStorage(name = 'json', options = {}) {
+  switch (name) {
+    case 'json': {
+      const { JsonStorage } = await import('./json.js');
+      return new JsonStorage(options);
+    }
+    case 'sqlite': {
+      const { SqliteStorage } = await import('./sqlite.js');
+      return new SqliteStorage(options);
+    }
+    default:
+      throw new Error(`Backend de armazenamento desconhecido: ${name} (use json ou sqlite)`);
+  }
+}
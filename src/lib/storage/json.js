@@ -0,0 +1,51 @@
+// src/lib/storage/json.js
+import { logger } from '../logger.js';
+import { readJsonSafe, writeJsonAtomic } from '../persistence.js';
+
+/**
+ * Armazenamento em um único arquivo JSON (memoria.json).
+ * Não é incremental: cada flush reescreve o arquivo inteiro (de forma atômica).
+ * `options.fallback` fornece os dados se o arquivo e o .bak estiverem corrompidos.
+ */
+export class JsonStorage {
+  constructor(options = {}) {
+    this.name = 'json';
+    this.incremental = false;
+    this.file = options.file || process.env.MEMORY_FILE || './memoria.json';
+    this.fallback = options.fallback || null;
+  }
+
+  async load() {
+    try {
+      const cache = await readJsonSafe(this.file, { fallback: this.fallback, defaultValue: {} });
+
+      return typeof cache === 'object' && cache !== null ? cache : {};
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        logger.info('MEMORY: Arquivo de memoria nao existe, criando novo');
+        await this.flush({});
+        return {};
+      }
+
+      logger.error('MEMORY: Erro ao carregar memoria, usando cache vazio:', error.message);
+      return {};
+    }
+  }
+
+  async flush(cache) {
+    await writeJsonAtomic(this.file, cache);
+  }
+
+  async replaceAll(cache) {
+    await this.flush(cache);
+  }
+
+  // Operações incrementais não se aplicam: o próximo flush grava tudo
+  appendMessage() {}
+
+  deleteOldest() {}
+
+  deleteChat() {}
+
+  async close() {}
+}
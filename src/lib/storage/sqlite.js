@@ -0,0 +1,151 @@
+// src/lib/storage/sqlite.js
+import { logger } from '../logger.js';
+
+// Campos com coluna própria; o resto da mensagem vai em `meta` (JSON)
+const COLUMNS = ['role', 'content', 'timestamp', 'tokens'];
+
+/**
+ * Armazenamento em SQLite (better-sqlite3) com inserts incrementais:
+ * cada mensagem é gravada ao chegar, sem reescrever o histórico inteiro.
+ */
+export class SqliteStorage {
+  constructor(options = {}) {
+    this.name = 'sqlite';
+    this.incremental = true;
+    this.file = options.file || process.env.SQLITE_FILE || './memoria.db';
+    this.db = null;
+  }
+
+  async open() {
+    if (this.db) return;
+
+    let Database;
+    try {
+      ({ default: Database } = await import('better-sqlite3'));
+    } catch (error) {
+      throw new Error('Backend sqlite requer o pacote better-sqlite3 (npm install better-sqlite3)');
+    }
+
+    this.db = new Database(this.file);
+    this.db.pragma('journal_mode = WAL');
+    this.db.pragma('synchronous = NORMAL');
+
+    this.db.exec(`
+      CREATE TABLE IF NOT EXISTS messages (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        chat_id TEXT NOT NULL,
+        role TEXT NOT NULL,
+        content TEXT NOT NULL,
+        timestamp TEXT,
+        tokens INTEGER,
+        meta TEXT
+      );
+      CREATE INDEX IF NOT EXISTS idx_messages_chat ON messages (chat_id, id);
+    `);
+
+    this.statements = {
+      insert: this.db.prepare(
+        'INSERT INTO messages (chat_id, role, content, timestamp, tokens, meta) VALUES (?, ?, ?, ?, ?, ?)'
+      ),
+      deleteOldest: this.db.prepare(
+        'DELETE FROM messages WHERE id IN (SELECT id FROM messages WHERE chat_id = ? ORDER BY id LIMIT ?)'
+      ),
+      deleteChat: this.db.prepare('DELETE FROM messages WHERE chat_id = ?'),
+      deleteAll: this.db.prepare('DELETE FROM messages'),
+      selectAll: this.db.prepare('SELECT * FROM messages ORDER BY chat_id, id')
+    };
+
+    logger.info('MEMORY: SQLite aberto em %s', this.file);
+  }
+
+  async load() {
+    await this.open();
+
+    const cache = {};
+    for (const row of this.statements.selectAll.iterate()) {
+      if (!cache[row.chat_id]) {
+        cache[row.chat_id] = [];
+      }
+      cache[row.chat_id].push(this.fromRow(row));
+    }
+
+    return cache;
+  }
+
+  fromRow(row) {
+    let meta = {};
+    if (row.meta) {
+      try {
+        meta = JSON.parse(row.meta);
+      } catch (error) {
+        logger.debug('MEMORY: meta inválido na mensagem %d', row.id);
+      }
+    }
+
+    return {
+      ...meta,
+      role: row.role,
+      content: row.content,
+      timestamp: row.timestamp,
+      tokens: row.tokens
+    };
+  }
+
+  insert(chatId, message) {
+    const meta = Object.fromEntries(Object.entries(message).filter(([key]) => !COLUMNS.includes(key)));
+
+    this.statements.insert.run(
+      chatId,
+      message.role,
+      message.content,
+      message.timestamp || null,
+      Number.isFinite(message.tokens) ? message.tokens : null,
+      Object.keys(meta).length > 0 ? JSON.stringify(meta) : null
+    );
+  }
+
+  // Cada operação já foi gravada: não há nada pendente
+  async flush() {}
+
+  /**
+   * Substitui todo o conteúdo numa única transação
+   */
+  async replaceAll(cache) {
+    await this.open();
+
+    const replace = this.db.transaction((data) => {
+      this.statements.deleteAll.run();
+      for (const [chatId, messages] of Object.entries(data)) {
+        if (!Array.isArray(messages)) continue;
+        for (const message of messages) {
+          if (message?.role && message?.content) {
+            this.insert(chatId, message);
+          }
+        }
+      }
+    });
+
+    replace(cache);
+  }
+
+  appendMessage(chatId, message) {
+    this.insert(chatId, message);
+  }
+
+  deleteOldest(chatId, count) {
+    if (count > 0) {
+      this.statements.deleteOldest.run(chatId, count);
+    }
+  }
+
+  deleteChat(chatId) {
+    this.statements.deleteChat.run(chatId);
+  }
+
+  async close() {
+    if (this.db) {
+      this.db.close();
+      this.db = null;
+    }
+  }
+}
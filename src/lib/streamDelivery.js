@@ -0,0 +1,121 @@
+// src/lib/streamDelivery.js
+import { logger } from './logger.js';
+
+/**
+ * Entrega progressiva de respostas em streaming.
+ *
+ * Modos (STREAM_DELIVERY):
+ * - edit: envia uma primeira resposta parcial e vai editando a mesma mensagem
+ * - append: envia novas mensagens a cada parágrafo completo
+ *
+ * Se o transporte não devolver mensagens editáveis, o modo edit cai para append.
+ */
+export class StreamingReply {
+  constructor(msg, options = {}) {
+    this.msg = msg;
+    this.mode = options.mode || process.env.STREAM_DELIVERY || 'edit';
+    this.minChars = options.minChars || parseInt(process.env.STREAM_MIN_CHARS) || 40;
+    this.editInterval = options.editInterval || parseInt(process.env.STREAM_EDIT_INTERVAL) || 1500;
+
+    this.sentMessage = null; // Mensagem editável (modo edit)
+    this.deliveredText = ''; // Texto já visível para o usuário
+    this.streamedText = ''; // Último texto bruto recebido do stream
+    this.lastFlush = 0;
+    this.pending = Promise.resolve(); // Serializa envios/edições
+  }
+
+  /**
+   * Recebe o texto acumulado até agora
+   */
+  update(fullText) {
+    const now = Date.now();
+    this.streamedText = fullText;
+
+    if (this.mode === 'append') {
+      this.queue(() => this.flushParagraphs(fullText, false));
+      return;
+    }
+
+    if (!this.sentMessage) {
+      // Primeira resposta parcial só quando houver texto suficiente
+      if (fullText.trim().length >= this.minChars && this.lastFlush === 0) {
+        this.lastFlush = now;
+        this.queue(() => this.sendFirst(fullText));
+      }
+      return;
+    }
+
+    if (now - this.lastFlush >= this.editInterval) {
+      this.lastFlush = now;
+      this.queue(() => this.edit(fullText));
+    }
+  }
+
+  /**
+   * Entrega o texto final, garantindo que o usuário veja a resposta completa
+   */
+  async finish(finalText) {
+    await this.pending;
+
+    if (this.sentMessage) {
+      await this.edit(finalText, true);
+      return;
+    }
+
+    // O texto entregue é prefixo do texto bruto, não do texto final (trim)
+    if (this.deliveredText) {
+      await this.flushParagraphs(this.streamedText || finalText, true);
+    } else {
+      await this.msg.reply(finalText);
+      this.deliveredText = finalText;
+    }
+  }
+
+  /**
+   * Indica se algo já foi entregue ao usuário
+   */
+  hasDelivered() {
+    return this.deliveredText.length > 0;
+  }
+
+  queue(task) {
+    this.pending = this.pending.then(task).catch(error => {
+      logger.warn('⚠️ Falha na entrega parcial: %s', error.message);
+    });
+  }
+
+  async sendFirst(text) {
+    const sent = await this.msg.reply(`${text.trim()} …`);
+    this.deliveredText = text;
+
+    if (sent && typeof sent.edit === 'function') {
+      this.sentMessage = sent;
+    } else {
+      logger.debug('Transporte sem suporte a edição, usando modo append');
+      this.mode = 'append';
+    }
+  }
+
+  async edit(text, final = false) {
+    await this.sentMessage.edit(final ? text : `${text.trim()} …`);
+    this.deliveredText = text;
+  }
+
+  /**
+   * Envia os parágrafos completos ainda não entregues (ou todo o resto se final)
+   */
+  async flushParagraphs(fullText, final) {
+    const remaining = fullText.slice(this.deliveredText.length);
+    if (!remaining.trim()) return;
+
+    let chunk = remaining;
+    if (!final) {
+      const breakIndex = remaining.lastIndexOf('\n\n');
+      if (breakIndex === -1 || breakIndex < this.minChars) return;
+      chunk = remaining.slice(0, breakIndex + 2);
+    }
+
+    await this.msg.reply(chunk.trim());
+    this.deliveredText += chunk;
+  }
+}
@@ -0,0 +1,194 @@
+// src/lib/summaries.js
+import { dirname, join } from 'path';
+import { logger } from './logger.js';
+import { readJsonSafe, writeJsonAtomic } from './persistence.js';
+import { getThread, dropOldestMessages } from './memory.js';
+import { askLLM } from './llm.js';
+import { llmQueue, PRIORITY } from './llmQueue.js';
+
+// Fica ao lado de memoria.json, a não ser que SUMMARIES_FILE diga outro lugar
+const SUMMARIES_FILE = process.env.SUMMARIES_FILE
+  || join(dirname(process.env.MEMORY_FILE || './memoria.json'), 'resumos.json');
+
+const SUMMARY_PROMPT = `Você resume conversas de WhatsApp para servir de memória de longo prazo de um assistente.
+
+REGRAS:
+- Escreva em português brasileiro, em tópicos curtos
+- Preserve nomes, datas, números, preferências, decisões e pedidos pendentes
+- Integre o resumo anterior (se houver) com as mensagens novas, sem repetir
+- Não invente nada que não esteja na conversa
+- Máximo de 15 tópicos`;
+
+/**
+ * Resumo contínuo por chat: quando o histórico passa de SUMMARY_THRESHOLD
+ * mensagens, as mais antigas são condensadas pelo LLM e removidas da memória.
+ */
+class SummaryManager {
+  constructor() {
+    this.summaries = new Map(); // chatId -> { text, summarizedMessages, updatedAt }
+    this.inProgress = new Set();
+  }
+
+  get threshold() {
+    return parseInt(process.env.SUMMARY_THRESHOLD) || 40;
+  }
+
+  get keepRecent() {
+    return parseInt(process.env.SUMMARY_KEEP_RECENT) || 20;
+  }
+
+  get enabled() {
+    return process.env.SUMMARY_ENABLED !== 'false';
+  }
+
+  /**
+   * Carrega resumos do arquivo
+   */
+  async loadSummaries() {
+    try {
+      const data = await readJsonSafe(SUMMARIES_FILE);
+      this.summaries = new Map(Object.entries(data.summaries || {}));
+      logger.info('📝 Resumos carregados: %d chats', this.summaries.size);
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        logger.info('📄 Arquivo de resumos não encontrado, criando novo...');
+      } else {
+        logger.error('❌ Erro ao carregar resumos:', error);
+      }
+    }
+  }
+
+  /**
+   * Salva resumos no arquivo
+   */
+  async saveSummaries() {
+    try {
+      const data = {
+        summaries: Object.fromEntries(this.summaries),
+        lastSaved: new Date().toISOString()
+      };
+      await writeJsonAtomic(SUMMARIES_FILE, data);
+      logger.debug('💾 Resumos salvos');
+    } catch (error) {
+      logger.error('❌ Erro ao salvar resumos:', error);
+    }
+  }
+
+  getSummary(chatId) {
+    return this.summaries.get(chatId) || null;
+  }
+
+  /**
+   * Remove o resumo de um chat
+   */
+  async resetSummary(chatId) {
+    const existed = this.summaries.delete(chatId);
+    if (existed) {
+      await this.saveSummaries();
+      logger.info('🗑️ Resumo do chat %s apagado', chatId);
+    }
+    return existed;
+  }
+
+  async clearAll() {
+    const count = this.summaries.size;
+    this.summaries.clear();
+    await this.saveSummaries();
+    return count;
+  }
+
+  /**
+   * Resume o chat se ele passou do limite (não bloqueia se já estiver resumindo)
+   */
+  async maybeSummarize(chatId) {
+    if (!this.enabled || this.inProgress.has(chatId)) return null;
+    if (getThread(chatId).length < this.threshold) return null;
+
+    return this.summarize(chatId);
+  }
+
+  /**
+   * Condensa as mensagens mais antigas do chat no resumo armazenado,
+   * mantendo as SUMMARY_KEEP_RECENT mais recentes na memória
+   *
+   * @param {string} chatId - ID do chat
+   * @param {boolean} [force] - Resume mesmo abaixo do limite
+   */
+  async summarize(chatId, force = false) {
+    if (this.inProgress.has(chatId)) {
+      throw new Error('Resumo deste chat já está em andamento');
+    }
+
+    const thread = getThread(chatId);
+    const count = thread.length - this.keepRecent;
+    const toSummarize = force && count <= 0 ? thread : thread.slice(0, Math.max(0, count));
+
+    if (toSummarize.length === 0) return null;
+
+    this.inProgress.add(chatId);
+    try {
+      const previous = this.getSummary(chatId);
+      const transcript = toSummarize
+        .map(m => `${m.role === 'assistant' ? 'Assistente' : 'Usuário'}: ${m.content}`)
+        .join('\n');
+
+      const request = previous
+        ? `RESUMO ANTERIOR:\n${previous.text}\n\nMENSAGENS NOVAS:\n${transcript}`
+        : `CONVERSA:\n${transcript}`;
+
+      // Entra na fila do chat depois das respostas pendentes
+      const text = await llmQueue.run({ chatId, priority: PRIORITY.BACKGROUND }, () => askLLM([
+        { role: 'system', content: SUMMARY_PROMPT },
+        { role: 'user', content: request }
+      ], {
+        maxTokens: parseInt(process.env.SUMMARY_MAX_TOKENS) || 400,
+        temperature: 0.3
+      }));
+
+      // Resposta vazia: mantém o histórico e o resumo anterior
+      if (!text?.trim()) {
+        throw new Error('O LLM devolveu um resumo vazio; nenhuma mensagem foi descartada');
+      }
+
+      // Só descarta as mensagens depois que o resumo foi gerado. Enquanto o
+      // LLM responde, o limite de mensagens do chat pode ter cortado parte do
+      // trecho resumido, então conta o que dele ainda está no início do chat
+      const summarized = new Set(toSummarize);
+      const lastAt = toSummarize[toSummarize.length - 1].timestamp;
+      const current = getThread(chatId);
+      const pending = current.findIndex(m => !summarized.has(m) && !(lastAt && m.timestamp && m.timestamp <= lastAt));
+      dropOldestMessages(chatId, pending === -1 ? current.length : pending);
+
+      const summary = {
+        text: text.trim(),
+        summarizedMessages: (previous?.summarizedMessages || 0) + toSummarize.length,
+        updatedAt: Date.now()
+      };
+      this.summaries.set(chatId, summary);
+      await this.saveSummaries();
+
+      logger.info('📝 Chat %s resumido: %d mensagens antigas condensadas', chatId, toSummarize.length);
+      return summary;
+    } finally {
+      this.inProgress.delete(chatId);
+    }
+  }
+
+  /**
+   * Exporta resumos para backup
+   */
+  exportSummaries() {
+    return Object.fromEntries(this.summaries);
+  }
+
+  /**
+   * Importa resumos de um backup
+   */
+  async importSummaries(data) {
+    this.summaries = new Map(Object.entries(data || {}));
+    await this.saveSummaries();
+  }
+}
+
+// Instância global
+export const summaryManager = new SummaryManager();
@@ -0,0 +1,76 @@
+// src/lib/tokenizer.js
+import path from 'path';
+import { pathToFileURL } from 'url';
+import { logger } from './logger.js';
+
+// Tokens extras por mensagem (papel e separadores do template de chat)
+const MESSAGE_OVERHEAD = 4;
+
+/**
+ * Estimativa heurística: ~4 caracteres por token, com piso por palavra
+ * (textos curtos e com muita pontuação rendem mais tokens por caractere)
+ */
+function heuristicTokens(text) {
+  if (!text) return 0;
+  const words = text.split(/\s+/).filter(w => w).length;
+  return Math.ceil(Math.max(text.length / 4, words * 1.3));
+}
+
+let tokenizer = { name: 'heurística', count: heuristicTokens };
+
+/**
+ * Troca o contador de tokens (ex.: tokenizer real do modelo)
+ *
+ * @param {Function} count - Recebe texto e devolve o número de tokens
+ * @param {string} [name] - Nome exibido em /performance
+ */
+export function setTokenizer(count, name = 'personalizado') {
+  if (typeof count !== 'function') {
+    throw new Error('Tokenizer deve ser uma função (texto) => número');
+  }
+  tokenizer = { name, count };
+}
+
+/**
+ * Carrega o tokenizer de TOKENIZER_MODULE (export `countTokens` ou default).
+ * Em qualquer erro mantém a heurística.
+ */
+export async function loadTokenizer(modulePath = process.env.TOKENIZER_MODULE) {
+  if (!modulePath) return;
+
+  try {
+    const mod = await import(pathToFileURL(path.resolve(modulePath)).href);
+    const count = mod.countTokens || mod.default;
+    setTokenizer(count, path.basename(modulePath));
+    logger.info('🔢 Tokenizer carregado: %s', path.basename(modulePath));
+  } catch (error) {
+    logger.warn('⚠️ Tokenizer %s não carregado, usando heurística: %s', modulePath, error.message);
+  }
+}
+
+export function getTokenizerName() {
+  return tokenizer.name;
+}
+
+/**
+ * Conta os tokens de um texto (cai na heurística se o tokenizer falhar)
+ */
+export function estimateTokens(text) {
+  if (!text) return 0;
+
+  try {
+    const count = tokenizer.count(text);
+    if (Number.isFinite(count) && count >= 0) return count;
+  } catch (error) {
+    logger.debug('Tokenizer falhou, usando heurística: %s', error.message);
+  }
+
+  return heuristicTokens(text);
+}
+
+/**
+ * Tokens de uma mensagem de chat, incluindo o overhead do template
+ */
+export function countMessageTokens(message) {
+  return estimateTokens(message.content) + MESSAGE_OVERHEAD;
+}
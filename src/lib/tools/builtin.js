@@ -0,0 +1,269 @@
+// src/lib/tools/builtin.js
+import { getThread } from '../memory.js';
+import { summaryManager } from '../summaries.js';
+
+// ==================== CALCULADORA ====================
+
+const MATH_FUNCTIONS = {
+  sqrt: Math.sqrt,
+  cbrt: Math.cbrt,
+  abs: Math.abs,
+  round: Math.round,
+  floor: Math.floor,
+  ceil: Math.ceil,
+  sin: Math.sin,
+  cos: Math.cos,
+  tan: Math.tan,
+  log: Math.log10,
+  ln: Math.log,
+  exp: Math.exp
+};
+
+const MATH_CONSTANTS = {
+  pi: Math.PI,
+  e: Math.E
+};
+
+/**
+ * Avalia uma expressão aritmética sem eval: + - * / % ^, parênteses,
+ * funções de MATH_FUNCTIONS e constantes pi/e. Aceita vírgula decimal.
+ */
+export function evaluateExpression(expression) {
+  const source = String(expression || '').replace(/\s+/g, '').replace(/(\d),(\d)/g, '$1.$2').replace(/×|(?<=\d)x(?=\d)/g, '*').replace(/÷/g, '/');
+  let position = 0;
+
+  const peek = () => source[position];
+  const fail = (message) => {
+    throw new Error(`${message} na posição ${position + 1} de "${expression}"`);
+  };
+
+  const parseNumberOrName = () => {
+    const number = /^\d+(\.\d+)?|^\.\d+/.exec(source.slice(position));
+    if (number) {
+      position += number[0].length;
+      return parseFloat(number[0]);
+    }
+
+    const name = /^[a-z]+/i.exec(source.slice(position));
+    if (!name) fail('Valor esperado');
+    position += name[0].length;
+    const key = name[0].toLowerCase();
+
+    if (MATH_FUNCTIONS[key]) {
+      if (peek() !== '(') fail(`Parêntese esperado após ${key}`);
+      return MATH_FUNCTIONS[key](parsePrimary());
+    }
+    if (MATH_CONSTANTS[key] !== undefined) return MATH_CONSTANTS[key];
+
+    return fail(`Nome desconhecido "${name[0]}"`);
+  };
+
+  const parsePrimary = () => {
+    if (peek() === '(') {
+      position++;
+      const value = parseSum();
+      if (peek() !== ')') fail('Parêntese de fechamento esperado');
+      position++;
+      return value;
+    }
+    if (peek() === '-') {
+      position++;
+      return -parsePower();
+    }
+    if (peek() === '+') {
+      position++;
+      return parsePower();
+    }
+    return parseNumberOrName();
+  };
+
+  // Potência é associativa à direita: 2^3^2 = 2^9
+  const parsePower = () => {
+    const base = parsePrimary();
+    if (peek() === '^') {
+      position++;
+      return Math.pow(base, parsePower());
+    }
+    return base;
+  };
+
+  const parseProduct = () => {
+    let value = parsePower();
+    while (['*', '/', '%'].includes(peek())) {
+      const operator = source[position++];
+      const right = parsePower();
+      if (operator === '*') value *= right;
+      else if (operator === '/') value /= right;
+      else value %= right;
+    }
+    return value;
+  };
+
+  const parseSum = () => {
+    let value = parseProduct();
+    while (['+', '-'].includes(peek())) {
+      const operator = source[position++];
+      const right = parseProduct();
+      value = operator === '+' ? value + right : value - right;
+    }
+    return value;
+  };
+
+  if (!source) throw new Error('Expressão vazia');
+
+  const result = parseSum();
+  if (position < source.length) fail(`Caractere inesperado "${source[position]}"`);
+  if (!Number.isFinite(result)) throw new Error('Resultado indefinido (divisão por zero?)');
+
+  return result;
+}
+
+// ==================== CONVERSÃO DE UNIDADES ====================
+
+// Fator para a unidade base de cada grandeza
+const UNITS = {
+  comprimento: { m: 1, km: 1000, cm: 0.01, mm: 0.001, mi: 1609.344, ft: 0.3048, in: 0.0254, yd: 0.9144, nmi: 1852 },
+  massa: { kg: 1, g: 0.001, mg: 0.000001, t: 1000, lb: 0.45359237, oz: 0.028349523125 },
+  volume: { l: 1, ml: 0.001, m3: 1000, gal: 3.785411784, floz: 0.0295735295625, xicara: 0.24 },
+  area: { m2: 1, km2: 1000000, cm2: 0.0001, ha: 10000, ft2: 0.09290304, acre: 4046.8564224 },
+  velocidade: { 'm/s': 1, 'km/h': 1 / 3.6, mph: 0.44704, kn: 0.514444 },
+  tempo: { s: 1, min: 60, h: 3600, d: 86400, sem: 604800 },
+  dados: { b: 1, kb: 1024, mb: 1024 ** 2, gb: 1024 ** 3, tb: 1024 ** 4 }
+};
+
+const UNIT_ALIASES = {
+  metro: 'm', metros: 'm', quilometro: 'km', quilometros: 'km', centimetro: 'cm', centimetros: 'cm',
+  milimetro: 'mm', milimetros: 'mm', milha: 'mi', milhas: 'mi', pe: 'ft', pes: 'ft', feet: 'ft',
+  polegada: 'in', polegadas: 'in', jarda: 'yd', jardas: 'yd',
+  quilo: 'kg', quilos: 'kg', grama: 'g', gramas: 'g', tonelada: 't', toneladas: 't', libra: 'lb', libras: 'lb', onca: 'oz',
+  litro: 'l', litros: 'l', mililitro: 'ml', galao: 'gal', galoes: 'gal',
+  kmh: 'km/h', ms: 'm/s', no: 'kn', nos: 'kn',
+  segundo: 's', segundos: 's', minuto: 'min', minutos: 'min', hora: 'h', horas: 'h', dia: 'd', dias: 'd', semana: 'sem', semanas: 'sem',
+  celsius: 'c', fahrenheit: 'f', kelvin: 'k', '°c': 'c', '°f': 'f'
+};
+
+const TEMPERATURE = {
+  c: { toBase: v => v, fromBase: v => v },
+  f: { toBase: v => (v - 32) * 5 / 9, fromBase: v => v * 9 / 5 + 32 },
+  k: { toBase: v => v - 273.15, fromBase: v => v + 273.15 }
+};
+
+function normalizeUnit(unit) {
+  const normalized = String(unit || '').trim().toLowerCase()
+    .normalize('NFD').replace(/[\u0300-\u036f]/g, '')
+    .replace(/²/g, '2').replace(/³/g, '3');
+  return UNIT_ALIASES[normalized] || normalized;
+}
+
+/**
+ * Converte um valor entre unidades da mesma grandeza
+ */
+export function convertUnit(value, from, to) {
+  const amount = parseFloat(value);
+  if (isNaN(amount)) throw new Error('Valor numérico inválido');
+
+  const fromUnit = normalizeUnit(from);
+  const toUnit = normalizeUnit(to);
+
+  if (TEMPERATURE[fromUnit] && TEMPERATURE[toUnit]) {
+    return { valor: TEMPERATURE[toUnit].fromBase(TEMPERATURE[fromUnit].toBase(amount)), grandeza: 'temperatura' };
+  }
+
+  for (const [quantity, factors] of Object.entries(UNITS)) {
+    if (factors[fromUnit] !== undefined && factors[toUnit] !== undefined) {
+      return { valor: amount * factors[fromUnit] / factors[toUnit], grandeza: quantity };
+    }
+  }
+
+  throw new Error(`Não sei converter de "${from}" para "${to}"`);
+}
+
+// ==================== FERRAMENTAS ====================
+
+/**
+ * Ferramentas locais registradas por padrão
+ */
+export const BUILTIN_TOOLS = [
+  {
+    name: 'data_hora',
+    description: 'Data e hora atuais em um fuso horário (padrão: fuso do bot).',
+    parameters: {
+      type: 'object',
+      properties: {
+        fuso: { type: 'string', description: 'Fuso horário IANA, ex.: America/Sao_Paulo, Europe/Lisbon' }
+      }
+    },
+    handler: ({ fuso } = {}) => {
+      const timeZone = fuso || process.env.TOOLS_TIMEZONE || 'America/Sao_Paulo';
+      let formatted;
+      try {
+        formatted = new Intl.DateTimeFormat('pt-BR', { timeZone, dateStyle: 'full', timeStyle: 'long' }).format(new Date());
+      } catch (error) {
+        throw new Error(`Fuso horário inválido: ${timeZone}`);
+      }
+      return { fuso: timeZone, dataHora: formatted, iso: new Date().toISOString() };
+    }
+  },
+  {
+    name: 'calculadora',
+    description: 'Calcula expressões matemáticas (+ - * / % ^, parênteses, sqrt, sin, cos, tan, log, ln, abs, round, pi, e).',
+    parameters: {
+      type: 'object',
+      properties: {
+        expressao: { type: 'string', description: 'Expressão, ex.: (1500 * 0.15) + 2^3' }
+      },
+      required: ['expressao']
+    },
+    handler: ({ expressao }) => ({ expressao, resultado: evaluateExpression(expressao) })
+  },
+  {
+    name: 'converter_unidades',
+    description: 'Converte valores entre unidades de comprimento, massa, volume, área, velocidade, tempo, dados e temperatura.',
+    parameters: {
+      type: 'object',
+      properties: {
+        valor: { type: 'number', description: 'Valor a converter' },
+        de: { type: 'string', description: 'Unidade de origem, ex.: km, lb, °F, km/h' },
+        para: { type: 'string', description: 'Unidade de destino, ex.: mi, kg, °C, m/s' }
+      },
+      required: ['valor', 'de', 'para']
+    },
+    handler: ({ valor, de, para }) => {
+      const result = convertUnit(valor, de, para);
+      return { de: `${valor} ${de}`, para: `${Number(result.valor.toPrecision(10))} ${para}`, grandeza: result.grandeza };
+    }
+  },
+  {
+    name: 'memoria_chat',
+    description: 'Consulta o histórico salvo desta conversa (e o resumo das partes antigas), opcionalmente filtrando por um termo.',
+    parameters: {
+      type: 'object',
+      properties: {
+        busca: { type: 'string', description: 'Termo a procurar nas mensagens (opcional)' },
+        limite: { type: 'integer', description: 'Máximo de mensagens retornadas (padrão 10, máximo 30)' }
+      }
+    },
+    handler: ({ busca, limite } = {}, context) => {
+      if (!context?.chatId) throw new Error('Chat desconhecido');
+
+      const normalize = text => String(text).normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase();
+      const max = Math.min(Math.max(parseInt(limite) || 10, 1), 30);
+      let messages = getThread(context.chatId);
+
+      if (busca) {
+        const term = normalize(busca);
+        messages = messages.filter(m => normalize(m.content).includes(term));
+      }
+
+      return {
+        resumo: summaryManager.getSummary(context.chatId)?.text || null,
+        encontradas: messages.length,
+        mensagens: messages.slice(-max).map(m => ({
+          papel: m.role === 'assistant' ? 'assistente' : 'usuario',
+          conteudo: m.content,
+          data: m.timestamp
+        }))
+      };
+    }
+  }
+];
@@ -0,0 +1,112 @@
+// src/lib/tools/index.js
+import { logger } from '../logger.js';
+import { BUILTIN_TOOLS } from './builtin.js';
+
+const MAX_RESULT_CHARS = 4000;
+
+/**
+ * Registro de ferramentas que o modelo pode chamar (tool calling no formato OpenAI).
+ *
+ * Cada ferramenta tem:
+ *   name        - snake_case, único
+ *   description - quando usar (vai para o modelo)
+ *   parameters  - JSON Schema dos argumentos
+ *   handler     - async (args, context) => resultado; context = { chatId, sender }
+ *
+ * As ferramentas liberadas vêm da persona (`tools`) ou de TOOLS_DEFAULT.
+ */
+class ToolRegistry {
+  constructor() {
+    this.tools = new Map();
+  }
+
+  register(tool) {
+    if (!/^[a-z0-9_]{1,64}$/.test(tool.name || '')) {
+      throw new Error(`Nome de ferramenta inválido: ${tool.name}`);
+    }
+    if (typeof tool.handler !== 'function') {
+      throw new Error(`Ferramenta ${tool.name} sem handler`);
+    }
+
+    this.tools.set(tool.name, {
+      description: '',
+      parameters: { type: 'object', properties: {} },
+      ...tool
+    });
+  }
+
+  has(name) {
+    return this.tools.has(name);
+  }
+
+  list() {
+    return [...this.tools.values()].map(({ name, description }) => ({ name, description }));
+  }
+
+  /**
+   * Nomes liberados: lista da persona, ou TOOLS_DEFAULT se a persona não definir.
+   * "*" libera todas.
+   */
+  resolveAllowed(allowed = null) {
+    const names = allowed ?? (process.env.TOOLS_DEFAULT || '').split(',').map(n => n.trim()).filter(Boolean);
+
+    if (names.includes('*')) {
+      return [...this.tools.keys()];
+    }
+    return names.filter(name => this.tools.has(name));
+  }
+
+  /**
+   * Definições no formato `tools` da API OpenAI
+   */
+  getDefinitions(names) {
+    return names
+      .filter(name => this.tools.has(name))
+      .map(name => {
+        const { description, parameters } = this.tools.get(name);
+        return { type: 'function', function: { name, description, parameters } };
+      });
+  }
+
+  /**
+   * Executa uma chamada do modelo e devolve o resultado como texto.
+   * Erros viram texto para o modelo poder se corrigir ou avisar o usuário.
+   *
+   * @param {object} call - { id, name, arguments (string JSON) }
+   * @param {object} context - { chatId, sender }
+   * @param {string[]} [allowed] - Só executa ferramentas desta lista
+   */
+  async execute(call, context = {}, allowed = null) {
+    const tool = this.tools.get(call.name);
+    if (!tool) {
+      return `Erro: ferramenta "${call.name}" não existe`;
+    }
+    if (allowed && !allowed.includes(call.name)) {
+      logger.warn('⚠️ Modelo chamou ferramenta não liberada: %s', call.name);
+      return `Erro: ferramenta "${call.name}" não está liberada`;
+    }
+
+    let args;
+    try {
+      args = typeof call.arguments === 'string' ? JSON.parse(call.arguments || '{}') : (call.arguments || {});
+    } catch (error) {
+      return `Erro: argumentos inválidos (JSON): ${error.message}`;
+    }
+
+    const startTime = Date.now();
+    try {
+      const result = await tool.handler(args, context);
+      const text = typeof result === 'string' ? result : JSON.stringify(result);
+
+      logger.info('🔧 Ferramenta %s executada em %dms', call.name, Date.now() - startTime);
+      return text.length > MAX_RESULT_CHARS ? `${text.slice(0, MAX_RESULT_CHARS)}…` : text;
+    } catch (error) {
+      logger.warn('⚠️ Ferramenta %s falhou: %s', call.name, error.message);
+      return `Erro: ${error.message}`;
+    }
+  }
+}
+
+// Instância global com as ferramentas locais
+export const toolRegistry = new ToolRegistry();
+BUILTIN_TOOLS.forEach(tool => toolRegistry.register(tool));
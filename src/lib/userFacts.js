@@ -0,0 +1,154 @@
+// src/lib/userFacts.js
+import { dirname, join } from 'path';
+import { logger } from './logger.js';
+import { readJsonSafe, writeJsonAtomic } from './persistence.js';
+
+// Fica ao lado de memoria.json, a não ser que USER_FACTS_FILE diga outro lugar
+const USER_FACTS_FILE = process.env.USER_FACTS_FILE
+  || join(dirname(process.env.MEMORY_FILE || './memoria.json'), 'fatos.json');
+const MAX_FACT_LENGTH = 300;
+
+/**
+ * Memória de longo prazo por usuário (número do remetente, não o chat).
+ * Os fatos são salvos com /lembrar e entram no prompt em qualquer chat.
+ */
+class UserFactsManager {
+  constructor() {
+    this.facts = new Map(); // número -> [{ text, createdAt, chatId }]
+  }
+
+  get maxFacts() {
+    return parseInt(process.env.USER_FACTS_MAX) || 20;
+  }
+
+  /**
+   * Carrega fatos do arquivo
+   */
+  async loadFacts() {
+    try {
+      const data = await readJsonSafe(USER_FACTS_FILE);
+      this.facts = new Map(Object.entries(data.facts || {}));
+      logger.info('🧠 Memórias de usuários carregadas: %d usuários', this.facts.size);
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        logger.info('📄 Arquivo de memórias de usuários não encontrado, criando novo...');
+      } else {
+        logger.error('❌ Erro ao carregar memórias de usuários:', error);
+      }
+    }
+  }
+
+  /**
+   * Salva fatos no arquivo
+   */
+  async saveFacts() {
+    try {
+      const data = {
+        facts: Object.fromEntries(this.facts),
+        lastSaved: new Date().toISOString()
+      };
+      await writeJsonAtomic(USER_FACTS_FILE, data);
+      logger.debug('💾 Memórias de usuários salvas');
+    } catch (error) {
+      logger.error('❌ Erro ao salvar memórias de usuários:', error);
+    }
+  }
+
+  listFacts(sender) {
+    return this.facts.get(sender) || [];
+  }
+
+  /**
+   * Salva um fato sobre o usuário
+   */
+  async addFact(sender, text, chatId = null) {
+    const fact = String(text || '').replace(/\s+/g, ' ').trim();
+
+    if (!fact) {
+      throw new Error('Diga o que devo lembrar. Ex.: /lembrar meu aniversário é 3 de maio');
+    }
+
+    if (fact.length > MAX_FACT_LENGTH) {
+      throw new Error(`Memória muito longa (máximo ${MAX_FACT_LENGTH} caracteres)`);
+    }
+
+    const facts = this.listFacts(sender);
+
+    if (facts.some(f => f.text.toLowerCase() === fact.toLowerCase())) {
+      throw new Error('Eu já sei disso 😉');
+    }
+
+    if (facts.length >= this.maxFacts) {
+      throw new Error(`Limite de ${this.maxFacts} memórias atingido. Use /esquecer para liberar espaço`);
+    }
+
+    this.facts.set(sender, [...facts, { text: fact, createdAt: Date.now(), chatId }]);
+    await this.saveFacts();
+
+    logger.info('🧠 Nova memória para %s (%d no total)', sender.slice(-4), facts.length + 1);
+    return facts.length + 1;
+  }
+
+  /**
+   * Remove um fato pelo número da lista (1..n)
+   */
+  async removeFact(sender, position) {
+    const facts = this.listFacts(sender);
+    const index = parseInt(position) - 1;
+
+    if (isNaN(index) || index < 0 || index >= facts.length) {
+      throw new Error('Número de memória inválido. Veja a lista com /memorias');
+    }
+
+    const [removed] = facts.splice(index, 1);
+
+    if (facts.length === 0) {
+      this.facts.delete(sender);
+    } else {
+      this.facts.set(sender, facts);
+    }
+
+    await this.saveFacts();
+    return removed;
+  }
+
+  /**
+   * Remove todos os fatos do usuário
+   */
+  async clearFacts(sender) {
+    const count = this.listFacts(sender).length;
+    if (count > 0) {
+      this.facts.delete(sender);
+      await this.saveFacts();
+    }
+    return count;
+  }
+
+  /**
+   * Trecho do prompt de sistema com os fatos do usuário (vazio se não houver)
+   */
+  buildPromptSection(sender) {
+    const facts = this.listFacts(sender);
+    if (facts.length === 0) return '';
+
+    return `\n\nFATOS QUE O USUÁRIO PEDIU PARA VOCÊ LEMBRAR:\n${facts.map(f => `- ${f.text}`).join('\n')}`;
+  }
+
+  /**
+   * Exporta fatos para backup
+   */
+  exportFacts() {
+    return Object.fromEntries(this.facts);
+  }
+
+  /**
+   * Importa fatos de um backup
+   */
+  async importFacts(data) {
+    this.facts = new Map(Object.entries(data || {}));
+    await this.saveFacts();
+  }
+}
+
+// Instância global
+export const userFactsManager = new UserFactsManager();
@@ -0,0 +1,167 @@
+// src/transports/cli.js
+import readline from 'readline';
+import { promises as fs } from 'fs';
+import { basename, extname } from 'path';
+import { MemoryTransport } from './memory.js';
+
+const HELP = `Comandos do terminal:
+  :de <numero>   - Muda o remetente
+  :grupo [nome]  - Passa a conversar como se fosse um grupo
+  :privado       - Volta para o chat privado
+  :arquivo <caminho> [legenda] - Envia um arquivo (imagem, áudio, PDF, texto)
+  :citar <texto> - Responde citando a última mensagem do bot neste chat
+  @bot           - Dentro do texto, menciona o bot (em grupos)
+  :sair          - Encerra`;
+
+const MIMETYPES = {
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.png': 'image/png',
+  '.webp': 'image/webp',
+  '.ogg': 'audio/ogg',
+  '.opus': 'audio/ogg',
+  '.mp3': 'audio/mpeg',
+  '.m4a': 'audio/mp4',
+  '.wav': 'audio/wav',
+  '.mp4': 'video/mp4',
+  '.pdf': 'application/pdf',
+  '.txt': 'text/plain',
+  '.md': 'text/markdown',
+  '.csv': 'text/csv',
+  '.json': 'application/json'
+};
+
+/**
+ * Transporte de terminal: lê linhas do stdin e imprime as respostas do bot
+ */
+export class CliTransport extends MemoryTransport {
+  constructor(options = {}) {
+    super(options);
+    this.name = 'cli';
+    this.sender = (options.sender || process.env.CLI_SENDER || '5500000000000').replace(/[^0-9]/g, '');
+    this.group = null;
+    this.rl = null;
+
+    this.on('sent', entry => {
+      console.log(`\n🤖 ${entry.body}\n`);
+    });
+    this.on('edited', entry => {
+      console.log(`\n✏️ ${entry.body}\n`);
+    });
+  }
+
+  async initialize() {
+    this.rl = readline.createInterface({ input: process.stdin, output: process.stdout, prompt: '> ' });
+
+    console.log(`Ceros AI em modo terminal (remetente ${this.sender}). Digite :ajuda para opções.`);
+    this.rl.on('line', line => this.handleLine(line.trim()));
+    this.rl.on('close', () => this.emit('disconnected', 'stdin fechado'));
+
+    await super.initialize();
+    this.rl.prompt();
+  }
+
+  async destroy() {
+    await super.destroy();
+    this.rl?.close();
+  }
+
+  async handleLine(line) {
+    if (!line) {
+      this.rl.prompt();
+      return;
+    }
+
+    const [cmd, ...rest] = line.split(' ');
+
+    switch (cmd) {
+      case ':ajuda':
+        console.log(HELP);
+        break;
+      case ':de':
+        this.sender = (rest[0] || this.sender).replace(/[^0-9]/g, '');
+        console.log(`Remetente: ${this.sender}`);
+        break;
+      case ':grupo':
+        this.group = rest.join(' ') || 'Grupo Teste';
+        console.log(`Chat: grupo "${this.group}"`);
+        break;
+      case ':privado':
+        this.group = null;
+        console.log('Chat: privado');
+        break;
+      case ':sair':
+        this.rl.close();
+        return;
+      case ':citar': {
+        const chatId = this.currentChatId();
+        const last = this.getSent(chatId).pop();
+        try {
+          await this.receive(rest.join(' ').replace(/@bot\b/gi, '').trim(), {
+            ...this.currentOptions(rest.join(' ')),
+            quoted: last ? { id: last.id, body: last.body, fromBot: true, author: this.botId, type: 'chat' } : undefined
+          });
+        } catch (error) {
+          console.error('Erro ao processar mensagem:', error.message);
+        }
+        break;
+      }
+      case ':arquivo':
+        try {
+          await this.sendFile(rest[0], rest.slice(1).join(' '));
+        } catch (error) {
+          console.error('Erro ao enviar arquivo:', error.message);
+        }
+        break;
+      default:
+        try {
+          await this.receive(line.replace(/@bot\b/gi, '').trim(), this.currentOptions(line));
+        } catch (error) {
+          console.error('Erro ao processar mensagem:', error.message);
+        }
+    }
+
+    this.rl.prompt();
+  }
+
+  /**
+   * Chat atual do terminal (grupo simulado ou privado do remetente)
+   */
+  currentChatId() {
+    return this.group ? `${this.group.replace(/\s+/g, '-').toLowerCase()}@g.us` : `${this.sender}@c.us`;
+  }
+
+  /**
+   * Opções de receive() para o remetente/chat atuais
+   */
+  currentOptions(text) {
+    return {
+      from: `${this.sender}@c.us`,
+      isGroup: !!this.group,
+      chatId: this.currentChatId(),
+      chatName: this.group || undefined,
+      mentions: /@bot\b/i.test(text)
+    };
+  }
+
+  /**
+   * Envia um arquivo local como mídia
+   */
+  async sendFile(filepath, caption = '') {
+    if (!filepath) {
+      throw new Error('Use: :arquivo <caminho> [legenda]');
+    }
+
+    const data = await fs.readFile(filepath);
+    const mimetype = MIMETYPES[extname(filepath).toLowerCase()] || 'application/octet-stream';
+    const type = mimetype.startsWith('image/') ? 'image'
+      : mimetype.startsWith('audio/') ? 'ptt'
+        : mimetype.startsWith('video/') ? 'video' : 'document';
+
+    await this.receive(caption.replace(/@bot\b/gi, '').trim(), {
+      ...this.currentOptions(caption),
+      type,
+      media: { mimetype, data: data.toString('base64'), filename: basename(filepath), filesize: data.length }
+    });
+  }
+}
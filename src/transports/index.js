@@ -0,0 +1,24 @@
+// src/transports/index.js
+
+/**
+ * Cria o transporte pelo nome. O import é dinâmico para que os modos
+ * cli/memory não dependam do whatsapp-web.js (nem do Chromium).
+ */
+export async function createTransport(name = 'whatsapp', options = {}) {
+  switch (name) {
+    case 'whatsapp': {
+      const { WhatsAppTransport } = await import('./whatsapp.js');
+      return new WhatsAppTransport(options);
+    }
+    case 'cli': {
+      const { CliTransport } = await import('./cli.js');
+      return new CliTransport(options);
+    }
+    case 'memory': {
+      const { MemoryTransport } = await import('./memory.js');
+      return new MemoryTransport(options);
+    }
+    default:
+      throw new Error(`Transporte desconhecido: ${name}`);
+  }
+}
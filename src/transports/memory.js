@@ -0,0 +1,127 @@
+// src/transports/memory.js
+import { EventEmitter } from 'events';
+
+const BOT_ID = 'ceros-bot@c.us';
+
+/**
+ * Transporte em memória: injeta mensagens com receive() e guarda as
+ * respostas em `sent`. Serve de base para o modo CLI e para harness de teste.
+ *
+ * Eventos emitidos: 'ready', 'sent', 'edited', 'typing'
+ */
+export class MemoryTransport extends EventEmitter {
+  constructor(options = {}) {
+    super();
+    this.name = 'memory';
+    this.botId = options.botId || BOT_ID;
+    this.botName = options.botName || 'Ceros AI';
+    this.messageHandler = null;
+    this.sent = [];
+    this.counter = 0;
+  }
+
+  onMessage(handler) {
+    this.messageHandler = handler;
+  }
+
+  async initialize() {
+    this.emit('ready');
+  }
+
+  async destroy() {
+    this.messageHandler = null;
+  }
+
+  getBotId() {
+    return this.botId;
+  }
+
+  getBotName() {
+    return this.botName;
+  }
+
+  async sendMessage(chatId, text) {
+    return this.record(chatId, text, null);
+  }
+
+  /**
+   * Simula a chegada de uma mensagem e aguarda o pipeline terminar
+   *
+   * @param {string} body - Texto da mensagem
+   * @param {object} [options] - from, chatId, chatName, isGroup, mentions,
+   *   media ({ mimetype, data (base64), filename }), type (image, ptt, document...)
+   *   e quoted ({ id, body, fromBot, author, type }) para respostas a mensagens
+   */
+  async receive(body, options = {}) {
+    if (!this.messageHandler) {
+      throw new Error('Nenhum handler de mensagens registrado');
+    }
+
+    const from = options.from || '5500000000000@c.us';
+    const isGroup = !!options.isGroup;
+    const chatId = options.chatId || (isGroup ? 'grupo-teste@g.us' : from);
+    const id = `mem-${++this.counter}`;
+
+    const message = {
+      id,
+      body,
+      from: isGroup ? chatId : from,
+      author: isGroup ? from : undefined,
+      fromMe: false,
+      isStatus: false,
+      mentionedIds: options.mentions ? [this.botId] : [],
+      type: options.type || (options.media ? 'document' : 'chat'),
+      hasMedia: !!options.media,
+      downloadMedia: async () => options.media || null,
+      hasQuotedMsg: !!options.quoted,
+      getQuotedMessage: async () => options.quoted || null,
+      timestamp: Date.now(),
+      chat: {
+        id: chatId,
+        name: options.chatName || (isGroup ? 'Grupo Teste' : undefined),
+        isGroup,
+        sendStateTyping: async () => this.emit('typing', { chatId, typing: true }),
+        clearState: async () => this.emit('typing', { chatId, typing: false })
+      },
+      reply: async (text) => this.record(chatId, text, id)
+    };
+
+    await this.messageHandler(message);
+    return message;
+  }
+
+  /**
+   * Registra uma mensagem enviada pelo bot (editável, como no WhatsApp)
+   */
+  record(chatId, text, quotedId) {
+    const entry = {
+      id: `mem-${++this.counter}`,
+      chatId,
+      body: text,
+      quotedId,
+      timestamp: Date.now(),
+      edits: 0,
+      edit: async (newText) => {
+        entry.body = newText;
+        entry.edits++;
+        this.emit('edited', entry);
+        return entry;
+      }
+    };
+
+    this.sent.push(entry);
+    this.emit('sent', entry);
+    return entry;
+  }
+
+  /**
+   * Respostas enviadas para um chat (ou todas)
+   */
+  getSent(chatId = null) {
+    return chatId ? this.sent.filter(m => m.chatId === chatId) : [...this.sent];
+  }
+
+  clearSent() {
+    this.sent = [];
+  }
+}
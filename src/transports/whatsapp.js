@@ -0,0 +1,147 @@
+// src/transports/whatsapp.js
+import { EventEmitter } from 'events';
+import { promises as fs } from 'fs';
+import pkg from 'whatsapp-web.js';
+import { logger } from '../lib/logger.js';
+import { errorLogger } from '../lib/errorHandler.js';
+const { Client, LocalAuth } = pkg;
+
+const AUTH_PATH = './wwebjs_auth';
+
+/**
+ * Adapter do whatsapp-web.js para o pipeline de mensagens
+ *
+ * Eventos emitidos: 'qr', 'ready', 'disconnected', 'auth_failure'
+ */
+export class WhatsAppTransport extends EventEmitter {
+  constructor() {
+    super();
+    this.name = 'whatsapp';
+    this.messageHandler = null;
+
+    this.client = new Client({
+      authStrategy: new LocalAuth({ dataPath: AUTH_PATH }),
+      puppeteer: {
+        headless: true,
+        args: [
+          '--no-sandbox',
+          '--disable-setuid-sandbox',
+          '--disable-dev-shm-usage',
+          '--disable-accelerated-2d-canvas',
+          '--no-first-run',
+          '--no-zygote',
+          '--single-process',
+          '--disable-gpu'
+        ]
+      }
+    });
+
+    this.client.on('qr', qr => this.emit('qr', qr));
+    this.client.on('ready', () => this.emit('ready'));
+    this.client.on('disconnected', reason => this.emit('disconnected', reason));
+    this.client.on('auth_failure', () => this.emit('auth_failure'));
+
+    this.client.on('message', async msg => {
+      if (!this.messageHandler) return;
+
+      try {
+        const chat = await msg.getChat();
+        await this.messageHandler(this.normalizeMessage(msg, chat));
+      } catch (error) {
+        // getChat() falha com chat apagado ou navegador ainda carregando
+        logger.error('Erro ao receber mensagem do WhatsApp:', error);
+        await errorLogger.logError(error, {
+          context: 'message_processing',
+          sender: msg.author || msg.from,
+          messageBody: (msg.body || '').slice(0, 100)
+        });
+      }
+    });
+  }
+
+  /**
+   * Registra o handler que recebe as mensagens normalizadas
+   */
+  onMessage(handler) {
+    this.messageHandler = handler;
+  }
+
+  async initialize() {
+    await this.client.initialize();
+  }
+
+  async destroy() {
+    await this.client.destroy();
+  }
+
+  /**
+   * Desconecta o aparelho pareado (o LocalAuth apaga a sessão salva).
+   * Para parear de novo, chame initialize() em seguida.
+   */
+  async logout() {
+    await this.client.logout();
+  }
+
+  /**
+   * Fecha o navegador e apaga wwebjs_auth, mesmo que a sessão esteja
+   * corrompida. Para parear de novo, chame initialize() em seguida.
+   */
+  async resetSession() {
+    await this.client.destroy().catch(() => {});
+    await fs.rm(AUTH_PATH, { recursive: true, force: true });
+  }
+
+  /**
+   * ID serializado do próprio bot (usado para detectar menções)
+   */
+  getBotId() {
+    return this.client.info?.me?._serialized || null;
+  }
+
+  getBotName() {
+    return this.client.info?.pushname || null;
+  }
+
+  async sendMessage(chatId, text) {
+    return this.client.sendMessage(chatId, text);
+  }
+
+  /**
+   * Converte Message/Chat do whatsapp-web.js no formato do pipeline
+   */
+  normalizeMessage(msg, chat) {
+    return {
+      id: msg.id?._serialized,
+      body: msg.body || '',
+      from: msg.from,
+      author: msg.author,
+      fromMe: msg.fromMe,
+      isStatus: msg.isStatus,
+      mentionedIds: msg.mentionedIds || [],
+      type: msg.type,
+      hasMedia: !!msg.hasMedia,
+      downloadMedia: () => msg.downloadMedia(),
+      hasQuotedMsg: !!msg.hasQuotedMsg,
+      getQuotedMessage: async () => {
+        const quoted = await msg.getQuotedMessage();
+        return quoted ? {
+          id: quoted.id?._serialized,
+          body: quoted.body || '',
+          fromBot: !!quoted.fromMe,
+          author: quoted.author || quoted.from,
+          type: quoted.type
+        } : null;
+      },
+      timestamp: msg.timestamp ? msg.timestamp * 1000 : Date.now(),
+      chat: {
+        id: chat.id._serialized,
+        name: chat.name,
+        isGroup: chat.isGroup,
+        sendStateTyping: () => chat.sendStateTyping(),
+        clearState: () => chat.clearState()
+      },
+      reply: (text) => msg.reply(text),
+      raw: msg
+    };
+  }
+}